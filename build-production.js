@@ -8,6 +8,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+const EventManifest = require('./js/event-manifest.js');
+const VendorManifest = require('./js/vendor-manifest.js');
+const WorkshopManifest = require('./js/workshop-manifest.js');
+const CalendarExport = require('./js/calendar-export.js');
+const StructuredData = require('./js/structured-data.js');
 
 class ProductionBuilder {
   constructor() {
@@ -17,7 +23,10 @@ class ProductionBuilder {
       'css/responsive.css',
       'css/accessibility.css',
       'css/typography.css',
-      'css/images.css'
+      'css/images.css',
+      'css/event-status.css',
+      'css/calendar-export.css',
+      'css/hero-slideshow.css'
     ];
     
     this.jsFiles = [
@@ -27,10 +36,21 @@ class ProductionBuilder {
       'js/navigation.js',
       'js/keyboard-navigation.js',
       'js/contact-form.js',
-      'js/smooth-scroll.js'
+      'js/smooth-scroll.js',
+      'js/event-manifest.js',
+      'js/calendar-export.js',
+      'js/event-listings.js',
+      'js/carousel.js',
+      'js/hero-slide-manifest.js',
+      'js/hero-slideshow.js'
     ];
     
+    // Pages with event JSON-LD and sharing tags kept in their source HTML
+    this.sourcePages = ['index.html', 'future-events.html'];
+    
     this.outputDir = 'dist';
+    this.structuredDataGenerator = null;
+    this.structuredData = null;
   }
 
   /**
@@ -41,6 +61,7 @@ class ProductionBuilder {
     
     try {
       this.createOutputDirectory();
+      this.generateStructuredData();
       await this.minifyCSS();
       await this.minifyJavaScript();
       await this.extractCriticalCSS();
@@ -62,7 +83,7 @@ class ProductionBuilder {
       fs.mkdirSync(this.outputDir, { recursive: true });
     }
     
-    ['css', 'js', 'assets', 'fonts'].forEach(dir => {
+    ['css', 'js', 'assets', 'fonts', 'data'].forEach(dir => {
       const dirPath = path.join(this.outputDir, dir);
       if (!fs.existsSync(dirPath)) {
         fs.mkdirSync(dirPath, { recursive: true });
@@ -70,6 +91,121 @@ class ProductionBuilder {
     });
   }
 
+  /**
+   * Generate schema.org Event JSON-LD from data/events.json and check it's valid.
+   * Every event is validated, not just the upcoming ones, so mistakes are caught early. Past
+   * events with only a month or no venue are skipped, as they can't be described as an Event.
+   */
+  generateStructuredData() {
+    console.log('🔎 Generating and validating structured data...');
+
+    const calendarExport = new CalendarExport();
+    const eventManifest = new EventManifest(undefined, calendarExport);
+    eventManifest.setData(JSON.parse(fs.readFileSync('data/events.json', 'utf8')));
+
+    const vendorManifest = new VendorManifest();
+    const vendorData = JSON.parse(fs.readFileSync('data/vendors.json', 'utf8'));
+    vendorManifest.logoBase = vendorData.logoBase || '';
+    vendorManifest.categories = vendorData.categories || {};
+    vendorManifest.vendors = vendorData.vendors || [];
+
+    const workshopManifest = new WorkshopManifest();
+    workshopManifest.setData(JSON.parse(fs.readFileSync('data/workshops.json', 'utf8')));
+
+    // My Day plans and bookings are saved against session ids, so each must be set and unique
+    const sessionIds = workshopManifest.workshops.flatMap(workshop => workshop.sessions.map(session => session.id));
+    const badSessionIds = sessionIds.filter((id, index) => !id || sessionIds.indexOf(id) !== index);
+    if (badSessionIds.length > 0) {
+      throw new Error(`Workshop sessions need unique ids: ${badSessionIds.map(String).join(', ')}`);
+    }
+
+    const generator = new StructuredData({
+      eventManifest,
+      vendorManifest,
+      workshopManifest,
+      calendarExport
+    });
+
+    const describedEvents = eventManifest.events.filter(event => eventManifest.hasExactDates(event) && event.venue);
+    const errors = describedEvents.flatMap(event => {
+      const workshops = workshopManifest.getWorkshopsForEvent(event.id);
+      return generator.validate(generator.getEventJsonLd(event, workshops)).map(error => `${event.id}: ${error}`);
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid structured data:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.structuredDataGenerator = generator;
+    this.structuredData = this.getStructuredData('index.html');
+
+    console.log(`✅ Structured data valid for ${describedEvents.length} events`);
+  }
+
+  /**
+   * JSON-LD markup and sharing tag values for a page
+   */
+  getStructuredData(pageName) {
+    const generator = this.structuredDataGenerator;
+    const { eventManifest, workshopManifest } = generator;
+
+    // A page lists the workshops for the market named on its workshops grid
+    const workshopGroups = [];
+    const workshopEventMatch = fs.readFileSync(pageName, 'utf8').match(/class="workshops-grid"[^>]*data-event="([^"]+)"/);
+    if (workshopEventMatch) {
+      const workshops = workshopManifest.getWorkshopsForEvent(workshopEventMatch[1]);
+      if (workshops.length > 0) {
+        workshopGroups.push({ event: eventManifest.getEvent(workshopEventMatch[1]), workshops });
+      }
+    }
+
+    const jsonLd = generator.getPageJsonLd(workshopGroups);
+    return {
+      scriptId: generator.scriptId,
+      markup: jsonLd.length > 0 ? generator.getScriptMarkup(jsonLd.length === 1 ? jsonLd[0] : jsonLd) : '',
+      meta: generator.getMetaValues(pageName)
+    };
+  }
+
+  /**
+   * Put the event JSON-LD and sharing tags in a page's HTML so crawlers see them without running
+   * scripts, replacing the copy already there
+   */
+  applyStructuredData(html, { scriptId, markup, meta }) {
+    const existing = new RegExp(`[ \\t]*<script type="application/ld\\+json" id="${scriptId}">[\\s\\S]*?</script>\\n`);
+    html = html.replace(existing, '');
+    if (markup) {
+      html = html.replace('</head>', `    ${markup.replace(/\n/g, '\n    ')}\n</head>`);
+    }
+
+    const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    const setMeta = (attribute, name, value) => {
+      if (!value) return;
+      const pattern = new RegExp(`(<meta ${attribute}="${name}"\\s+content=")[^"]*(")`);
+      html = html.replace(pattern, `$1${escapeAttribute(value)}$2`);
+    };
+
+    setMeta('property', 'og:url', meta.url);
+    setMeta('property', 'og:image', meta.image);
+    setMeta('name', 'twitter:image', meta.image);
+    setMeta('property', 'og:description', meta.description);
+    setMeta('name', 'twitter:description', meta.description);
+
+    return html;
+  }
+
+  /**
+   * Refresh the JSON-LD and sharing tags in the source pages, which GitHub Pages serves as they are
+   * (npm run structured-data)
+   */
+  updateSourcePages() {
+    this.sourcePages.forEach(pageName => {
+      const html = fs.readFileSync(pageName, 'utf8');
+      fs.writeFileSync(pageName, this.applyStructuredData(html, this.getStructuredData(pageName)));
+      console.log(`✅ Structured data updated in ${pageName}`);
+    });
+  }
+
   /**
    * Minify CSS files
    */
@@ -124,6 +260,13 @@ class ProductionBuilder {
     for (const jsFile of this.jsFiles) {
       if (fs.existsSync(jsFile)) {
         const content = fs.readFileSync(jsFile, 'utf8');
+        // One file that doesn't parse as a classic script (e.g. it uses export) would stop the whole bundle
+        try {
+          new vm.Script(content, { filename: jsFile });
+        } catch (error) {
+          console.warn(`⚠️  Skipping ${jsFile}: ${error.message}`);
+          continue;
+        }
         combinedJS += `/* ${jsFile} */\n${content}\n\n`;
       }
     }
@@ -141,15 +284,15 @@ class ProductionBuilder {
    * Simple JavaScript minification
    */
   minifyJSContent(js) {
+    // Only whole-line comments are removed: a // or /* after code may be inside a string or regex
+    // (URLs, glob patterns), and line breaks are kept so automatic semicolon insertion still works
     return js
-      // Remove single-line comments (but preserve URLs)
-      .replace(/\/\/(?![^\n]*https?:)[^\n]*/g, '')
-      // Remove multi-line comments
-      .replace(/\/\*[\s\S]*?\*\//g, '')
-      // Remove extra whitespace
-      .replace(/\s+/g, ' ')
-      // Remove whitespace around operators and punctuation
-      .replace(/\s*([{}();,=+\-*/<>!&|])\s*/g, '$1')
+      // Remove comment blocks on lines of their own (file headers and JSDoc)
+      .replace(/^[ \t]*\/\*[^*]*\*+(?:[^/*][^*]*\*+)*\/[ \t]*$/gm, '')
+      // Remove single-line comments on lines of their own
+      .replace(/^[ \t]*\/\/.*$/gm, '')
+      // Remove indentation and blank lines
+      .replace(/^\s+/gm, '')
       // Remove leading/trailing whitespace
       .trim();
   }
@@ -224,6 +367,11 @@ class ProductionBuilder {
       this.copyDirectory('fonts', path.join(this.outputDir, 'fonts'));
     }
     
+    // Copy data directory (vendor manifest and other site data)
+    if (fs.existsSync('data')) {
+      this.copyDirectory('data', path.join(this.outputDir, 'data'));
+    }
+    
     console.log('✅ Assets copied successfully');
   }
 
@@ -288,6 +436,11 @@ class ProductionBuilder {
       `    <script src="js/scripts.min.js"></script>\n</body>`
     );
     
+    // Add event JSON-LD and fill in the sharing tags so crawlers see them without running scripts
+    if (this.structuredData) {
+      html = this.applyStructuredData(html, this.structuredData);
+    }
+    
     // Add caching and performance meta tags
     html = html.replace(
       '<meta name="author" content="Side Quest Market">',
@@ -310,7 +463,17 @@ class ProductionBuilder {
 // Run build if called directly
 if (require.main === module) {
   const builder = new ProductionBuilder();
-  builder.build();
+  if (process.argv.includes('--structured-data')) {
+    try {
+      builder.generateStructuredData();
+      builder.updateSourcePages();
+    } catch (error) {
+      console.error('❌ Structured data update failed:', error.message);
+      process.exit(1);
+    }
+  } else {
+    builder.build();
+  }
 }
 
 module.exports = ProductionBuilder;
\ No newline at end of file
@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+
+/**
+ * Gallery Manifest Generator
+ * Scans a local copy of the media folder, laid out like the S3 bucket
+ * (media/<event>/<category>/<photo>.jpg), and writes data/gallery.json with the width, height,
+ * alt text, capture date and blurred placeholder of every photo. Run it after adding or removing
+ * photos:
+ *
+ *   node generate-gallery-manifest.js [mediaDir] [outputFile]
+ *
+ * Event titles, category labels and alt text that have been edited in the existing manifest are
+ * kept, as are a category's `base` URL (for photos stored outside media/, like the 2025 ones) and
+ * each photo's tags.
+ * Events and categories in the existing manifest that aren't in the media folder are kept as they
+ * are, with a warning unless their photos are stored outside media/.
+ * New photos get their alt text from the EXIF image description, or a default one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+
+const DEFAULT_MEDIA_BASE = 'https://side-quest-market.s3.eu-west-2.amazonaws.com/media';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Labels for the category folders we already use; anything else is labelled from its folder name
+const CATEGORY_LABELS = {
+  contest: 'Competition',
+  miniatures: 'Miniatures',
+  portrait: 'Portraits',
+  'scenes-l': 'Scenes (Landscape)',
+  'scenes-p': 'Scenes (Portrait)',
+  stallfronts: 'Stall Fronts'
+};
+
+const MONTHS = {
+  jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+  jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+};
+
+// Camera firmware fills the EXIF description with these, which make useless alt text
+const PLACEHOLDER_DESCRIPTIONS = /^(|OLYMPUS DIGITAL CAMERA|SONY DSC|DCIM|default)$/i;
+
+// Placeholders are this many pixels on their long side; the site scales and blurs them
+const PLACEHOLDER_SIZE = 8;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+class GalleryManifestGenerator {
+  constructor(mediaDir = 'media', outputFile = 'data/gallery.json') {
+    this.mediaDir = mediaDir;
+    this.outputFile = outputFile;
+  }
+
+  /**
+   * Scan the media folder and write the manifest
+   */
+  generate() {
+    console.log(`📷 Scanning ${this.mediaDir} for gallery photos...`);
+
+    if (!fs.existsSync(this.mediaDir)) {
+      throw new Error(`Media folder not found: ${this.mediaDir}`);
+    }
+
+    const previous = this.readPrevious();
+    const previousEvents = previous.events || [];
+    const eventIds = this.listDirectories(this.mediaDir);
+    const manifest = {
+      mediaBase: previous.mediaBase || DEFAULT_MEDIA_BASE,
+      events: this.orderLike(previousEvents, this.withPrevious(previousEvents, eventIds))
+        .map(eventId => {
+          const previousEvent = previousEvents.find(event => event.id === eventId);
+          return eventIds.includes(eventId)
+            ? this.scanEvent(eventId, previousEvent)
+            : this.keepUnscanned(previousEvent, `Event ${eventId}`);
+        })
+        .filter(event => event.categories.length > 0)
+    };
+
+    fs.writeFileSync(this.outputFile, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    manifest.events.forEach(event => {
+      const count = event.categories.reduce((total, category) => total + category.photos.length, 0);
+      console.log(`✅ ${event.id}: ${count} photos in ${event.categories.length} categories`);
+    });
+    console.log(`📝 Wrote ${this.outputFile}`);
+
+    return manifest;
+  }
+
+  readPrevious() {
+    if (!fs.existsSync(this.outputFile)) return {};
+    return JSON.parse(fs.readFileSync(this.outputFile, 'utf8'));
+  }
+
+  listDirectories(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Folder names plus the ids from the existing manifest that have no folder
+   */
+  withPrevious(previousItems, names) {
+    return [...names, ...previousItems.map(item => item.id).filter(id => !names.includes(id))];
+  }
+
+  /**
+   * An event or category from the existing manifest that isn't in this copy of the media folder.
+   * Photos with a `base` URL are stored outside media/, so they're expected to be missing; for
+   * anything else, the folder may just not have been copied, so keep the entry but say so.
+   */
+  keepUnscanned(previousItem, name) {
+    const categories = previousItem.categories ? previousItem.categories : [previousItem];
+    if (!categories.every(category => category.base)) {
+      console.warn(`⚠️  ${name} isn't in ${this.mediaDir}, so its existing entry was kept. ` +
+        `If its photos have been deleted, remove it from ${this.outputFile}`);
+    }
+    return previousItem;
+  }
+
+  /**
+   * Keep the order from the existing manifest, with anything new added at the end in name order
+   */
+  orderLike(previousItems, names) {
+    const known = previousItems.map(item => item.id).filter(id => names.includes(id));
+    const added = names.filter(name => !known.includes(name)).sort(this.compareNames);
+    return [...known, ...added];
+  }
+
+  /**
+   * Natural order, ignoring extensions: photo.jpg, photo_2.jpg, photo_10.jpg
+   */
+  compareNames(a, b) {
+    const stem = name => name.replace(/\.[^.]+$/, '');
+    return stem(a).localeCompare(stem(b), 'en', { numeric: true }) || a.localeCompare(b);
+  }
+
+  scanEvent(eventId, previousEvent = {}) {
+    const eventDir = path.join(this.mediaDir, eventId);
+    const title = previousEvent.title || this.getEventTitle(eventId);
+    const previousCategories = previousEvent.categories || [];
+    const categoryIds = this.listDirectories(eventDir);
+
+    const categories = this.orderLike(previousCategories, this.withPrevious(previousCategories, categoryIds))
+      .map(categoryId => {
+        const previousCategory = previousCategories.find(category => category.id === categoryId) || {};
+        if (!categoryIds.includes(categoryId)) {
+          return this.keepUnscanned(previousCategory, `Category ${eventId}/${categoryId}`);
+        }
+
+        const label = previousCategory.label || this.getCategoryLabel(categoryId);
+        const previousPhotos = previousCategory.photos || [];
+        const categoryDir = path.join(eventDir, categoryId);
+
+        const photos = fs.readdirSync(categoryDir)
+          .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+          .sort(this.compareNames)
+          .map(file => {
+            const info = this.readImageInfo(path.join(categoryDir, file));
+            const previousPhoto = previousPhotos.find(photo => photo.file === file);
+            const defaultAlt = this.getDefaultAlt(label, title);
+            const previousAlt = previousPhoto && previousPhoto.alt !== this.getDefaultAlt(previousCategory.label, previousEvent.title)
+              ? previousPhoto.alt
+              : null;
+
+            return {
+              ...previousPhoto,
+              file,
+              width: info.width,
+              height: info.height,
+              alt: previousAlt || info.description || defaultAlt,
+              taken: info.taken,
+              placeholder: info.placeholder
+            };
+          });
+
+        return { ...previousCategory, id: categoryId, label, photos };
+      })
+      .filter(category => category.photos.length > 0);
+
+    return { ...previousEvent, id: eventId, title, categories };
+  }
+
+  /**
+   * 'may2026' → 'May 2026'
+   */
+  getEventTitle(eventId) {
+    const match = eventId.match(/^([a-z]{3})[a-z]*(\d{4})$/i);
+    return match && MONTHS[match[1].toLowerCase()] ? `${MONTHS[match[1].toLowerCase()]} ${match[2]}` : eventId;
+  }
+
+  /**
+   * 'stall-fronts' → 'Stall Fronts'
+   */
+  getCategoryLabel(categoryId) {
+    return CATEGORY_LABELS[categoryId] ||
+      categoryId.split(/[-_]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  getDefaultAlt(label, eventTitle) {
+    return `${label} photo from Side Quest Market ${eventTitle}`;
+  }
+
+  // ── Image headers ──
+
+  /**
+   * Read the displayed size, capture date and description of a JPEG or PNG, and make a
+   * placeholder for JPEGs
+   * @returns {{width: number|null, height: number|null, taken: string|null, description: string|null,
+   *   placeholder: string|null}}
+   */
+  readImageInfo(file) {
+    const buffer = fs.readFileSync(file);
+    const info = { width: null, height: null, taken: null, description: null, placeholder: null };
+
+    try {
+      if (buffer.readUInt16BE(0) === 0xFFD8) {
+        this.readJpeg(buffer, info);
+        info.placeholder = this.createPlaceholder(buffer, info);
+      } else if (buffer.toString('latin1', 1, 4) === 'PNG') {
+        info.width = buffer.readUInt32BE(16);
+        info.height = buffer.readUInt32BE(20);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Couldn't read ${file}: ${error.message}`);
+    }
+
+    if (info.width === null) {
+      console.warn(`⚠️  No image size found in ${file}`);
+    }
+
+    delete info.orientation;
+    delete info.thumbnail;
+    return info;
+  }
+
+  /**
+   * Walk the JPEG segments up to the image data: EXIF is in APP1, the size in the SOF segment
+   */
+  readJpeg(buffer, info) {
+    let offset = 2;
+    info.orientation = 1;
+    info.thumbnail = null;
+
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xD9 || marker === 0xDA) break; // End of image, or start of the image data
+
+      const length = buffer.readUInt16BE(offset + 2);
+      const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+
+      if (marker === 0xE1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+        const exif = this.readExif(buffer.subarray(offset + 10, offset + 2 + length));
+        info.orientation = exif.orientation || 1;
+        info.taken = exif.taken;
+        info.description = exif.description;
+        info.thumbnail = exif.thumbnail;
+      } else if (isStartOfFrame) {
+        info.height = buffer.readUInt16BE(offset + 5);
+        info.width = buffer.readUInt16BE(offset + 7);
+      }
+
+      offset += 2 + length;
+    }
+
+    // EXIF orientations 5-8 are rotated a quarter turn, so the photo is shown the other way round
+    if (info.orientation >= 5 && info.width !== null) {
+      [info.width, info.height] = [info.height, info.width];
+    }
+  }
+
+  /**
+   * Pull the orientation, capture date, description and embedded thumbnail out of an EXIF (TIFF) block
+   */
+  readExif(tiff) {
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const read16 = at => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const read32 = at => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+    const readTags = ifdOffset => {
+      const tags = {};
+      const count = read16(ifdOffset);
+      for (let i = 0; i < count; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        tags[read16(entry)] = entry;
+      }
+      return tags;
+    };
+
+    // ASCII values longer than 4 bytes are stored elsewhere, with an offset in the entry
+    const readText = entry => {
+      if (entry === undefined) return null;
+      const length = read32(entry + 4);
+      const start = length > 4 ? read32(entry + 8) : entry + 8;
+      return tiff.toString('latin1', start, start + length).replace(/\0+$/, '').trim();
+    };
+
+    const ifd0Offset = read32(4);
+    const ifd0 = readTags(ifd0Offset);
+    const exifIfd = ifd0[0x8769] !== undefined ? readTags(read32(ifd0[0x8769] + 8)) : {};
+    const dateTime = readText(exifIfd[0x9003]) || readText(ifd0[0x0132]); // DateTimeOriginal, then DateTime
+    const description = readText(ifd0[0x010E]);
+
+    // IFD1, after IFD0, describes the thumbnail: its offset and length are in tags 0x0201/0x0202
+    const ifd1Offset = read32(ifd0Offset + 2 + read16(ifd0Offset) * 12);
+    const ifd1 = ifd1Offset ? readTags(ifd1Offset) : {};
+    let thumbnail = null;
+    if (ifd1[0x0201] !== undefined && ifd1[0x0202] !== undefined) {
+      const start = read32(ifd1[0x0201] + 8);
+      const length = read32(ifd1[0x0202] + 8);
+      if (start + length <= tiff.length) thumbnail = tiff.subarray(start, start + length);
+    }
+
+    return {
+      orientation: ifd0[0x0112] !== undefined ? read16(ifd0[0x0112] + 8) : 1,
+      // '2026:05:03 11:42:10' → '2026-05-03T11:42:10'
+      taken: dateTime ? dateTime.replace(/^(\d{4}):(\d{2}):(\d{2}) /, '$1-$2-$3T') : null,
+      description: description && !PLACEHOLDER_DESCRIPTIONS.test(description) ? description : null,
+      thumbnail
+    };
+  }
+
+  // ── Placeholders ──
+
+  /**
+   * A tiny PNG of the photo as a data URI, shown blurred while the photo loads. It's made from
+   * the EXIF thumbnail when the camera saved one, as decoding the full photo is slow.
+   */
+  createPlaceholder(buffer, info) {
+    const decode = data => jpeg.decode(data, { useTArray: true, maxMemoryUsageInMB: 1024, maxResolutionInMP: 200 });
+    let image;
+    try {
+      image = decode(info.thumbnail || buffer);
+    } catch (error) {
+      if (!info.thumbnail) throw error;
+      image = decode(buffer);
+    }
+
+    const pixels = this.orient(this.shrink(image), info.orientation);
+    return `data:image/png;base64,${this.encodePng(pixels).toString('base64')}`;
+  }
+
+  /**
+   * Average the image down to PLACEHOLDER_SIZE pixels on its long side
+   * @returns {Array<Array<number[]>>} Rows of [r, g, b] pixels
+   */
+  shrink({ width, height, data }) {
+    const scale = PLACEHOLDER_SIZE / Math.max(width, height);
+    const columns = Math.max(1, Math.round(width * scale));
+    const rows = Math.max(1, Math.round(height * scale));
+
+    return Array.from({ length: rows }, (_, row) => Array.from({ length: columns }, (_, column) => {
+      const x0 = Math.floor(column * width / columns);
+      const x1 = Math.floor((column + 1) * width / columns);
+      const y0 = Math.floor(row * height / rows);
+      const y1 = Math.floor((row + 1) * height / rows);
+      const total = [0, 0, 0];
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4; // decoded as RGBA
+          total[0] += data[i];
+          total[1] += data[i + 1];
+          total[2] += data[i + 2];
+        }
+      }
+
+      const count = (x1 - x0) * (y1 - y0);
+      return total.map(value => Math.round(value / count));
+    }));
+  }
+
+  /**
+   * Turn the pixels the way the photo is displayed. The mirrored orientations (2, 4, 5, 7) are
+   * treated as their unmirrored turns, which makes no difference once blurred.
+   */
+  orient(pixels, orientation) {
+    const columns = pixels[0].length;
+    switch (orientation) {
+      case 3:
+      case 4:
+        return pixels.slice().reverse().map(row => row.slice().reverse());
+      case 5:
+      case 6: // A quarter turn clockwise
+        return Array.from({ length: columns }, (_, x) => pixels.map(row => row[x]).reverse());
+      case 7:
+      case 8: // A quarter turn anticlockwise
+        return Array.from({ length: columns }, (_, x) => pixels.map(row => row[columns - 1 - x]));
+      default:
+        return pixels;
+    }
+  }
+
+  /**
+   * Encode rows of [r, g, b] pixels as an 8-bit RGB PNG
+   */
+  encodePng(pixels) {
+    const width = pixels[0].length;
+    const height = pixels.length;
+
+    // Each row starts with its filter type (0, none)
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    pixels.forEach((row, y) => {
+      row.forEach((pixel, x) => raw.set(pixel, y * (width * 3 + 1) + 1 + x * 3));
+    });
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Colour type: RGB
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      this.pngChunk('IHDR', header),
+      this.pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+      this.pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  pngChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    crc.writeUInt32BE(this.crc32(body));
+    return Buffer.concat([length, body, crc]);
+  }
+
+  crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+// Run the generator if called directly
+if (require.main === module) {
+  try {
+    new GalleryManifestGenerator(process.argv[2], process.argv[3]).generate();
+  } catch (error) {
+    console.error('❌ Gallery manifest failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = GalleryManifestGenerator;
@@ -0,0 +1,343 @@
+/**
+ * Calendar Export Module
+ * Builds .ics files (RFC 5545) and Google/Outlook "add event" links for market events
+ * and workshop sessions. All times are wall-clock times in Europe/London.
+ *
+ * An entry looks like:
+ *   { uid, title, description, location, url, allDay: true, start: '2026-11-21', end: '2026-11-22' }
+ *   { uid, title, description, location, url, allDay: false, start: '2026-05-02T10:00', end: '2026-05-02T16:00' }
+ * All-day end dates are inclusive (the last day of the event).
+ */
+
+class CalendarExport {
+  constructor() {
+    this.timeZone = 'Europe/London';
+    this.prodId = '-//Side Quest Market//Events//EN';
+    this.uidDomain = 'sidequestmarket.co.uk';
+
+    // Europe/London rules: BST from the last Sunday in March to the last Sunday in October
+    this.timeZoneDefinition = [
+      'BEGIN:VTIMEZONE',
+      'TZID:Europe/London',
+      'BEGIN:DAYLIGHT',
+      'TZOFFSETFROM:+0000',
+      'TZOFFSETTO:+0100',
+      'TZNAME:BST',
+      'DTSTART:19700329T010000',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0000',
+      'TZNAME:GMT',
+      'DTSTART:19701025T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ];
+  }
+
+  // ── Entries ──
+
+  /**
+   * Calendar entries for a market event: one all-day range when opening times
+   * aren't announced, otherwise one timed entry per day
+   * @param {Object} event - Event from the event manifest
+   * @param {EventManifest} manifest
+   */
+  getEventEntries(event, manifest) {
+    const base = {
+      title: event.title,
+      description: (event.description || []).join('\n\n'),
+      location: manifest.formatVenue(event, true),
+      url: manifest.siteUrl ? `${manifest.siteUrl}/future-events.html` : ''
+    };
+
+    const hasTimes = event.days.every(day => day.open && day.close);
+    if (!hasTimes) {
+      return [{
+        ...base,
+        uid: event.id,
+        allDay: true,
+        start: event.days[0].date,
+        end: event.days[event.days.length - 1].date
+      }];
+    }
+
+    return event.days.map((day, index) => ({
+      ...base,
+      uid: `${event.id}-day${index + 1}`,
+      allDay: false,
+      start: `${day.date}T${day.open}`,
+      end: `${day.date}T${day.close}`
+    }));
+  }
+
+  /**
+   * Calendar entries for workshop sessions
+   * @param {Object} workshop - { id, title, description, location, url }
+   * @param {Array<{start: string, end: string}>} sessions - Local date-times, e.g. '2026-05-02T10:00'
+   */
+  getSessionEntries(workshop, sessions) {
+    return sessions.map((session, index) => ({
+      uid: `${workshop.id}-${index + 1}`,
+      title: workshop.title,
+      description: workshop.description || '',
+      location: workshop.location || '',
+      url: workshop.url || '',
+      allDay: false,
+      start: session.start,
+      end: session.end
+    }));
+  }
+
+  // ── ICS ──
+
+  /**
+   * Build an .ics calendar containing the given entries
+   * @param {Array<Object>} entries
+   * @param {Date} [now] - Timestamp for DTSTAMP
+   * @returns {string}
+   */
+  buildIcs(entries, now = new Date()) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.prodId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+
+    if (entries.some(entry => !entry.allDay)) {
+      lines.push(...this.timeZoneDefinition);
+    }
+
+    entries.forEach(entry => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${entry.uid}@${this.uidDomain}`,
+        `DTSTAMP:${this.formatUtcStamp(now)}`
+      );
+
+      if (entry.allDay) {
+        lines.push(
+          `DTSTART;VALUE=DATE:${this.compactDate(entry.start)}`,
+          // DTEND is exclusive for all-day events
+          `DTEND;VALUE=DATE:${this.compactDate(this.addDays(entry.end, 1))}`
+        );
+      } else {
+        lines.push(
+          `DTSTART;TZID=${this.timeZone}:${this.compactDateTime(entry.start)}`,
+          `DTEND;TZID=${this.timeZone}:${this.compactDateTime(entry.end)}`
+        );
+      }
+
+      lines.push(`SUMMARY:${this.escapeText(entry.title)}`);
+      if (entry.description) lines.push(`DESCRIPTION:${this.escapeText(entry.description)}`);
+      if (entry.location) lines.push(`LOCATION:${this.escapeText(entry.location)}`);
+      if (entry.url) lines.push(`URL:${entry.url}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  getIcsDataUrl(entries) {
+    return `data:text/calendar;charset=utf-8,${encodeURIComponent(this.buildIcs(entries))}`;
+  }
+
+  /**
+   * Escape commas, semicolons, backslashes and newlines in TEXT values
+   */
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold content lines longer than 75 octets onto continuation lines
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+
+    for (const char of line) {
+      const charLength = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts towards their length
+      const limit = parts.length === 0 ? 75 : 74;
+      if (currentLength + charLength > limit) {
+        parts.push(current);
+        current = '';
+        currentLength = 0;
+      }
+      current += char;
+      currentLength += charLength;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  // ── Google and Outlook links ──
+
+  getGoogleUrl(entry) {
+    const dates = entry.allDay
+      ? `${this.compactDate(entry.start)}/${this.compactDate(this.addDays(entry.end, 1))}`
+      : `${this.compactDateTime(entry.start)}/${this.compactDateTime(entry.end)}`;
+
+    const params = new URLSearchParams({
+      action: 'TEMPLATE',
+      text: entry.title,
+      dates,
+      details: [entry.description, entry.url].filter(Boolean).join('\n\n'),
+      location: entry.location
+    });
+    if (!entry.allDay) params.set('ctz', this.timeZone);
+
+    return `https://calendar.google.com/calendar/render?${params.toString()}`;
+  }
+
+  getOutlookUrl(entry) {
+    const params = new URLSearchParams({
+      path: '/calendar/action/compose',
+      rru: 'addevent',
+      subject: entry.title,
+      body: [entry.description, entry.url].filter(Boolean).join('\n\n'),
+      location: entry.location
+    });
+
+    if (entry.allDay) {
+      params.set('startdt', entry.start);
+      params.set('enddt', this.addDays(entry.end, 1));
+      params.set('allday', 'true');
+    } else {
+      // Outlook reads times in the viewer's zone, so send exact UTC instants
+      params.set('startdt', this.londonToUtc(entry.start).toISOString());
+      params.set('enddt', this.londonToUtc(entry.end).toISOString());
+      params.set('allday', 'false');
+    }
+
+    return `https://outlook.live.com/calendar/0/deeplink/compose?${params.toString()}`;
+  }
+
+  // ── Menu ──
+
+  /**
+   * Build an "Add to calendar" menu with an .ics download plus Google and Outlook
+   * links. Entries spanning several timed sessions get one link per session.
+   * @param {Array<Object>} entries
+   * @param {Object} options
+   * @param {string} options.fileName - Download name without extension
+   * @param {string} options.label - Accessible name, e.g. the event title
+   * @param {Function} [options.formatSession] - Label for each session link when there are several
+   */
+  createMenu(entries, { fileName, label, formatSession }) {
+    const menu = document.createElement('details');
+    menu.className = 'calendar-menu';
+
+    const summary = document.createElement('summary');
+    summary.className = 'calendar-menu-toggle';
+    summary.textContent = 'Add to Calendar';
+    summary.setAttribute('aria-label', `Add ${label} to your calendar`);
+    menu.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'calendar-menu-list';
+
+    const download = this.createMenuLink('Download .ics (Apple, Outlook)', this.getIcsDataUrl(entries));
+    download.querySelector('a').download = `${fileName}.ics`;
+    list.appendChild(download);
+
+    const sessionLabel = (entry) => (entries.length > 1 && formatSession ? ` – ${formatSession(entry)}` : '');
+    entries.forEach(entry => {
+      list.appendChild(this.createMenuLink(`Google Calendar${sessionLabel(entry)}`, this.getGoogleUrl(entry), true));
+    });
+    entries.forEach(entry => {
+      list.appendChild(this.createMenuLink(`Outlook${sessionLabel(entry)}`, this.getOutlookUrl(entry), true));
+    });
+
+    menu.appendChild(list);
+    return menu;
+  }
+
+  createMenuLink(text, href, external = false) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.className = 'calendar-menu-link';
+    link.href = href;
+    link.textContent = text;
+
+    if (external) {
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.setAttribute('aria-label', `${text} - opens in new tab`);
+    }
+
+    item.appendChild(link);
+    return item;
+  }
+
+  // ── Date helpers ──
+
+  compactDate(date) {
+    return date.replace(/-/g, '');
+  }
+
+  compactDateTime(dateTime) {
+    const [date, time] = dateTime.split('T');
+    return `${this.compactDate(date)}T${time.replace(':', '')}00`;
+  }
+
+  formatUtcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date string
+   */
+  addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    const result = new Date(Date.UTC(year, month - 1, day + days));
+    return result.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Convert a Europe/London wall-clock time ('2026-05-02T10:00') to a Date
+   */
+  londonToUtc(dateTime) {
+    const [date, time] = dateTime.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Find London's offset from UTC at that moment
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit'
+    }).formatToParts(new Date(asUtc));
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const londonAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+
+    return new Date(asUtc - (londonAsUtc - asUtc));
+  }
+}
+
+// Shared instance used by event and workshop listings (not created when loaded by the build script)
+if (typeof window !== 'undefined') {
+  window.calendarExport = new CalendarExport();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalendarExport;
+}
@@ -0,0 +1,516 @@
+/**
+ * Carousel Engine
+ * One carousel component shared by the hero slideshow, vendor logos, photo gallery and judges.
+ * It handles paging, looping, autoplay, swipe/drag, prev/next buttons, indicators, a counter,
+ * keyboard arrows and screen reader announcements. Callers build the slides; the carousel moves
+ * between them.
+ *
+ * Two modes:
+ *   'slide' - moves the track sideways a page at a time (CSS sizes the slides)
+ *   'fade'  - toggles the active class on one slide at a time (CSS shows the active one)
+ *
+ * Autoplay stops while the tab is hidden or the carousel is scrolled off-screen, and doesn't
+ * start at all for visitors who prefer reduced motion (they can still press play).
+ *
+ * Usage:
+ *   const carousel = new Carousel(root, {
+ *     track: root.querySelector('.my-track'),
+ *     slidesPerView: { 0: 1, 1024: 3 },   // min-width breakpoints
+ *     autoplay: { delay: 4000 },
+ *     prevButton, nextButton, indicators, counter,
+ *     announce: (page, total) => `Showing photo ${page + 1} of ${total}`
+ *   });
+ *   carousel.destroy();
+ */
+
+class Carousel {
+  constructor(root, options = {}) {
+    this.root = root;
+    this.options = {
+      track: null,
+      slideSelector: null,
+      mode: 'slide',
+      slidesPerView: 1,
+      loop: true,
+      startIndex: null,
+      autoplay: false,
+      swipe: true,
+      drag: false,
+      swipeThreshold: 50,
+      keyboard: true,
+      prevButton: null,
+      nextButton: null,
+      playButton: null,
+      playLabels: { play: 'Play slideshow', pause: 'Pause slideshow' },
+      indicators: null,
+      indicatorClass: 'carousel-indicator',
+      indicatorLabel: page => `Go to slide ${page + 1}`,
+      counter: null,
+      counterFormat: (page, total) => `${page + 1} / ${total}`,
+      announce: null,
+      activeClass: 'active',
+      onChange: null,
+      ...options
+    };
+
+    this.track = this.options.track || root;
+    this.autoplay = this.options.autoplay
+      ? { delay: 5000, resumeAfter: null, pauseOnHover: true, pauseOnFocus: true, pauseOffscreen: true, ...this.options.autoplay }
+      : null;
+
+    this.currentIndex = 0;
+    this.slides = [];
+    this.slidesPerView = 1;
+    this.pageCount = 0;
+    this.timer = null;
+    this.resumeTimer = null;
+    this.resizeTimer = null;
+    this.isPlaying = false;
+    this.pauseReasons = new Set();
+    this.pointer = null;
+    this.didSwipe = false;
+    this.listeners = null;
+    this.liveRegion = null;
+    this.observer = null;
+    this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    this.init();
+  }
+
+  init() {
+    this.refresh();
+
+    if (this.options.startIndex !== null) {
+      this.currentIndex = this.clampIndex(this.options.startIndex);
+    } else if (this.options.mode === 'fade') {
+      const active = this.slides.findIndex(slide => slide.classList.contains(this.options.activeClass));
+      this.currentIndex = Math.max(0, active);
+    }
+
+    if (this.options.announce) {
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'sr-only carousel-live-region';
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.liveRegion.setAttribute('aria-atomic', 'true');
+      this.root.appendChild(this.liveRegion);
+    }
+
+    this.bindEvents();
+    this.update();
+
+    if (this.autoplay) {
+      if (this.reducedMotion && this.reducedMotion.matches) {
+        this.pause();
+      } else {
+        this.play();
+      }
+    }
+  }
+
+  // ── Layout ──
+
+  /**
+   * Re-read the slides and the breakpoint, e.g. after the slides have been re-rendered
+   */
+  refresh() {
+    this.slides = this.options.slideSelector
+      ? Array.from(this.track.querySelectorAll(this.options.slideSelector))
+      : Array.from(this.track.children);
+    this.slidesPerView = this.options.mode === 'fade' ? 1 : this.getSlidesPerView();
+    this.pageCount = Math.ceil(this.slides.length / this.slidesPerView);
+    this.currentIndex = this.clampIndex(this.currentIndex);
+    this.renderIndicators();
+    if (this.listeners && !this.listeners.signal.aborted) this.update(); // Not before init() has finished
+  }
+
+  /**
+   * Resolve slidesPerView: a number, or min-width breakpoints such as { 0: 1, 1024: 3 }
+   */
+  getSlidesPerView() {
+    const setting = this.options.slidesPerView;
+    if (typeof setting === 'number') return Math.max(1, setting);
+
+    return Object.keys(setting)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .reduce((perView, minWidth) => (window.innerWidth >= minWidth ? setting[minWidth] : perView), 1);
+  }
+
+  clampIndex(index) {
+    return Math.max(0, Math.min(index, this.pageCount - 1));
+  }
+
+  // ── Navigation ──
+
+  /**
+   * Show a page; with loop on, going past either end wraps round
+   * @param {number} index - Page to show
+   * @param {Object} [options]
+   * @param {boolean} [options.user] - Changed by the visitor, so announce it and hold autoplay
+   */
+  goTo(index, { user = false } = {}) {
+    if (this.pageCount === 0) return;
+
+    let target = index;
+    if (this.options.loop) {
+      target = ((index % this.pageCount) + this.pageCount) % this.pageCount;
+    } else {
+      target = this.clampIndex(index);
+    }
+
+    if (user) this.holdAutoplay();
+    if (target === this.currentIndex) return;
+
+    this.currentIndex = target;
+    this.update();
+
+    if (user) this.announce();
+    if (this.options.onChange) this.options.onChange(this.currentIndex, { user });
+  }
+
+  next(options) {
+    this.goTo(this.currentIndex + 1, options);
+  }
+
+  prev(options) {
+    this.goTo(this.currentIndex - 1, options);
+  }
+
+  update() {
+    const { mode, activeClass } = this.options;
+    const first = this.currentIndex * this.slidesPerView;
+    const last = first + this.slidesPerView;
+
+    if (mode === 'fade') {
+      this.slides.forEach((slide, i) => slide.classList.toggle(activeClass, i === this.currentIndex));
+    } else {
+      this.track.style.transform = `translateX(${-this.currentIndex * 100}%)`;
+    }
+
+    // Keep slides that are out of view away from keyboard focus and screen readers
+    this.slides.forEach((slide, i) => {
+      const hidden = i < first || i >= last;
+      slide.toggleAttribute('inert', hidden);
+      slide.setAttribute('aria-hidden', String(hidden));
+    });
+
+    this.updateButtons();
+    this.updateIndicators();
+    this.updateCounter();
+  }
+
+  updateButtons() {
+    const { prevButton, nextButton, loop } = this.options;
+    const single = this.pageCount <= 1;
+
+    if (prevButton) prevButton.disabled = single || (!loop && this.currentIndex === 0);
+    if (nextButton) nextButton.disabled = single || (!loop && this.currentIndex === this.pageCount - 1);
+  }
+
+  renderIndicators() {
+    const container = this.options.indicators;
+    if (!container) return;
+
+    container.innerHTML = '';
+    for (let i = 0; i < this.pageCount; i++) {
+      const indicator = document.createElement('button');
+      indicator.type = 'button';
+      indicator.className = this.options.indicatorClass;
+      indicator.dataset.slide = i;
+      indicator.setAttribute('aria-label', this.options.indicatorLabel(i, this.pageCount));
+      container.appendChild(indicator);
+    }
+  }
+
+  updateIndicators() {
+    const container = this.options.indicators;
+    if (!container) return;
+
+    Array.from(container.children).forEach((indicator, i) => {
+      const isCurrent = i === this.currentIndex;
+      indicator.classList.toggle('active', isCurrent);
+      if (isCurrent) {
+        indicator.setAttribute('aria-current', 'true');
+      } else {
+        indicator.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  updateCounter() {
+    if (this.options.counter) {
+      this.options.counter.textContent = this.options.counterFormat(this.currentIndex, this.pageCount);
+    }
+  }
+
+  announce() {
+    if (this.liveRegion) {
+      this.liveRegion.textContent = this.options.announce(this.currentIndex, this.pageCount);
+    }
+  }
+
+  // ── Autoplay ──
+
+  play() {
+    if (!this.autoplay) return;
+    this.isPlaying = true;
+    this.startTimer();
+    this.updatePlayButton();
+  }
+
+  pause() {
+    this.isPlaying = false;
+    this.stopTimer();
+    clearTimeout(this.resumeTimer);
+    this.pauseReasons.delete('user');
+    this.updatePlayButton();
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  updatePlayButton() {
+    const button = this.options.playButton;
+    if (!button) return;
+
+    button.dataset.playing = String(this.isPlaying);
+    button.setAttribute('aria-label', this.isPlaying ? this.options.playLabels.pause : this.options.playLabels.play);
+  }
+
+  /**
+   * Timers only run while autoplay is on and nothing (hover, focus, a hidden tab) is holding it
+   */
+  startTimer() {
+    this.stopTimer();
+    if (!this.isPlaying || this.pauseReasons.size > 0 || this.pageCount <= 1) return;
+
+    this.timer = setInterval(() => this.goTo(this.currentIndex + 1), this.autoplay.delay);
+    this.root.classList.remove('paused');
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.autoplay) this.root.classList.add('paused');
+  }
+
+  addPauseReason(reason) {
+    this.pauseReasons.add(reason);
+    this.stopTimer();
+  }
+
+  removePauseReason(reason) {
+    this.pauseReasons.delete(reason);
+    this.startTimer();
+  }
+
+  /**
+   * After the visitor moves the carousel, wait before rotating again so it doesn't jump under them
+   */
+  holdAutoplay() {
+    if (!this.autoplay) return;
+
+    this.addPauseReason('user');
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => this.removePauseReason('user'), this.autoplay.resumeAfter ?? this.autoplay.delay);
+  }
+
+  // ── Events ──
+
+  bindEvents() {
+    this.listeners = new AbortController();
+    const { signal } = this.listeners;
+    const { prevButton, nextButton, indicators, keyboard, swipe, drag } = this.options;
+
+    if (prevButton) prevButton.addEventListener('click', () => this.prev({ user: true }), { signal });
+    if (nextButton) nextButton.addEventListener('click', () => this.next({ user: true }), { signal });
+    if (this.options.playButton) this.options.playButton.addEventListener('click', () => this.togglePlay(), { signal });
+
+    if (indicators) {
+      indicators.addEventListener('click', (e) => {
+        const indicator = e.target.closest('[data-slide]');
+        if (indicator) this.goTo(Number(indicator.dataset.slide), { user: true });
+      }, { signal });
+    }
+
+    if (keyboard) {
+      this.root.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+    }
+
+    if (swipe) {
+      this.root.addEventListener('touchstart', (e) => this.startPointer(e.touches[0], 'touch'), { passive: true, signal });
+      this.root.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false, signal });
+      this.root.addEventListener('touchend', (e) => this.endPointer(e.changedTouches[0]), { passive: true, signal });
+    }
+
+    if (drag) {
+      this.root.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return; // Only left mouse button
+        e.preventDefault();
+        this.startPointer(e, 'mouse');
+      }, { signal });
+      this.root.addEventListener('mouseup', (e) => this.endPointer(e), { signal });
+      this.root.addEventListener('mouseleave', (e) => this.endPointer(e), { signal });
+    }
+
+    // Don't follow a link inside a slide when the click ends a swipe or drag
+    this.root.addEventListener('click', (e) => {
+      if (this.didSwipe) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.didSwipe = false;
+      }
+    }, { capture: true, signal });
+
+    if (this.autoplay) {
+      if (this.autoplay.pauseOnHover) {
+        this.root.addEventListener('mouseenter', () => this.addPauseReason('hover'), { signal });
+        this.root.addEventListener('mouseleave', () => this.removePauseReason('hover'), { signal });
+      }
+
+      if (this.autoplay.pauseOnFocus) {
+        this.root.addEventListener('focusin', () => this.addPauseReason('focus'), { signal });
+        this.root.addEventListener('focusout', (e) => {
+          if (!this.root.contains(e.relatedTarget)) this.removePauseReason('focus');
+        }, { signal });
+      }
+
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+          this.addPauseReason('hidden');
+        } else {
+          this.removePauseReason('hidden');
+        }
+      }, { signal });
+
+      if (this.autoplay.pauseOffscreen && 'IntersectionObserver' in window) {
+        this.observer = new IntersectionObserver(([entry]) => {
+          if (entry.isIntersecting) {
+            this.removePauseReason('offscreen');
+          } else {
+            this.addPauseReason('offscreen');
+          }
+        });
+        this.observer.observe(this.root);
+      }
+
+      // Switching reduced motion on stops the rotation; switching it off leaves it to the play button
+      if (this.reducedMotion) {
+        this.reducedMotion.addEventListener('change', (e) => {
+          if (e.matches) this.pause();
+        }, { signal });
+      }
+    }
+
+    if (typeof this.options.slidesPerView !== 'number') {
+      window.addEventListener('resize', () => {
+        clearTimeout(this.resizeTimer);
+        this.resizeTimer = setTimeout(() => this.handleResize(), 250);
+      }, { signal });
+    }
+  }
+
+  handleKeydown(e) {
+    // Leave arrow keys alone while typing in a form field inside a slide
+    if (e.target.matches('input, textarea, select')) return;
+
+    const actions = {
+      ArrowLeft: () => this.prev({ user: true }),
+      ArrowRight: () => this.next({ user: true }),
+      Home: () => this.goTo(0, { user: true }),
+      End: () => this.goTo(this.pageCount - 1, { user: true })
+    };
+
+    if (actions[e.key]) {
+      e.preventDefault();
+      actions[e.key]();
+    }
+  }
+
+  handleResize() {
+    if (this.getSlidesPerView() === this.slidesPerView) return;
+
+    // Keep the first slide that was in view on screen after the page size changes
+    const firstVisible = this.currentIndex * this.slidesPerView;
+    this.slidesPerView = this.getSlidesPerView();
+    this.pageCount = Math.ceil(this.slides.length / this.slidesPerView);
+    this.currentIndex = this.clampIndex(Math.floor(firstVisible / this.slidesPerView));
+    this.renderIndicators();
+    this.update();
+  }
+
+  startPointer(point, type) {
+    this.pointer = { type, startX: point.clientX, startY: point.clientY, x: point.clientX, y: point.clientY };
+    this.root.classList.add('swiping');
+    if (this.autoplay) this.addPauseReason('swipe');
+  }
+
+  handleTouchMove(e) {
+    if (!this.pointer) return;
+
+    const touch = e.touches[0];
+    this.pointer.x = touch.clientX;
+    this.pointer.y = touch.clientY;
+
+    // Stop the page scrolling once the gesture is clearly sideways
+    const deltaX = Math.abs(this.pointer.x - this.pointer.startX);
+    const deltaY = Math.abs(this.pointer.y - this.pointer.startY);
+    if (deltaX > deltaY && deltaX > 10 && e.cancelable) {
+      e.preventDefault();
+    }
+  }
+
+  endPointer(point) {
+    if (!this.pointer) return;
+
+    const endX = point ? point.clientX : this.pointer.x;
+    const endY = point ? point.clientY : this.pointer.y;
+    const deltaX = endX - this.pointer.startX;
+    const deltaY = Math.abs(endY - this.pointer.startY);
+    this.pointer = null;
+    this.root.classList.remove('swiping');
+    if (this.autoplay) this.removePauseReason('swipe');
+
+    // Only horizontal swipes that beat the threshold move the carousel; anything else is a tap
+    this.didSwipe = Math.abs(deltaX) > this.options.swipeThreshold && Math.abs(deltaX) > deltaY;
+    if (this.didSwipe) {
+      if (deltaX > 0) {
+        this.prev({ user: true });
+      } else {
+        this.next({ user: true });
+      }
+    }
+  }
+
+  // ── Lifecycle ──
+
+  /**
+   * Stop the timers, remove every listener and the generated controls, and leave the slides as found
+   */
+  destroy() {
+    this.pause();
+    clearTimeout(this.resizeTimer);
+    this.listeners.abort();
+    if (this.observer) this.observer.disconnect();
+
+    if (this.options.indicators) this.options.indicators.innerHTML = '';
+    if (this.liveRegion) this.liveRegion.remove();
+    if (this.options.mode === 'slide') this.track.style.transform = '';
+
+    this.slides.forEach(slide => {
+      slide.removeAttribute('inert');
+      slide.removeAttribute('aria-hidden');
+    });
+    this.root.classList.remove('paused', 'swiping');
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Carousel;
+}
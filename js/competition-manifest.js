@@ -0,0 +1,199 @@
+/**
+ * Competition Manifest Module
+ * Loads the painting competitions from data/competition.json: categories, the squad size
+ * limit and the entry deadline for each event's competition
+ */
+
+class CompetitionManifest {
+  /**
+   * @param {string} [url]
+   * @param {CalendarExport} [calendarExport] - Reads the manifest's Europe/London times; defaults to
+   *   the shared window.calendarExport
+   */
+  constructor(url = 'data/competition.json', calendarExport = null) {
+    this.url = url;
+    this.calendarExport = calendarExport;
+    this.competitions = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Fetch the manifest once and cache the result
+   * @returns {Promise<Array>} Resolves with the competition list
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load competitions: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          // Allow a later call to retry instead of caching the failure
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Use already-parsed manifest data, e.g. read from disk by the build script
+   */
+  setData(data) {
+    this.competitions = data.competitions || [];
+    return this.competitions;
+  }
+
+  getCompetition(id) {
+    return this.competitions.find(competition => competition.id === id) || null;
+  }
+
+  getCompetitionForEvent(eventId) {
+    return this.competitions.find(competition => competition.event === eventId) || null;
+  }
+
+  getCategory(competition, categoryId) {
+    return competition.categories.find(category => category.id === categoryId) || null;
+  }
+
+  /**
+   * The moment a Europe/London time from the manifest (e.g. '2026-05-03T12:00') happens, wherever
+   * the visitor is
+   */
+  toDate(londonTime) {
+    return (this.calendarExport || window.calendarExport).londonToUtc(londonTime);
+  }
+
+  /**
+   * Entries are accepted until the deadline (a Europe/London time, e.g. '2026-05-03T12:00')
+   */
+  isOpen(competition, now = new Date()) {
+    return this.toDate(competition.deadline) > now;
+  }
+
+  /**
+   * Group the prizes by tier (winner, runner-up...), in the tier order from the manifest
+   * @returns {Array<{tier: Object, prizes: Array}>} Tiers without prizes are left out
+   */
+  getPrizesByTier(competition) {
+    const prizes = competition.prizes || [];
+
+    return (competition.prizeTiers || [])
+      .map(tier => ({ tier, prizes: prizes.filter(prize => prize.tier === tier.id) }))
+      .filter(group => group.prizes.length > 0);
+  }
+
+  /**
+   * A prize with no categories list is awarded in every category
+   */
+  getPrizeCategories(competition, prize) {
+    if (!prize.categories) return competition.categories;
+    return prize.categories.map(id => this.getCategory(competition, id)).filter(Boolean);
+  }
+
+  /**
+   * Vendor ids of everyone sponsoring a prize, in prize order without repeats
+   */
+  getSponsorIds(competition) {
+    return [...new Set((competition.prizes || []).map(prize => prize.sponsor).filter(Boolean))];
+  }
+
+  getJudges(competition) {
+    return competition.judges || [];
+  }
+
+  /**
+   * The competition's people's-choice vote, if it has one:
+   * { id, opens, closes, photoBase, entries: [{ id, photo }] } with Europe/London times
+   */
+  getPoll(competition) {
+    return competition.peoplesChoice || null;
+  }
+
+  /**
+   * Work out whether people's-choice voting is 'upcoming', 'open' or 'closed'
+   * (opens and closes are Europe/London times, like the entry deadline)
+   */
+  getVotingStatus(poll, now = new Date()) {
+    if (now < this.toDate(poll.opens)) return 'upcoming';
+    if (now < this.toDate(poll.closes)) return 'open';
+    return 'closed';
+  }
+
+  getPollPhotoUrl(poll, entry) {
+    return `${poll.photoBase}/${entry.photo}`;
+  }
+
+  hasResults(competition) {
+    return Boolean(competition.results && competition.results.placements.length > 0);
+  }
+
+  /**
+   * Group the placements by category, in the category order from the manifest, best place first
+   * @returns {Array<{category: Object, placements: Array}>} Categories without placements are left out
+   */
+  getResultsByCategory(competition) {
+    if (!this.hasResults(competition)) return [];
+
+    return competition.categories
+      .map(category => ({
+        category,
+        placements: competition.results.placements
+          .filter(placement => placement.category === category.id)
+          .sort((a, b) => a.place - b.place)
+      }))
+      .filter(group => group.placements.length > 0);
+  }
+
+  /**
+   * Placement photos are filenames from the gallery's contest folder
+   */
+  getPhotoUrl(competition, placement) {
+    return placement.photo ? `${competition.results.photoBase}/${placement.photo}` : null;
+  }
+
+  formatPlace(place) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = place % 100 >= 11 && place % 100 <= 13 ? 'th' : suffixes[place % 10] || 'th';
+    return `${place}${suffix} place`;
+  }
+
+  /**
+   * One-line description of a placement, e.g. "Fantasy, 1st place: The Last Stand by Sam"
+   */
+  describePlacement(competition, placement) {
+    const category = this.getCategory(competition, placement.category);
+    let description = `${category ? category.name : placement.category}, ${this.formatPlace(placement.place)}`;
+    if (placement.title) description += `: ${placement.title}`;
+    if (placement.painter) description += ` by ${placement.painter}`;
+    return description;
+  }
+
+  /**
+   * Find the placement shown in a gallery photo, if any
+   */
+  getPlacementForPhoto(photoUrl) {
+    for (const competition of this.competitions) {
+      if (!this.hasResults(competition)) continue;
+      const placement = competition.results.placements
+        .find(item => this.getPhotoUrl(competition, item) === photoUrl);
+      if (placement) return { competition, placement };
+    }
+    return null;
+  }
+}
+
+// Shared instance used by all competition modules (not created when loaded by the build script)
+if (typeof window !== 'undefined') {
+  window.competitionManifest = new CompetitionManifest();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CompetitionManifest;
+}
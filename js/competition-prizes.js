@@ -0,0 +1,186 @@
+/**
+ * Competition Prizes Module
+ * Renders the prizes card and the sponsors strip from data/competition.json. Each prize names its
+ * sponsor by vendor id, so the sponsor's logo, name and shop link come from data/vendors.json.
+ * Prizes are grouped by tier (winner, runner-up) and can be limited to particular categories.
+ */
+
+class CompetitionPrizes {
+  constructor() {
+    this.container = document.getElementById('competition-prizes');
+    this.logosRow = document.querySelector('.prizes-logos-row');
+    this.sponsorsStrip = document.getElementById('competition-sponsors');
+
+    this.competitionManifest = window.competitionManifest;
+    this.vendorManifest = window.vendorManifest;
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.competitionManifest || !this.vendorManifest) {
+      console.warn('Competition prizes elements not found');
+      return;
+    }
+
+    try {
+      await Promise.all([this.competitionManifest.load(), this.vendorManifest.load()]);
+    } catch (error) {
+      console.error('Error loading competition prizes:', error);
+      return;
+    }
+
+    const competition = this.competitionManifest.getCompetition(this.container.dataset.competition);
+    if (!competition) return;
+
+    this.renderPrizes(competition);
+    this.renderSponsors(competition);
+  }
+
+  renderPrizes(competition) {
+    this.container.innerHTML = '';
+
+    this.competitionManifest.getPrizesByTier(competition).forEach(({ tier, prizes }) => {
+      const intro = document.createElement('p');
+      intro.className = 'prizes-intro-text';
+      intro.textContent = tier.label;
+      this.container.appendChild(intro);
+
+      const list = document.createElement('ul');
+      list.className = `prizes-list prizes-${tier.id}`;
+      prizes.forEach(prize => list.appendChild(this.createPrize(competition, prize)));
+      this.container.appendChild(list);
+    });
+  }
+
+  createPrize(competition, prize) {
+    const item = document.createElement('li');
+    item.className = 'prize-item';
+
+    const icon = document.createElement('span');
+    icon.className = 'prize-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = prize.icon || '🏆';
+    item.appendChild(icon);
+
+    const details = document.createElement('div');
+    details.className = 'prize-details';
+
+    const name = document.createElement('span');
+    name.className = 'prize-name';
+    name.textContent = prize.name;
+    details.appendChild(name);
+
+    if (prize.description) {
+      const description = document.createElement('span');
+      description.className = 'prize-description';
+      description.textContent = prize.description;
+      details.appendChild(description);
+    }
+
+    // Only call out the categories when a prize isn't awarded in all of them
+    const categories = this.competitionManifest.getPrizeCategories(competition, prize);
+    if (categories.length < competition.categories.length) {
+      const note = document.createElement('span');
+      note.className = 'prize-categories';
+      note.textContent = `${categories.map(category => category.name).join(' & ')} only`;
+      details.appendChild(note);
+    }
+
+    item.appendChild(details);
+
+    const sponsor = this.vendorManifest.getVendor(prize.sponsor);
+    if (sponsor) {
+      item.appendChild(this.createLogo(sponsor));
+    }
+
+    return item;
+  }
+
+  /**
+   * Sponsor logo linking to the vendor's shop, or their directory entry if they don't have one
+   */
+  createLogo(vendor, { focusable = true } = {}) {
+    const wrap = document.createElement('div');
+    wrap.className = 'prize-vendor-logo-wrap';
+
+    const link = this.createSponsorLink(vendor);
+    if (!focusable) link.tabIndex = -1;
+
+    const img = document.createElement('img');
+    img.src = this.vendorManifest.getLogoUrl(vendor);
+    img.alt = vendor.name;
+    img.loading = 'lazy';
+
+    link.appendChild(img);
+    wrap.appendChild(link);
+    return wrap;
+  }
+
+  createSponsorLink(vendor) {
+    const link = document.createElement('a');
+    const profileUrl = this.vendorManifest.getProfileUrl(vendor);
+
+    if (profileUrl) {
+      link.href = profileUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+    } else {
+      link.href = this.vendorManifest.getDirectoryUrl(vendor);
+    }
+
+    return link;
+  }
+
+  renderSponsors(competition) {
+    const sponsors = this.competitionManifest.getSponsorIds(competition)
+      .map(id => this.vendorManifest.getVendor(id))
+      .filter(Boolean);
+
+    // The mobile logos row is decorative (the logos are in the list too), so keep it out of the tab order
+    if (this.logosRow) {
+      this.logosRow.innerHTML = '';
+      sponsors.forEach(vendor => this.logosRow.appendChild(this.createLogo(vendor, { focusable: false })));
+    }
+
+    if (!this.sponsorsStrip) return;
+
+    const list = this.sponsorsStrip.querySelector('.sponsors-list');
+    list.innerHTML = '';
+    sponsors.forEach(vendor => {
+      const item = document.createElement('li');
+      item.className = 'sponsor-item';
+
+      const link = this.createSponsorLink(vendor);
+      link.className = 'sponsor-link';
+
+      const img = document.createElement('img');
+      img.src = this.vendorManifest.getLogoUrl(vendor);
+      img.alt = '';
+      img.loading = 'lazy';
+
+      const name = document.createElement('span');
+      name.className = 'sponsor-name';
+      name.textContent = vendor.name;
+
+      link.appendChild(img);
+      link.appendChild(name);
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    this.sponsorsStrip.hidden = sponsors.length === 0;
+  }
+}
+
+// Initialize prizes when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('competition-prizes')) {
+    window.competitionPrizes = new CompetitionPrizes();
+  }
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CompetitionPrizes;
+}
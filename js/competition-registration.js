@@ -0,0 +1,395 @@
+/**
+ * Competition Registration Module
+ * Online pre-registration for the painting competition. Painters choose their categories,
+ * give a model count for each, and get an entry number per category. The form enforces the
+ * rules from data/competition.json: one entry per category and the squad size limit.
+ *
+ * Entries go through an adapter so the backend can be swapped without touching this module.
+ * Set window.competitionEntryAdapter before the page loads to use a real provider. Without one the
+ * form stays closed and painters are pointed to the contact form, except when developing locally,
+ * where the LocalEntryAdapter stand-in is used. See js/local-entry-adapter.js for the interface.
+ */
+
+class CompetitionRegistration {
+  constructor() {
+    this.container = document.getElementById('competition-registration');
+    this.form = document.getElementById('competition-registration-form');
+    this.nameInput = document.getElementById('competition-name');
+    this.emailInput = document.getElementById('competition-email');
+    this.categoryOptions = document.getElementById('competition-categories');
+    this.categoriesError = document.getElementById('competition-categories-error');
+    this.submitBtn = document.getElementById('competition-submit');
+    this.statusDiv = document.getElementById('competition-status');
+    this.confirmation = document.getElementById('competition-registration-confirmation');
+    this.myEntries = document.getElementById('competition-my-entries');
+    this.closedMessage = document.getElementById('competition-registration-closed');
+    this.unavailableMessage = document.getElementById('competition-registration-unavailable');
+
+    this.manifest = window.competitionManifest;
+    this.adapter = window.competitionEntryAdapter || null;
+
+    this.competition = null;
+    this.enteredCategories = new Map();
+    this.lookedUpEmail = '';
+
+    // Same rules as the contact form
+    this.validationRules = {
+      name: {
+        required: true,
+        minLength: 2,
+        maxLength: 50,
+        pattern: /^[a-zA-Z\s'-]+$/
+      },
+      email: {
+        required: true,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+      }
+    };
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.form || !this.manifest) {
+      console.warn('Competition registration elements not found');
+      return;
+    }
+
+    try {
+      await this.manifest.load();
+      this.competition = this.manifest.getCompetition(this.container.dataset.competition);
+    } catch (error) {
+      console.error('Error loading competition:', error);
+    }
+
+    if (!this.competition) {
+      this.container.hidden = true;
+      return;
+    }
+
+    this.container.querySelectorAll('[data-competition-max-squad]').forEach(element => {
+      element.textContent = this.competition.maxSquadSize;
+    });
+
+    if (!this.manifest.isOpen(this.competition)) {
+      this.form.hidden = true;
+      this.closedMessage.hidden = false;
+      return;
+    }
+
+    // Entry numbers handed out with nowhere to send them would never reach the organisers
+    if (!this.adapter) {
+      this.form.hidden = true;
+      this.unavailableMessage.hidden = false;
+      return;
+    }
+
+    this.createCategoryOptions();
+    this.bindEvents();
+  }
+
+  createCategoryOptions() {
+    this.categoryOptions.innerHTML = '';
+
+    this.competition.categories.forEach(category => {
+      const id = `competition-entry-${category.id}`;
+      const option = document.createElement('div');
+      option.className = 'competition-category-option';
+      option.dataset.category = category.id;
+
+      option.innerHTML = `
+        <div class="competition-category-choice">
+          <input type="checkbox" id="${id}" value="${category.id}">
+          <label for="${id}"></label>
+        </div>
+        <div class="competition-category-fields">
+          <label for="${id}-models" class="sr-only">Number of models</label>
+          <input type="number" id="${id}-models" class="form-input competition-models" min="1"
+            max="${this.competition.maxSquadSize}" value="1" disabled>
+          <span class="competition-models-label" aria-hidden="true">models</span>
+          <label for="${id}-title" class="sr-only">Entry name (optional)</label>
+          <input type="text" id="${id}-title" class="form-input competition-entry-title" maxlength="80"
+            placeholder="Entry name (optional)" disabled>
+        </div>
+        <p class="competition-category-note" id="${id}-note"></p>
+      `;
+
+      option.querySelector(`label[for="${id}"]`).textContent = category.name;
+      option.querySelector(`#${id}-models`).setAttribute('aria-label', `${category.name}: number of models`);
+      option.querySelector(`#${id}-title`).setAttribute('aria-label', `${category.name}: entry name (optional)`);
+
+      const checkbox = option.querySelector(`#${id}`);
+      checkbox.setAttribute('aria-describedby', `${id}-note`);
+      checkbox.addEventListener('change', () => this.updateCategoryFields(option));
+
+      this.categoryOptions.appendChild(option);
+    });
+  }
+
+  bindEvents() {
+    this.nameInput.addEventListener('blur', () => this.validateField('name'));
+    this.emailInput.addEventListener('blur', () => {
+      if (this.validateField('email')) this.lookupEntries();
+    });
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+  }
+
+  updateCategoryFields(option) {
+    const checkbox = option.querySelector('input[type="checkbox"]');
+    option.classList.toggle('selected', checkbox.checked);
+    option.querySelectorAll('.competition-category-fields input').forEach(input => {
+      input.disabled = !checkbox.checked;
+    });
+  }
+
+  // ── Existing entries ──
+
+  /**
+   * Fetch the painter's existing entries so entered categories can't be chosen again
+   */
+  async lookupEntries() {
+    const email = this.emailInput.value.trim();
+    if (!email || email.toLowerCase() === this.lookedUpEmail) return;
+
+    try {
+      const entries = await this.adapter.getEntries({ competition: this.competition.id, email });
+      this.lookedUpEmail = email.toLowerCase();
+      this.setEnteredCategories(entries);
+    } catch (error) {
+      // The backend re-checks on submit, so a failed lookup only loses the early warning
+      console.error('Error looking up competition entries:', error);
+    }
+  }
+
+  setEnteredCategories(entries) {
+    this.enteredCategories = new Map(entries.map(entry => [entry.category, entry]));
+
+    this.categoryOptions.querySelectorAll('.competition-category-option').forEach(option => {
+      const entry = this.enteredCategories.get(option.dataset.category);
+      const checkbox = option.querySelector('input[type="checkbox"]');
+      const note = option.querySelector('.competition-category-note');
+
+      option.classList.toggle('entered', Boolean(entry));
+      checkbox.disabled = Boolean(entry);
+      if (entry) checkbox.checked = false;
+      note.textContent = entry ? `Already entered – entry ${entry.entryNumber}` : '';
+      this.updateCategoryFields(option);
+    });
+
+    this.renderMyEntries(entries);
+  }
+
+  renderMyEntries(entries) {
+    if (!this.myEntries) return;
+
+    this.myEntries.innerHTML = '';
+    this.myEntries.hidden = entries.length === 0;
+    if (entries.length === 0) return;
+
+    const heading = document.createElement('h4');
+    heading.className = 'competition-my-entries-title';
+    heading.textContent = 'Your entries';
+    this.myEntries.appendChild(heading);
+    this.myEntries.appendChild(this.createEntryList(entries));
+  }
+
+  createEntryList(entries) {
+    const list = document.createElement('ul');
+    list.className = 'competition-entry-list';
+
+    entries.forEach(entry => {
+      const category = this.manifest.getCategory(this.competition, entry.category);
+      const item = document.createElement('li');
+
+      const number = document.createElement('strong');
+      number.className = 'competition-entry-number';
+      number.textContent = entry.entryNumber;
+
+      const details = document.createElement('span');
+      const models = `${entry.models} ${entry.models === 1 ? 'model' : 'models'}`;
+      details.textContent = ` ${category ? category.name : entry.category}${entry.title ? `: ${entry.title}` : ''} (${models})`;
+
+      item.appendChild(number);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  // ── Validation ──
+
+  validateField(fieldName) {
+    const input = this[`${fieldName}Input`];
+    const value = input.value.trim();
+    const rules = this.validationRules[fieldName];
+    const errorElement = document.getElementById(`${input.id}-error`);
+
+    let errorMessage = '';
+    if (rules.required && !value) {
+      errorMessage = `${fieldName === 'name' ? 'Name' : 'Email'} is required.`;
+    } else if (value && rules.minLength && value.length < rules.minLength) {
+      errorMessage = `Name must be at least ${rules.minLength} characters.`;
+    } else if (value && rules.maxLength && value.length > rules.maxLength) {
+      errorMessage = `Name must not exceed ${rules.maxLength} characters.`;
+    } else if (value && rules.pattern && !rules.pattern.test(value)) {
+      errorMessage = fieldName === 'email'
+        ? 'Please enter a valid email address.'
+        : 'Name can only contain letters, spaces, hyphens, and apostrophes.';
+    }
+
+    this.setFieldError(input, errorElement, errorMessage);
+    return !errorMessage;
+  }
+
+  /**
+   * Check the chosen categories: at least one, none entered before, and squads within the limit
+   * @returns {Array<Object>|null} The entries to submit, or null when invalid
+   */
+  validateEntries() {
+    const max = this.competition.maxSquadSize;
+    const entries = [];
+    let errorMessage = '';
+
+    this.categoryOptions.querySelectorAll('.competition-category-option').forEach(option => {
+      const checkbox = option.querySelector('input[type="checkbox"]');
+      const modelsInput = option.querySelector('.competition-models');
+      const category = this.manifest.getCategory(this.competition, option.dataset.category);
+      if (!checkbox.checked) {
+        this.setFieldError(modelsInput, null, '');
+        return;
+      }
+
+      const models = Number(modelsInput.value);
+      const isValidSize = Number.isInteger(models) && models >= 1 && models <= max;
+      this.setFieldError(modelsInput, null, isValidSize ? '' : 'invalid');
+
+      if (this.enteredCategories.has(category.id)) {
+        errorMessage = errorMessage || `You've already entered ${category.name}. Each category can only be entered once.`;
+      } else if (!isValidSize) {
+        errorMessage = errorMessage || `${category.name}: enter between 1 and ${max} models. Squads can have up to ${max} models.`;
+      }
+
+      entries.push({
+        category: category.id,
+        models,
+        title: option.querySelector('.competition-entry-title').value.trim()
+      });
+    });
+
+    if (!errorMessage && entries.length === 0) {
+      errorMessage = 'Choose at least one category to enter.';
+    }
+
+    this.categoriesError.textContent = errorMessage;
+    return errorMessage ? null : entries;
+  }
+
+  setFieldError(input, errorElement, errorMessage) {
+    const formGroup = input.closest('.form-group');
+    input.classList.toggle('error', Boolean(errorMessage));
+    input.setAttribute('aria-invalid', String(Boolean(errorMessage)));
+    if (formGroup) formGroup.classList.toggle('has-error', Boolean(errorMessage));
+    if (errorElement) errorElement.textContent = errorMessage;
+  }
+
+  // ── Submission ──
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    this.clearStatus();
+
+    const fieldsValid = [this.validateField('name'), this.validateField('email')].every(Boolean);
+    if (fieldsValid) await this.lookupEntries();
+    const entries = this.validateEntries();
+
+    if (!fieldsValid || !entries) {
+      this.showStatus('Please correct the errors above before registering.', 'error');
+      const firstError = this.form.querySelector('.error, input[type="checkbox"]:not(:disabled)');
+      if (firstError) firstError.focus();
+      return;
+    }
+
+    this.setLoadingState(true);
+
+    try {
+      const created = await this.adapter.createEntries({
+        competition: this.competition.id,
+        name: this.nameInput.value.trim(),
+        email: this.emailInput.value.trim(),
+        entries
+      });
+
+      this.showConfirmation(created);
+      this.lookedUpEmail = '';
+      await this.lookupEntries();
+    } catch (error) {
+      console.error('Competition registration failed:', error);
+      this.handleSubmissionError(error);
+    } finally {
+      this.setLoadingState(false);
+    }
+  }
+
+  handleSubmissionError(error) {
+    if (error.code === 'duplicate-category') {
+      const names = (error.categories || [])
+        .map(id => (this.manifest.getCategory(this.competition, id) || { name: id }).name);
+      this.showStatus(`You've already entered ${names.join(' and ')}. Each category can only be entered once.`, 'error');
+      this.lookedUpEmail = '';
+      this.lookupEntries();
+    } else if (error.code === 'squad-size') {
+      this.showStatus(`Squads can have up to ${this.competition.maxSquadSize} models.`, 'error');
+    } else {
+      this.showStatus('Sorry, there was a problem registering your entries. Please try again.', 'error');
+    }
+  }
+
+  showConfirmation(entries) {
+    const list = this.confirmation.querySelector('.competition-confirmation-entries');
+    list.innerHTML = '';
+    list.appendChild(this.createEntryList(entries));
+
+    // Keep the painter's details so they can come back and add another category
+    this.categoryOptions.querySelectorAll('.competition-category-option').forEach(option => {
+      option.querySelector('input[type="checkbox"]').checked = false;
+      option.querySelector('.competition-models').value = 1;
+      option.querySelector('.competition-entry-title').value = '';
+      this.updateCategoryFields(option);
+    });
+
+    this.confirmation.hidden = false;
+    this.confirmation.focus();
+  }
+
+  setLoadingState(isLoading) {
+    this.submitBtn.disabled = isLoading;
+    this.submitBtn.classList.toggle('loading', isLoading);
+    this.submitBtn.textContent = isLoading ? 'Registering...' : 'Register Entries';
+  }
+
+  showStatus(message, type) {
+    this.statusDiv.textContent = message;
+    this.statusDiv.className = `form-status ${type}`;
+    this.statusDiv.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  }
+
+  clearStatus() {
+    this.statusDiv.textContent = '';
+    this.statusDiv.className = 'form-status';
+    this.statusDiv.removeAttribute('role');
+    this.confirmation.hidden = true;
+  }
+}
+
+// Initialize registration when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('competition-registration')) {
+    window.competitionRegistration = new CompetitionRegistration();
+  }
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CompetitionRegistration;
+}
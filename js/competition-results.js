@@ -0,0 +1,135 @@
+/**
+ * Competition Results Module
+ * Once an event is over and its results are in data/competition.json (results.placements), shows
+ * the competition section again with the results in place of its rules, prizes and registration:
+ * each category's placements with the painter, entry title and the winner photo from the gallery's
+ * contest images.
+ */
+
+class CompetitionResults {
+  constructor() {
+    this.section = document.getElementById('competition');
+    this.container = document.getElementById('competition-results');
+    this.grid = this.container ? this.container.querySelector('.competition-results-grid') : null;
+    this.heading = document.getElementById('competition-title');
+    this.intro = document.getElementById('competition-description');
+
+    this.eventManifest = window.eventManifest;
+    this.competitionManifest = window.competitionManifest;
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.section || !this.grid || !this.eventManifest || !this.competitionManifest) {
+      console.warn('Competition results elements not found');
+      return;
+    }
+
+    try {
+      await Promise.all([this.eventManifest.load(), this.competitionManifest.load()]);
+    } catch (error) {
+      console.error('Error loading competition results:', error);
+      return;
+    }
+
+    const competition = this.competitionManifest.getCompetition(this.container.dataset.competition);
+    const event = competition ? this.eventManifest.getEvent(competition.event) : null;
+    if (!event || this.eventManifest.getEventStatus(event) !== 'past') return;
+
+    // The section stays hidden after the event until the organisers publish the results
+    if (!this.competitionManifest.hasResults(competition)) return;
+
+    this.showResults(competition, event);
+  }
+
+  showResults(competition, event) {
+    this.heading.textContent = `${competition.title} Results`;
+    this.intro.textContent = `Congratulations to our winners, and thank you to everyone who entered on ${this.eventManifest.formatDateRange(event, false)}!`;
+
+    this.render(competition);
+    this.container.hidden = false;
+    this.section.classList.add('competition-results-active');
+  }
+
+  render(competition) {
+    this.grid.innerHTML = '';
+
+    this.competitionManifest.getResultsByCategory(competition).forEach(({ category, placements }) => {
+      const article = document.createElement('article');
+      article.className = 'competition-result-category';
+      article.setAttribute('aria-labelledby', `results-${category.id}-heading`);
+
+      const heading = document.createElement('h3');
+      heading.id = `results-${category.id}-heading`;
+      heading.className = 'competition-result-heading';
+      heading.textContent = category.name;
+      article.appendChild(heading);
+
+      const list = document.createElement('ol');
+      list.className = 'competition-placements';
+      placements.forEach(placement => list.appendChild(this.createPlacement(competition, placement)));
+      article.appendChild(list);
+
+      this.grid.appendChild(article);
+    });
+  }
+
+  createPlacement(competition, placement) {
+    const item = document.createElement('li');
+    item.className = `competition-placement place-${placement.place}`;
+
+    const figure = document.createElement('figure');
+    const photoUrl = this.competitionManifest.getPhotoUrl(competition, placement);
+    if (photoUrl) {
+      const img = document.createElement('img');
+      img.src = photoUrl;
+      img.alt = `Winning entry: ${this.competitionManifest.describePlacement(competition, placement)}`;
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      figure.appendChild(img);
+    }
+
+    const caption = document.createElement('figcaption');
+
+    const place = document.createElement('span');
+    place.className = 'competition-place';
+    place.textContent = this.competitionManifest.formatPlace(placement.place);
+    caption.appendChild(place);
+
+    if (placement.title) {
+      const title = document.createElement('span');
+      title.className = 'competition-placement-title';
+      title.textContent = placement.title;
+      caption.appendChild(title);
+    }
+
+    const painter = document.createElement('span');
+    painter.className = 'competition-painter';
+    painter.textContent = placement.painter ? `by ${placement.painter}` : 'Painter to be announced';
+    caption.appendChild(painter);
+
+    if (placement.entryNumber) {
+      const entryNumber = document.createElement('span');
+      entryNumber.className = 'competition-entry-number';
+      entryNumber.textContent = `Entry ${placement.entryNumber}`;
+      caption.appendChild(entryNumber);
+    }
+
+    figure.appendChild(caption);
+    item.appendChild(figure);
+    return item;
+  }
+}
+
+// Initialize results when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('competition-results')) {
+    window.competitionResults = new CompetitionResults();
+  }
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CompetitionResults;
+}
@@ -0,0 +1,556 @@
+/**
+ * Event Listings
+ * Renders event cards, the past events archive, the homepage hero, event details and
+ * footer dates from the shared event manifest. Each part is only rendered if its container
+ * is on the page. Event status (upcoming, on today or past) comes from the event dates, so
+ * listings roll over on their own once an event has happened.
+ */
+
+class EventListings {
+  constructor() {
+    this.eventsGrid = document.querySelector('.events-grid');
+    this.pastEvents = document.getElementById('past-events');
+    this.heroDate = document.querySelector('.hero-date');
+    this.heroList = document.querySelector('.upcoming-events-list');
+    this.heroCta = document.getElementById('hero-ticket-cta');
+    this.heroCountdown = document.getElementById('hero-countdown');
+    this.detailsCard = document.querySelector('.event-details-card');
+    this.footerDates = document.getElementById('footer-event-dates');
+
+    this.manifest = window.eventManifest;
+    this.events = [];
+    this.countdownTimer = null;
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.manifest) {
+      console.warn('Event manifest not found');
+      return;
+    }
+
+    try {
+      await this.manifest.load();
+      this.render();
+    } catch (error) {
+      console.error('Error loading events:', error);
+      if (this.eventsGrid) {
+        this.eventsGrid.innerHTML = '<p class="events-error">Sorry, event details could not be loaded. Please try again later.</p>';
+      }
+    }
+  }
+
+  render(now = new Date()) {
+    this.events = this.manifest.getUpcomingEvents(now);
+
+    if (this.eventsGrid) this.renderEventCards(now);
+    if (this.pastEvents) this.renderPastEvents(now);
+    if (this.heroDate || this.heroList) this.renderHero(now);
+    if (this.heroCta) this.renderHeroCta(now);
+    if (this.heroCountdown) this.renderHeroCountdown(now);
+    if (this.detailsCard) this.renderEventDetails(now);
+    if (this.footerDates) this.renderFooterDates();
+
+    this.startCountdowns();
+  }
+
+  // ── Future events page ──
+
+  renderEventCards(now) {
+    this.eventsGrid.innerHTML = '';
+
+    if (this.events.length === 0) {
+      this.eventsGrid.innerHTML = '<p class="events-empty">No upcoming markets have been announced yet. Check back soon!</p>';
+      return;
+    }
+
+    this.events.forEach((event, index) => {
+      this.eventsGrid.appendChild(this.createEventCard(event, index, now));
+    });
+  }
+
+  createEventCard(event, index, now) {
+    const status = this.manifest.getEventStatus(event, now);
+    const card = document.createElement('article');
+    card.className = `event-card event-${status}`;
+    card.id = `event-${event.id}`;
+    card.dataset.eventId = event.id;
+    card.dataset.status = status;
+    card.setAttribute('aria-labelledby', `${event.id}-title`);
+
+    // Alternate the dice colours between cards, as in the original layout
+    const dice = index % 2 === 0 ? ['purple', 'alt'] : ['alt', 'purple'];
+
+    card.innerHTML = `
+      <div class="event-card-header">
+        ${this.createDiceMarkup(dice[0])}
+        <h3 id="${event.id}-title" class="event-card-title"></h3>
+        ${this.createDiceMarkup(dice[1])}
+      </div>
+      <div class="event-card-content">
+        <div class="event-date-badge">
+          <time datetime="${event.days[0].date}"></time>
+        </div>
+        <div class="event-details">
+          <div class="event-type"></div>
+          <div class="event-venue"></div>
+        </div>
+      </div>
+      <div class="event-card-footer"></div>
+    `;
+
+    card.querySelector('.event-card-title').textContent = event.title;
+    card.querySelector('time').textContent = this.manifest.formatDateRange(event);
+    card.querySelector('.event-type').textContent = this.manifest.getEventTypeLabel(event);
+    card.querySelector('.event-venue').textContent = this.manifest.formatVenue(event);
+
+    const content = card.querySelector('.event-card-content');
+    content.insertBefore(this.createStatusElement(event, status), content.querySelector('.event-details'));
+
+    const times = this.createOpeningTimes(event);
+    if (times) content.querySelector('.event-details').appendChild(times);
+
+    const pricing = this.createPricing(event);
+    if (pricing) content.appendChild(pricing);
+    content.appendChild(this.createDescription(event));
+
+    const footer = card.querySelector('.event-card-footer');
+    footer.appendChild(this.createTicketButton(event, now));
+    if (window.calendarExport) {
+      footer.appendChild(this.createCalendarMenu(event));
+    }
+    return card;
+  }
+
+  /**
+   * "On Today" badge for running events, a countdown for upcoming ones
+   */
+  createStatusElement(event, status) {
+    if (status === 'today') {
+      const badge = document.createElement('div');
+      badge.className = 'event-status-badge';
+      badge.textContent = 'On Today';
+      return badge;
+    }
+
+    return this.createCountdown(event);
+  }
+
+  createCalendarMenu(event) {
+    const calendar = window.calendarExport;
+    return calendar.createMenu(calendar.getEventEntries(event, this.manifest), {
+      fileName: event.id,
+      label: event.title,
+      formatSession: entry => this.manifest.dayNames[this.manifest.parseDate(entry.start.split('T')[0]).getDay()]
+    });
+  }
+
+  createDiceMarkup(colour) {
+    const image = colour === 'purple' ? '01' : '02';
+    return `<div class="dice-decoration dice-${colour}" role="img" aria-label="Decorative gaming dice"
+      data-bg="assets/Dice/Dice full colour-${image}.png"></div>`;
+  }
+
+  createOpeningTimes(event) {
+    const times = this.manifest.getOpeningTimes(event);
+    if (times.length === 0) return null;
+
+    const element = document.createElement('div');
+    element.className = 'event-times';
+    element.textContent = times.map(time => `${time.day}: ${time.text}`).join(' | ');
+    return element;
+  }
+
+  /**
+   * Paid tiers are listed as prices; free tiers become the note underneath
+   */
+  createPricing(event) {
+    const tiers = (event.tickets && event.tickets.tiers) || [];
+    if (tiers.length === 0) return null;
+
+    const pricing = document.createElement('div');
+    pricing.className = 'event-pricing';
+
+    tiers.filter(tier => tier.price > 0).forEach(tier => {
+      const item = document.createElement('div');
+      item.className = 'price-item';
+
+      const label = document.createElement('span');
+      label.className = 'price-label';
+      label.textContent = `${tier.label}:`;
+
+      const value = document.createElement('span');
+      value.className = 'price-value';
+      value.textContent = this.manifest.formatPrice(tier.price);
+
+      item.appendChild(label);
+      item.appendChild(value);
+      pricing.appendChild(item);
+    });
+
+    tiers.filter(tier => !tier.price).forEach(tier => {
+      const note = document.createElement('div');
+      note.className = 'price-note';
+      note.textContent = `${tier.label} Free`;
+      pricing.appendChild(note);
+    });
+
+    return pricing;
+  }
+
+  createDescription(event) {
+    const description = document.createElement('div');
+    description.className = 'event-description';
+
+    (event.description || []).forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      description.appendChild(paragraph);
+    });
+
+    if (event.notice) {
+      const notice = document.createElement('p');
+      notice.className = 'event-notice';
+
+      const title = document.createElement('strong');
+      title.textContent = event.notice.title;
+      notice.appendChild(title);
+      notice.appendChild(document.createElement('br'));
+      notice.appendChild(document.createTextNode(`${event.notice.text} `));
+
+      if (event.notice.email) {
+        const link = document.createElement('a');
+        link.href = `mailto:${event.notice.email}`;
+        link.textContent = event.notice.email;
+        notice.appendChild(link);
+      }
+
+      description.appendChild(notice);
+    }
+
+    return description;
+  }
+
+  /**
+   * Live Eventbrite link once tickets are on sale, otherwise a disabled button
+   */
+  createTicketButton(event, now) {
+    const tickets = this.manifest.getTicketState(event, now);
+    const fragment = document.createDocumentFragment();
+
+    if (tickets.state === 'on-sale') {
+      const link = document.createElement('a');
+      link.className = 'event-cta-btn';
+      link.href = tickets.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = 'Get Tickets';
+      link.setAttribute('aria-label', `Get tickets for ${event.title} - opens Eventbrite in new tab`);
+      fragment.appendChild(link);
+      return fragment;
+    }
+
+    const descriptionId = `${event.id}-tickets-desc`;
+    const button = document.createElement('button');
+    button.className = 'event-cta-btn';
+    button.disabled = true;
+    button.setAttribute('aria-describedby', descriptionId);
+
+    const description = document.createElement('div');
+    description.className = 'sr-only';
+    description.id = descriptionId;
+
+    if (tickets.state === 'sold-out') {
+      button.textContent = 'Sold Out';
+      description.textContent = 'All tickets for this event have been sold';
+    } else {
+      button.textContent = 'Tickets Coming Soon';
+      description.textContent = 'Ticket sales will open closer to the event date';
+    }
+
+    fragment.appendChild(button);
+    fragment.appendChild(description);
+    return fragment;
+  }
+
+  /**
+   * List finished events, newest first, with a link to their photos where there are some
+   */
+  renderPastEvents(now) {
+    const list = this.pastEvents.querySelector('.past-events-list');
+    const pastEvents = this.manifest.getPastEvents(now);
+
+    this.pastEvents.hidden = pastEvents.length === 0;
+    if (!list) return;
+
+    list.innerHTML = '';
+    pastEvents.forEach(event => {
+      const item = document.createElement('li');
+      item.className = 'past-event';
+      item.dataset.eventId = event.id;
+
+      const title = document.createElement('h3');
+      title.className = 'past-event-title';
+      title.textContent = event.title;
+
+      const date = document.createElement('time');
+      date.className = 'past-event-date';
+      date.setAttribute('datetime', event.days[0].date);
+      date.textContent = this.manifest.formatDateRange(event);
+
+      item.appendChild(title);
+      item.appendChild(date);
+
+      const venueText = this.manifest.formatVenue(event);
+      if (venueText) {
+        const venue = document.createElement('p');
+        venue.className = 'past-event-venue';
+        venue.textContent = venueText;
+        item.appendChild(venue);
+      }
+
+      const galleryUrl = this.manifest.getGalleryUrl(event);
+      if (galleryUrl) {
+        const link = document.createElement('a');
+        link.className = 'past-event-gallery-link';
+        link.href = galleryUrl;
+        link.textContent = 'View Photos';
+        link.setAttribute('aria-label', `View photos from ${event.title}, ${date.textContent}`);
+        item.appendChild(link);
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  // ── Countdowns ──
+
+  /**
+   * Build a countdown to an event's opening time. The numbers are filled in by updateCountdowns().
+   * role="timer" keeps screen readers from announcing every tick.
+   */
+  createCountdown(event) {
+    const countdown = document.createElement('div');
+    countdown.className = 'event-countdown';
+    countdown.setAttribute('role', 'timer');
+    countdown.setAttribute('aria-label', `Time until ${event.title} opens`);
+    countdown.dataset.countdown = this.manifest.getStartDateTime(event).toISOString();
+
+    [['days', 'days'], ['hours', 'hrs'], ['minutes', 'mins'], ['seconds', 'secs']].forEach(([unit, label]) => {
+      const part = document.createElement('span');
+      part.className = 'countdown-unit';
+      part.innerHTML = `<span class="countdown-value" data-unit="${unit}">0</span><span class="countdown-label">${label}</span>`;
+      countdown.appendChild(part);
+    });
+
+    return countdown;
+  }
+
+  startCountdowns() {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+
+    if (!document.querySelector('[data-countdown]')) return;
+
+    this.updateCountdowns();
+    this.countdownTimer = setInterval(() => this.updateCountdowns(), 1000);
+  }
+
+  updateCountdowns() {
+    const now = new Date();
+    const countdowns = document.querySelectorAll('[data-countdown]');
+
+    for (const countdown of countdowns) {
+      const remaining = new Date(countdown.dataset.countdown) - now;
+
+      // Once an event opens, re-render so it switches to its "On Today" state
+      if (remaining <= 0) {
+        this.render(now);
+        return;
+      }
+
+      const totalSeconds = Math.floor(remaining / 1000);
+      const values = {
+        days: Math.floor(totalSeconds / 86400),
+        hours: Math.floor(totalSeconds / 3600) % 24,
+        minutes: Math.floor(totalSeconds / 60) % 60,
+        seconds: totalSeconds % 60
+      };
+
+      countdown.querySelectorAll('.countdown-value').forEach(value => {
+        const number = values[value.dataset.unit];
+        value.textContent = value.dataset.unit === 'days' ? number : String(number).padStart(2, '0');
+      });
+    }
+  }
+
+  // ── Homepage ──
+
+  getCity(event) {
+    const venue = this.manifest.getVenue(event);
+    return venue.city || venue.name;
+  }
+
+  /**
+   * "Coming to Nottingham & Leeds — Autumn 2026" plus one line per upcoming event
+   */
+  renderHero(now) {
+    if (this.events.length === 0) {
+      if (this.heroDate) this.heroDate.textContent = 'Thank you for a fantastic market — new dates coming soon';
+      if (this.heroList) this.heroList.innerHTML = '';
+      return;
+    }
+
+    if (this.heroDate) {
+      const nextEvent = this.events[0];
+      if (this.manifest.getEventStatus(nextEvent, now) === 'today') {
+        this.heroDate.textContent = `On Today — ${nextEvent.title}`;
+      } else {
+        const cities = [...new Set(this.events.map(event => this.getCity(event)))];
+        this.heroDate.textContent = `Coming to ${cities.join(' & ')} — ${this.manifest.getSeasonLabel(nextEvent)}`;
+      }
+    }
+
+    if (this.heroList) {
+      this.heroList.innerHTML = '';
+      this.events.forEach(event => {
+        const line = document.createElement('p');
+        const city = document.createElement('strong');
+        city.textContent = this.getCity(event);
+        line.appendChild(city);
+        line.appendChild(document.createTextNode(` — ${this.manifest.formatDateRange(event, false)}`));
+        this.heroList.appendChild(line);
+      });
+    }
+  }
+
+  /**
+   * Link the hero button to the soonest event with tickets on sale
+   */
+  renderHeroCta(now) {
+    const onSale = this.events
+      .map(event => ({ event, tickets: this.manifest.getTicketState(event, now) }))
+      .find(({ tickets }) => tickets.state === 'on-sale');
+
+    if (!onSale) return;
+
+    const link = document.createElement('a');
+    link.id = this.heroCta.id;
+    link.className = 'cta-button';
+    link.href = onSale.tickets.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = 'Get Tickets';
+    link.setAttribute('aria-label', `Get tickets for ${onSale.event.title} - opens Eventbrite in new tab`);
+
+    this.heroCta.replaceWith(link);
+    this.heroCta = link;
+  }
+
+  /**
+   * Countdown to the next event under the hero dates
+   */
+  renderHeroCountdown(now) {
+    const nextEvent = this.events[0];
+    this.heroCountdown.innerHTML = '';
+    this.heroCountdown.hidden = !nextEvent || this.manifest.getEventStatus(nextEvent, now) !== 'upcoming';
+    if (this.heroCountdown.hidden) return;
+
+    const label = document.createElement('span');
+    label.className = 'hero-countdown-label';
+    label.textContent = `${this.getCity(nextEvent)} opens in`;
+
+    this.heroCountdown.appendChild(label);
+    this.heroCountdown.appendChild(this.createCountdown(nextEvent));
+  }
+
+  /**
+   * Promote the next upcoming event in the event details card, or hide the card between seasons
+   */
+  renderEventDetails(now) {
+    const list = this.detailsCard.querySelector('.event-details-list');
+    const event = this.events[0];
+
+    this.detailsCard.hidden = !event;
+    if (!list || !event) return;
+
+    const status = this.manifest.getEventStatus(event, now);
+    const dates = this.manifest.formatDateRange(event);
+    const times = this.manifest.getOpeningTimes(event);
+    const venue = this.manifest.formatVenue(event, true);
+
+    list.innerHTML = '';
+    this.appendDetail(list, status === 'today' ? 'On Today:' : 'Next Event:', event.title);
+    this.appendDetail(list, 'Date:', dates, `Event date is ${dates}`);
+
+    if (times.length > 0) {
+      const timeText = times.map(time => `${time.day}: ${time.text}`);
+      this.appendDetail(list, 'Time:', timeText, `Event time is ${timeText.join(', ')}`);
+    } else {
+      this.appendDetail(list, 'Time:', 'Times to be announced');
+    }
+
+    this.appendDetail(list, 'Venue:', venue, `Event location is ${venue}`);
+
+    const previousCountdown = this.detailsCard.querySelector('.event-countdown');
+    if (previousCountdown) previousCountdown.remove();
+    if (status === 'upcoming') {
+      list.insertAdjacentElement('afterend', this.createCountdown(event));
+    }
+  }
+
+  /**
+   * @param {HTMLElement} list - The <dl> to add to
+   * @param {string} label
+   * @param {string|string[]} value - Multiple values are shown on separate lines
+   * @param {string} [ariaLabel]
+   */
+  appendDetail(list, label, value, ariaLabel) {
+    const item = document.createElement('div');
+    item.className = 'detail-item';
+
+    const term = document.createElement('dt');
+    term.className = 'detail-label';
+    term.textContent = label;
+
+    const definition = document.createElement('dd');
+    definition.className = 'detail-value';
+    if (ariaLabel) definition.setAttribute('aria-label', ariaLabel);
+
+    [].concat(value).forEach((line, index) => {
+      if (index > 0) definition.appendChild(document.createElement('br'));
+      definition.appendChild(document.createTextNode(line));
+    });
+
+    item.appendChild(term);
+    item.appendChild(definition);
+    list.appendChild(item);
+  }
+
+  renderFooterDates() {
+    this.footerDates.innerHTML = '';
+    this.events.forEach(event => {
+      const line = document.createElement('p');
+
+      const time = document.createElement('time');
+      time.setAttribute('datetime', event.days[0].date);
+      time.textContent = `Event Date: ${this.manifest.formatDateRange(event)}`;
+
+      const venue = document.createElement('span');
+      venue.textContent = this.manifest.formatVenue(event, true);
+
+      line.appendChild(time);
+      line.appendChild(document.createTextNode(' | '));
+      line.appendChild(venue);
+      this.footerDates.appendChild(line);
+    });
+  }
+}
+
+// Initialized by SiteManager.initializeModules() in main.js
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventListings;
+}
@@ -0,0 +1,294 @@
+/**
+ * Event Manifest Module
+ * Loads market events from data/events.json and provides date, venue and
+ * ticket helpers shared by the homepage and the future events page.
+ * A past event whose day isn't known can be given just a month ({ "date": "2025-11" }) and a
+ * null venue; it's then shown as "November 2025" with no times or venue.
+ */
+
+class EventManifest {
+  /**
+   * @param {string} [url]
+   * @param {CalendarExport} [calendarExport] - Reads the manifest's Europe/London times; defaults to
+   *   the shared window.calendarExport
+   */
+  constructor(url = 'data/events.json', calendarExport = null) {
+    this.url = url;
+    this.calendarExport = calendarExport;
+    this.siteUrl = '';
+    this.shareImage = '';
+    this.organizer = null;
+    this.venues = {};
+    this.events = [];
+    this.loadPromise = null;
+
+    this.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    this.monthNames = [
+      'January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+    this.dayCountLabels = ['One', 'Two', 'Three', 'Four'];
+  }
+
+  /**
+   * Fetch the manifest once and cache the result
+   * @returns {Promise<Array>} Resolves with the events sorted by start date
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load events: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          // Allow a later call to retry instead of caching the failure
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Use already-parsed manifest data, e.g. read from disk by the build script
+   * @returns {Array} The events sorted by start date
+   */
+  setData(data) {
+    this.siteUrl = data.siteUrl || '';
+    this.shareImage = data.shareImage || '';
+    this.organizer = data.organizer || null;
+    this.venues = data.venues || {};
+    this.events = (data.events || [])
+      .slice()
+      .sort((a, b) => this.getStartDate(a) - this.getStartDate(b));
+    return this.events;
+  }
+
+  /**
+   * Find an event by id
+   */
+  getEvent(id) {
+    return this.events.find(event => event.id === id) || null;
+  }
+
+  /**
+   * Get the venue record for an event
+   */
+  getVenue(event) {
+    if (!event.venue) return null;
+    return this.venues[event.venue] || { name: event.venue };
+  }
+
+  /**
+   * Parse a YYYY-MM-DD string as a local calendar date (a YYYY-MM month as its first day)
+   */
+  parseDate(dateString) {
+    const [year, month, day = 1] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * The moment a Europe/London date or time from the manifest (e.g. '2026-09-01' or
+   * '2026-09-01T09:00') happens, wherever the visitor is. A date on its own means midnight.
+   */
+  toDate(londonTime) {
+    const dateTime = londonTime.includes('T') ? londonTime : `${londonTime}T00:00`;
+    return (this.calendarExport || window.calendarExport).londonToUtc(dateTime);
+  }
+
+  /**
+   * Whether every day of an event has a full date, rather than only the month it was in
+   */
+  hasExactDates(event) {
+    return event.days.every(day => /^\d{4}-\d{2}-\d{2}$/.test(day.date));
+  }
+
+  getStartDate(event) {
+    return this.parseDate(event.days[0].date);
+  }
+
+  getEndDate(event) {
+    const last = this.parseDate(event.days[event.days.length - 1].date);
+    // A month-only date lasts until the end of the month
+    return this.hasExactDates(event) ? last : new Date(last.getFullYear(), last.getMonth() + 1, 0);
+  }
+
+  /**
+   * Get the moment an event opens: the first day's opening time, or midnight if times aren't set
+   */
+  getStartDateTime(event) {
+    const start = this.getStartDate(event);
+    const [hours, minutes] = (event.days[0].open || '00:00').split(':').map(Number);
+    start.setHours(hours, minutes);
+    return start;
+  }
+
+  /**
+   * Work out whether an event is 'upcoming', on 'today' or 'past', by calendar day
+   */
+  getEventStatus(event, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (this.getEndDate(event) < today) return 'past';
+    if (this.getStartDate(event) <= today) return 'today';
+    return 'upcoming';
+  }
+
+  /**
+   * Get events that haven't finished yet, soonest first
+   */
+  getUpcomingEvents(now = new Date()) {
+    return this.events.filter(event => this.getEventStatus(event, now) !== 'past');
+  }
+
+  /**
+   * Get the event that's on today, or failing that the next one coming up
+   */
+  getNextEvent(now = new Date()) {
+    return this.getUpcomingEvents(now)[0] || null;
+  }
+
+  /**
+   * Get finished events, most recent first
+   */
+  getPastEvents(now = new Date()) {
+    return this.events.filter(event => this.getEventStatus(event, now) === 'past').reverse();
+  }
+
+  /**
+   * Get the gallery link for a past event, if photos have been published
+   */
+  getGalleryUrl(event) {
+    return event.gallery || null;
+  }
+
+  /**
+   * Add the English ordinal suffix to a day of the month (1st, 2nd, 3rd, 21st...)
+   */
+  formatOrdinal(day) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = day % 100;
+    const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : suffixes[day % 10] || 'th';
+    return `${day}${suffix}`;
+  }
+
+  /**
+   * Format an event's days, e.g. "Saturday 21st & Sunday 22nd November 2026"
+   * @param {Object} event
+   * @param {boolean} withWeekdays - Include day names ("21st & 22nd November 2026" without)
+   */
+  formatDateRange(event, withWeekdays = true) {
+    if (!this.hasExactDates(event)) {
+      const month = this.getStartDate(event);
+      return `${this.monthNames[month.getMonth()]} ${month.getFullYear()}`;
+    }
+
+    const dates = event.days.map(day => this.parseDate(day.date));
+    const sameMonth = dates.every(date =>
+      date.getMonth() === dates[0].getMonth() && date.getFullYear() === dates[0].getFullYear());
+
+    const formatDay = (date, withMonth) => {
+      const ordinal = this.formatOrdinal(date.getDate());
+      const text = withWeekdays ? `${this.dayNames[date.getDay()]} ${ordinal}` : ordinal;
+      return withMonth ? `${text} ${this.monthNames[date.getMonth()]} ${date.getFullYear()}` : text;
+    };
+
+    if (sameMonth) {
+      const last = dates[dates.length - 1];
+      const dayParts = dates.map(date => formatDay(date, false));
+      return `${dayParts.join(' & ')} ${this.monthNames[last.getMonth()]} ${last.getFullYear()}`;
+    }
+
+    return dates.map(date => formatDay(date, true)).join(' & ');
+  }
+
+  /**
+   * Season and year an event falls in, e.g. "Autumn 2026"
+   */
+  getSeasonLabel(event) {
+    const start = this.getStartDate(event);
+    const seasons = ['Winter', 'Spring', 'Summer', 'Autumn'];
+    const season = seasons[Math.floor(((start.getMonth() + 1) % 12) / 3)];
+    return `${season} ${start.getFullYear()}`;
+  }
+
+  /**
+   * Get the opening times for each day, e.g. [{ day: 'Saturday', text: '10:00 - 16:00' }]
+   * Days without times are left out.
+   */
+  getOpeningTimes(event) {
+    return event.days
+      .filter(day => day.open && day.close)
+      .map(day => ({
+        day: this.dayNames[this.parseDate(day.date).getDay()],
+        text: `${day.open} - ${day.close}`
+      }));
+  }
+
+  /**
+   * Label for the length of an event, e.g. "Two Day Event"
+   */
+  getEventTypeLabel(event) {
+    const count = event.days.length;
+    return `${this.dayCountLabels[count - 1] || count} Day Event`;
+  }
+
+  /**
+   * Format an event's venue ('' when it isn't known)
+   * @param {Object} event
+   * @param {boolean} full - Include street and postcode
+   */
+  formatVenue(event, full = false) {
+    const venue = this.getVenue(event);
+    if (!venue) return '';
+
+    const parts = full
+      ? [venue.name, venue.street, venue.locality, venue.city, venue.postcode]
+      : [venue.name, venue.locality, venue.city];
+
+    // Skip parts already in the venue name, e.g. "Left Bank Leeds" in Leeds
+    return parts
+      .filter((part, index) => part && (index === 0 || !venue.name.includes(part)))
+      .join(', ');
+  }
+
+  formatPrice(price) {
+    if (!price) return 'Free';
+    return Number.isInteger(price) ? `£${price}` : `£${price.toFixed(2)}`;
+  }
+
+  /**
+   * Work out the ticket button state for an event.
+   * Tickets go live on their own once an Eventbrite URL is set and the on-sale date
+   * (if any, a Europe/London date or time) has passed; "sold-out" in the data always wins.
+   * @returns {{state: string, url: string|null}} state is 'on-sale', 'coming-soon' or 'sold-out'
+   */
+  getTicketState(event, now = new Date()) {
+    const tickets = event.tickets || {};
+
+    if (tickets.status === 'sold-out') {
+      return { state: 'sold-out', url: null };
+    }
+
+    const onSaleReached = !tickets.onSale || now >= this.toDate(tickets.onSale);
+    if (tickets.eventbriteUrl && onSaleReached) {
+      return { state: 'on-sale', url: tickets.eventbriteUrl };
+    }
+
+    return { state: 'coming-soon', url: null };
+  }
+}
+
+// Shared instance used by all event-driven modules (not created when loaded by the build script)
+if (typeof window !== 'undefined') {
+  window.eventManifest = new EventManifest();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventManifest;
+}
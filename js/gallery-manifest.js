@@ -0,0 +1,137 @@
+/**
+ * Gallery Manifest Module
+ * Loads the photo galleries from data/gallery.json, which generate-gallery-manifest.js builds from
+ * a local copy of the media folder (s3://side-quest-market/media/<event>/<category>/).
+ * Each photo has its filename, width, height, alt text, capture date and a tiny placeholder image
+ * (a data URI) that's shown blurred while it loads. A category can set its own `base` URL for
+ * photos kept elsewhere in the bucket (the November 2025 ones are in assets/).
+ * Photos can be tagged with what they show, by id from the other data files:
+ *   tags: { vendors: ['bad-nancy'], competition: [{ category: 'fantasy', entry: 'F-001' }], workshops: ['leathercraft'] }
+ */
+
+class GalleryManifest {
+  constructor(url = 'data/gallery.json') {
+    this.url = url;
+    this.mediaBase = '';
+    this.events = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Fetch the manifest once and cache the result
+   * @returns {Promise<Array>} Resolves with the event galleries
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load gallery: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          // Allow a later call to retry instead of caching the failure
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Use already-parsed manifest data, e.g. read from disk by the build script
+   */
+  setData(data) {
+    this.mediaBase = data.mediaBase || '';
+    this.events = data.events || [];
+    return this.events;
+  }
+
+  getEvent(id) {
+    return this.events.find(event => event.id === id) || null;
+  }
+
+  /**
+   * Photos live in media/<event>/<category>/ unless the category gives its own base URL
+   */
+  getPhotoUrl(event, category, photo) {
+    const base = category.base || `${this.mediaBase}/${event.id}/${category.id}`;
+    return `${base}/${photo.file}`;
+  }
+
+  /**
+   * Every photo in an event's gallery, in category order, with its URL and category
+   * @returns {Array<Object>} { src, file, category, categoryLabel, alt, width, height, taken, placeholder, tags }
+   */
+  getPhotos(event) {
+    return event.categories.flatMap(category => category.photos.map(photo => ({
+      src: this.getPhotoUrl(event, category, photo),
+      file: photo.file,
+      category: category.id,
+      categoryLabel: category.label,
+      alt: photo.alt,
+      width: photo.width,
+      height: photo.height,
+      taken: photo.taken,
+      placeholder: photo.placeholder || null,
+      tags: this.getTags(photo)
+    })));
+  }
+
+  /**
+   * A photo's tags as filter keys: 'vendor:<id>', 'workshop:<id>', 'competition:<category id>'
+   * and 'entry:<entry number>'
+   */
+  getTags(photo) {
+    const tags = photo.tags || {};
+    return [...new Set([
+      ...(tags.vendors || []).map(id => `vendor:${id}`),
+      ...(tags.competition || []).flatMap(item => [
+        `competition:${item.category}`,
+        ...(item.entry ? [`entry:${item.entry}`] : [])
+      ]),
+      ...(tags.workshops || []).map(id => `workshop:${id}`)
+    ])];
+  }
+
+  /**
+   * The photos with a tag, event by event, e.g. to link a vendor to the photos of their stall
+   * @returns {Array<{event: Object, photos: Array<Object>}>} Only events with a tagged photo
+   */
+  getTaggedPhotos(tag) {
+    return this.events
+      .map(event => ({ event, photos: this.getPhotos(event).filter(photo => photo.tags.includes(tag)) }))
+      .filter(group => group.photos.length > 0);
+  }
+
+  /**
+   * Links name a photo by its file, without the extension, so they survive photos being added
+   */
+  getPhotoKey(photo) {
+    return photo.file.replace(/\.[^.]+$/, '');
+  }
+
+  /**
+   * Link to an event's gallery, optionally filtered and opened on a photo
+   */
+  getGalleryUrl(event, { category, tag, photo } = {}) {
+    const params = new URLSearchParams({ event: event.id });
+    if (category) params.set('cat', category);
+    if (tag) params.set('tag', tag);
+    if (photo) params.set('photo', this.getPhotoKey(photo));
+    return `gallery.html?${params}`;
+  }
+}
+
+// Shared instance used by the gallery page, home page carousel and vendor directory (not created when loaded by the build script)
+if (typeof window !== 'undefined') {
+  window.galleryManifest = new GalleryManifest();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GalleryManifest;
+}
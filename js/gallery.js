@@ -1,79 +1,47 @@
 /**
- * Gallery - May 2026
- * Images served from S3: s3://side-quest-market/media/may2026/<category>/
+ * Gallery
+ * Photos come from data/gallery.json (js/gallery-manifest.js), which lists each event's photos by
+ * category with their size, alt text and capture date. Visitors can switch between the events'
+ * galleries; the grid's data-event attribute names the one shown first.
  *
- * TO ADD IMAGES: add filenames to the arrays below for each category.
- * The S3 base path is set in S3_BASE.
+ * Photos tagged with a stall, competition entry or workshop can be filtered to with the "Showing"
+ * picker, on its own or together with a category.
+ *
+ * The address follows what's on screen, so it can be shared:
+ * ?event=may2026&cat=miniatures&photo=SQM_May2026_MiniaturesComp_42 opens the gallery on that event
+ * and filter with that photo (named by its file, without the extension) in the lightbox. Links with
+ * the photo's number within the filter (&photo=42, as in the lightbox caption) still work. A tag
+ * filter adds &tag=vendor:bad-nancy.
+ *
+ * TO ADD IMAGES: upload them to s3://side-quest-market/media/<event>/<category>/, copy the same
+ * folders into media/ locally and run `npm run gallery-manifest`.
+ *
+ * The grid renders PAGE_SIZE photos at a time and adds the next page as the visitor scrolls
+ * near the end (or presses "Load more photos"). Each filter remembers how far it was scrolled.
+ *
+ * The lightbox zooms (wheel, pinch, double-click, +/-) and pans (drag, arrow keys when zoomed),
+ * and can go full screen (F), download the original (D) and share a link to the photo (S).
  */
 
-const S3_BASE = 'https://side-quest-market.s3.eu-west-2.amazonaws.com/media/may2026';
-
-const CATEGORIES = {
-  contest: {
-    label: 'Competition',
-    images: [
-      'SQM_May2026_Winners.jpg',
-      ...Array.from({length: 3}, (_, i) => `SQM_May2026_Winners_${i + 2}.jpg`)
-    ]
-  },
-  miniatures: {
-    label: 'Miniatures',
-    images: [
-      'SQM_May2026_MiniaturesComp.jpg',
-      ...Array.from({length: 64}, (_, i) => `SQM_May2026_MiniaturesComp_${i + 2}.jpg`)
-    ]
-  },
-  portrait: {
-    label: 'Portraits',
-    images: [
-      'SQM_May2026_Portrait.jpg',
-      ...Array.from({length: 13}, (_, i) => `SQM_May2026_Portrait_${i + 2}.jpg`)
-    ]
-  },
-  'scenes-l': {
-    label: 'Scenes (Landscape)',
-    images: [
-      'SQM_May2026_Scenes_L.jpg',
-      ...Array.from({length: 48}, (_, i) => `SQM_May2026_Scenes_L_${i + 2}.jpg`)
-    ]
-  },
-  'scenes-p': {
-    label: 'Scenes (Portrait)',
-    images: [
-      'SQM_May2026_Scenes_P.jpg',
-      ...Array.from({length: 215}, (_, i) => `SQM_May2026_Scenes_P_${i + 2}.jpg`)
-    ]
-  },
-  stallfronts: {
-    label: 'Stall Fronts',
-    images: [
-      'SQM_May2026_Stallfront.jpg',
-      ...Array.from({length: 27}, (_, i) => `SQM_May2026_Stallfront_${i + 2}.jpg`)
-    ]
-  }
-};
-
-// ── Build flat list of all images with category metadata ──────────────────────
-let allImages = [];
-Object.entries(CATEGORIES).forEach(([cat, data]) => {
-  data.images.forEach(filename => {
-    allImages.push({
-      src: `${S3_BASE}/${cat}/${filename}`,
-      category: cat,
-      categoryLabel: data.label,
-      alt: `${data.label} photo from Side Quest Market May 2026`
-    });
-  });
-});
+const PAGE_SIZE = 24;
 
 // ── State ─────────────────────────────────────────────────────────────────────
+let galleryEvent = null;
+let allImages = [];
 let activeCategory = 'all';
+let activeTag = ''; // e.g. 'vendor:bad-nancy', see GalleryManifest.getTags
 let visibleImages = [];
+let renderedCount = 0;
 let lightboxIndex = 0;
+let filterPositions = {}; // filter → { count, scrollY } from the last time it was shown in this event
 
 // ── DOM refs ──────────────────────────────────────────────────────────────────
 const grid        = document.getElementById('galleryGrid');
 const emptyMsg    = document.getElementById('galleryEmpty');
+const moreBlock   = document.getElementById('galleryMore');
+const moreBtn     = document.getElementById('galleryLoadMore');
+const statusMsg   = document.getElementById('galleryStatus');
+const filterBar   = document.querySelector('.gallery-filter-bar');
 const lightbox    = document.getElementById('lightbox');
 const lbImg       = document.getElementById('lightboxImg');
 const lbCaption   = document.getElementById('lightboxCaption');
@@ -81,75 +49,321 @@ const lbClose     = document.getElementById('lightboxClose');
 const lbPrev      = document.getElementById('lightboxPrev');
 const lbNext      = document.getElementById('lightboxNext');
 const lbOverlay   = document.getElementById('lightboxOverlay');
-const filterBtns  = document.querySelectorAll('.filter-btn');
+const lbZoomIn    = document.getElementById('lightboxZoomIn');
+const lbZoomOut   = document.getElementById('lightboxZoomOut');
+const lbFullscreen = document.getElementById('lightboxFullscreen');
+const lbDownload  = document.getElementById('lightboxDownload');
+const lbShare     = document.getElementById('lightboxShare');
+const lbStatus    = document.getElementById('lightboxStatus');
+const filterList  = document.querySelector('.gallery-filter-inner');
+const eventPicker = document.getElementById('galleryEventPicker');
+const eventSelect = document.getElementById('galleryEventSelect');
+const tagPicker   = document.getElementById('galleryTagPicker');
+const tagSelect   = document.getElementById('galleryTagSelect');
+const pageTitle   = document.getElementById('page-title');
+const creditMsg   = document.getElementById('galleryCredit');
+const copyright   = document.getElementById('galleryCopyright');
 
 // ── Render grid ───────────────────────────────────────────────────────────────
-function renderGrid() {
-  visibleImages = activeCategory === 'all'
-    ? allImages
-    : allImages.filter(img => img.category === activeCategory);
+// Start the grid again for the active category, showing `count` photos
+function renderGrid(count = PAGE_SIZE) {
+  visibleImages = allImages.filter(img =>
+    (activeCategory === 'all' || img.category === activeCategory) &&
+    (!activeTag || img.tags.includes(activeTag)));
 
   grid.innerHTML = '';
+  renderedCount = 0;
+  emptyMsg.hidden = visibleImages.length > 0;
 
-  if (visibleImages.length === 0) {
-    emptyMsg.hidden = false;
-    return;
-  }
-  emptyMsg.hidden = true;
-
-  visibleImages.forEach((img, index) => {
-    const item = document.createElement('div');
-    item.className = 'gallery-item';
-    item.setAttribute('role', 'button');
-    item.setAttribute('tabindex', '0');
-    item.setAttribute('aria-label', `View ${img.alt}`);
-    item.dataset.index = index;
-
-    const thumb = document.createElement('img');
-    thumb.src = img.src;
-    thumb.alt = img.alt;
-    thumb.loading = 'lazy';
-    thumb.decoding = 'async';
-
-    const overlay = document.createElement('div');
-    overlay.className = 'gallery-item-overlay';
-    const diceIcon = document.createElement('img');
-    diceIcon.src = 'https://side-quest-market.s3.eu-west-2.amazonaws.com/assets/Dice/Dice-white.png';
-    diceIcon.alt = '';
-    diceIcon.className = 'gallery-item-zoom';
-    diceIcon.setAttribute('aria-hidden', 'true');
-    overlay.appendChild(diceIcon);
-
-    item.appendChild(thumb);
-    item.appendChild(overlay);
-    grid.appendChild(item);
-
-    item.addEventListener('click', () => openLightbox(index));
-    item.addEventListener('keydown', e => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        openLightbox(index);
-      }
-    });
+  renderMore(count);
+}
+
+// Add the next photos to the end of the grid
+function renderMore(count = PAGE_SIZE) {
+  const end = Math.min(renderedCount + count, visibleImages.length);
+  const fragment = document.createDocumentFragment();
+
+  for (let index = renderedCount; index < end; index++) {
+    fragment.appendChild(createGridItem(visibleImages[index], index));
+  }
+
+  grid.appendChild(fragment);
+  renderedCount = end;
+  updateMore();
+}
+
+// Make sure the photo at `index` is in the grid, loading whole pages up to it
+function renderUpTo(index) {
+  if (index < renderedCount) return;
+  renderMore(Math.ceil((index + 1 - renderedCount) / PAGE_SIZE) * PAGE_SIZE);
+}
+
+function createGridItem(img, index) {
+  const item = document.createElement('div');
+  item.className = 'gallery-item';
+
+  // The square item holds the photo's place, with its blurred placeholder until it loads. The
+  // button covering it opens the lightbox; a failed photo's "Try again" is added beside it.
+  const thumb = document.createElement('img');
+  thumb.loading = 'lazy';
+  thumb.decoding = 'async';
+  window.photoLoader.load(item, thumb, img);
+
+  const overlay = document.createElement('div');
+  overlay.className = 'gallery-item-overlay';
+  const diceIcon = document.createElement('img');
+  diceIcon.src = 'https://side-quest-market.s3.eu-west-2.amazonaws.com/assets/Dice/Dice-white.png';
+  diceIcon.alt = '';
+  diceIcon.className = 'gallery-item-zoom';
+  diceIcon.setAttribute('aria-hidden', 'true');
+  overlay.appendChild(diceIcon);
+
+  const open = document.createElement('button');
+  open.type = 'button';
+  open.className = 'gallery-item-open';
+  open.setAttribute('aria-label', `View ${img.alt}`);
+  open.dataset.index = index;
+  open.appendChild(overlay);
+  open.addEventListener('click', () => openLightbox(index));
+
+  item.appendChild(thumb);
+  item.appendChild(open);
+
+  return item;
+}
+
+function updateMore() {
+  moreBtn.hidden = renderedCount >= visibleImages.length;
+  statusMsg.textContent = visibleImages.length > 0
+    ? `Showing ${renderedCount} of ${visibleImages.length} photos`
+    : '';
+
+  // Observing again reports straight away, so a tall screen keeps filling until the end is out of reach
+  if (pageObserver) {
+    pageObserver.unobserve(moreBlock);
+    if (!moreBtn.hidden) pageObserver.observe(moreBlock);
+  }
+}
+
+// ── Infinite scroll ───────────────────────────────────────────────────────────
+const pageObserver = 'IntersectionObserver' in window
+  ? new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) renderMore();
+    }, { rootMargin: '800px 0px' })
+  : null;
+
+moreBtn.addEventListener('click', () => {
+  const firstNew = renderedCount;
+  renderMore();
+  // Carry keyboard focus on to the first of the new photos
+  const item = grid.querySelector(`[data-index="${firstNew}"]`);
+  if (item) item.focus();
+});
+
+// Where the top of the grid sits when scrolled to, just below the sticky filter bar
+function getGridTop() {
+  return grid.getBoundingClientRect().top + window.scrollY - filterBar.getBoundingClientRect().bottom - 16;
+}
+
+// ── Events ────────────────────────────────────────────────────────────────────
+// One option per event, only shown once there's more than one gallery to choose from
+function renderEventPicker(events) {
+  eventSelect.innerHTML = '';
+  events.forEach(event => {
+    const option = document.createElement('option');
+    option.value = event.id;
+    option.textContent = event.title;
+    eventSelect.appendChild(option);
+  });
+  eventPicker.hidden = events.length < 2;
+}
+
+// Show an event's gallery from the top, on the given category and tag if it has them
+function showEvent(event, category = 'all', tag = '') {
+  galleryEvent = event;
+  allImages = window.galleryManifest.getPhotos(event);
+  activeCategory = event.categories.some(c => c.id === category) ? category : 'all';
+  activeTag = allImages.some(img => img.tags.includes(tag)) ? tag : '';
+  filterPositions = {};
+
+  eventSelect.value = event.id;
+  pageTitle.textContent = `${event.title} Gallery`;
+  document.title = `Gallery - Side Quest Market | ${event.title}`;
+  renderCredit();
+  renderFilters();
+  renderTagFilter();
+  renderGrid();
+  applyCompetitionResults();
+}
+
+// Credit the event's photographer, if the manifest names one
+function renderCredit() {
+  const photographer = galleryEvent.photographer;
+  creditMsg.hidden = !photographer;
+  copyright.hidden = !photographer;
+  if (!photographer) return;
+
+  [creditMsg, copyright].forEach(el => {
+    const link = el.querySelector('a');
+    link.href = photographer.url;
+    link.textContent = photographer.name;
   });
 }
 
+eventSelect.addEventListener('change', () => {
+  const event = window.galleryManifest.getEvent(eventSelect.value);
+  if (!event) return;
+
+  const scrollY = window.scrollY;
+  const gridTop = getGridTop();
+  showEvent(event);
+  window.scrollTo({ top: Math.min(scrollY, gridTop), behavior: 'instant' });
+  updateUrl();
+});
+
+// ── Address ───────────────────────────────────────────────────────────────────
+// Keep ?event=&cat=&tag=&photo= in step with the page without adding history entries
+function updateUrl() {
+  const params = new URLSearchParams(window.location.search);
+  params.set('event', galleryEvent.id);
+  if (activeCategory === 'all') {
+    params.delete('cat');
+  } else {
+    params.set('cat', activeCategory);
+  }
+  if (activeTag) {
+    params.set('tag', activeTag);
+  } else {
+    params.delete('tag');
+  }
+  if (lightbox.classList.contains('open')) {
+    params.set('photo', window.galleryManifest.getPhotoKey(visibleImages[lightboxIndex]));
+  } else {
+    params.delete('photo');
+  }
+
+  history.replaceState(history.state, '', `${window.location.pathname}?${params}${window.location.hash}`);
+}
+
+// Where the photo a link names is in the filter, or -1. Older links give its number instead.
+function findLinkedPhoto(value) {
+  if (!value) return -1;
+  const index = visibleImages.findIndex(img => window.galleryManifest.getPhotoKey(img) === value);
+  if (index !== -1 || !/^\d+$/.test(value)) return index;
+  const number = parseInt(value, 10);
+  return number >= 1 && number <= visibleImages.length ? number - 1 : -1;
+}
+
 // ── Filter ────────────────────────────────────────────────────────────────────
-filterBtns.forEach(btn => {
-  btn.addEventListener('click', () => {
-    filterBtns.forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    activeCategory = btn.dataset.category;
-    renderGrid();
+// One button per category in the event's gallery, after "All"
+function renderFilters() {
+  filterList.innerHTML = '';
+
+  const categories = [{ id: 'all', label: 'All' }, ...galleryEvent.categories];
+  categories.forEach(category => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'filter-btn';
+    btn.classList.toggle('active', category.id === activeCategory);
+    btn.dataset.category = category.id;
+    btn.textContent = category.label;
+    filterList.appendChild(btn);
+  });
+}
+
+// Tagged stalls, competition entries and workshops in the event, with how many photos show each
+const TAG_GROUPS = { vendor: 'Stalls', competition: 'Competition', entry: 'Competition', workshop: 'Workshops' };
+
+function renderTagFilter() {
+  const counts = new Map();
+  allImages.forEach(img => img.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+  tagSelect.innerHTML = '';
+  tagSelect.appendChild(new Option('All photos', ''));
+
+  const groups = new Map();
+  counts.forEach((count, tag) => {
+    const label = TAG_GROUPS[tag.split(':')[0]];
+    if (!label) return;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(new Option(`${getTagLabel(tag)} (${count})`, tag));
+  });
+
+  groups.forEach((options, label) => {
+    const group = document.createElement('optgroup');
+    group.label = label;
+    options
+      .sort((a, b) => a.textContent.localeCompare(b.textContent, 'en', { numeric: true }))
+      .forEach(option => group.appendChild(option));
+    tagSelect.appendChild(group);
+  });
+
+  tagSelect.value = activeTag;
+  tagPicker.hidden = groups.size === 0;
+}
+
+// Name a tag from the vendor, competition and workshop data, falling back to its id until they load
+function getTagLabel(tag) {
+  const separator = tag.indexOf(':');
+  const type = tag.slice(0, separator);
+  const id = tag.slice(separator + 1);
+
+  if (type === 'vendor') {
+    const vendor = window.vendorManifest && window.vendorManifest.getVendor(id);
+    return vendor ? vendor.name : id;
+  }
+  if (type === 'workshop') {
+    const workshop = window.workshopManifest && window.workshopManifest.getWorkshop(id);
+    return workshop ? workshop.title : id;
+  }
+  if (type === 'competition') {
+    const manifest = window.competitionManifest;
+    const competition = manifest && manifest.getCompetitionForEvent(galleryEvent.id);
+    const category = competition && manifest.getCategory(competition, id);
+    return category ? category.name : id;
+  }
+  return `Entry ${id}`;
+}
+
+function loadTagLabels() {
+  const manifests = [window.vendorManifest, window.workshopManifest, window.competitionManifest].filter(Boolean);
+  Promise.allSettled(manifests.map(manifest => manifest.load())).then(renderTagFilter);
+}
+
+// Switching filters keeps your place: a filter you've seen before opens where you left it,
+// and a new one starts from the top of the grid (without jumping if you're already above it)
+function changeFilter(category, tag) {
+  const scrollY = window.scrollY;
+  filterPositions[`${activeCategory}|${activeTag}`] = { count: renderedCount, scrollY };
+
+  activeCategory = category;
+  activeTag = tag;
+  filterList.querySelectorAll('.filter-btn').forEach(b => {
+    b.classList.toggle('active', b.dataset.category === activeCategory);
   });
+
+  const saved = filterPositions[`${activeCategory}|${activeTag}`];
+  const gridTop = getGridTop();
+  renderGrid(saved ? saved.count : PAGE_SIZE);
+  window.scrollTo({ top: saved ? saved.scrollY : Math.min(scrollY, gridTop), behavior: 'instant' });
+  updateUrl();
+}
+
+filterList.addEventListener('click', e => {
+  const btn = e.target.closest('.filter-btn');
+  if (!btn || btn.dataset.category === activeCategory) return;
+  changeFilter(btn.dataset.category, activeTag);
 });
 
+tagSelect.addEventListener('change', () => changeFilter(activeCategory, tagSelect.value));
+
 // ── Lightbox ──────────────────────────────────────────────────────────────────
 function openLightbox(index) {
   lightboxIndex = index;
-  updateLightbox();
   lightbox.setAttribute('aria-hidden', 'false');
   lightbox.classList.add('open');
+  updateLightbox();
+  resetZoom();
   document.body.style.overflow = 'hidden';
   lbClose.focus();
 }
@@ -158,23 +372,51 @@ function closeLightbox() {
   lightbox.setAttribute('aria-hidden', 'true');
   lightbox.classList.remove('open');
   document.body.style.overflow = '';
+  resetZoom();
+  showStatus('');
+  if (document.fullscreenElement === lightbox) document.exitFullscreen();
+
+  // The lightbox can step past the photos loaded so far, so load up to the one being viewed
+  // and put focus back on it in the grid
+  renderUpTo(lightboxIndex);
+  const item = grid.querySelector(`[data-index="${lightboxIndex}"]`);
+  if (item) item.focus();
+  updateUrl();
 }
 
 function updateLightbox() {
   const img = visibleImages[lightboxIndex];
   lbImg.src = img.src;
   lbImg.alt = img.alt;
-  lbCaption.textContent = `${img.categoryLabel} — Photo ${lightboxIndex + 1} of ${visibleImages.length}`;
+  if (img.width && img.height) {
+    lbImg.width = img.width;
+    lbImg.height = img.height;
+  } else {
+    lbImg.removeAttribute('width');
+    lbImg.removeAttribute('height');
+  }
+  lbDownload.href = img.src;
+  lbDownload.download = img.file;
+  lbCaption.textContent = `${img.caption || img.categoryLabel} — Photo ${lightboxIndex + 1} of ${visibleImages.length}`;
   lbPrev.style.visibility = lightboxIndex > 0 ? 'visible' : 'hidden';
   lbNext.style.visibility = lightboxIndex < visibleImages.length - 1 ? 'visible' : 'hidden';
+  updateUrl();
 }
 
 function prevImage() {
-  if (lightboxIndex > 0) { lightboxIndex--; updateLightbox(); }
+  if (lightboxIndex > 0) { lightboxIndex--; updateLightbox(); resetZoom(); }
 }
 
 function nextImage() {
-  if (lightboxIndex < visibleImages.length - 1) { lightboxIndex++; updateLightbox(); }
+  if (lightboxIndex < visibleImages.length - 1) { lightboxIndex++; updateLightbox(); resetZoom(); }
+}
+
+// Short message over the photo ("Link copied"), read out by screen readers
+let statusTimer = null;
+function showStatus(message) {
+  clearTimeout(statusTimer);
+  lbStatus.textContent = message;
+  if (message) statusTimer = setTimeout(() => { lbStatus.textContent = ''; }, 4000);
 }
 
 lbClose.addEventListener('click', closeLightbox);
@@ -182,20 +424,345 @@ lbOverlay.addEventListener('click', closeLightbox);
 lbPrev.addEventListener('click', prevImage);
 lbNext.addEventListener('click', nextImage);
 
+// ── Zoom & pan ────────────────────────────────────────────────────────────────
+// Wheel and pinch zoom with the same steps and limits as the site map (js/site-map.js), and
+// dragging around a zoomed photo. The photo is moved with a transform rather than scrolled, so
+// zooming keeps the point under the pointer (or between the fingers) where it is.
+const MIN_ZOOM  = 1;
+const MAX_ZOOM  = 4;
+const ZOOM_STEP = 0.5;
+const PAN_STEP  = 50;
+
+let zoomLevel = 1;
+let panX = 0;
+let panY = 0;
+let gesture = null; // { type: 'drag' | 'pinch' | 'swipe', ... } while a mouse button or finger is down
+
+// Zoom to `level` around a point given relative to the photo's unzoomed centre
+function zoomTo(level, originX = 0, originY = 0) {
+  const next = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, level));
+  const ratio = next / zoomLevel;
+  panX = originX - (originX - panX) * ratio;
+  panY = originY - (originY - panY) * ratio;
+  zoomLevel = next;
+  applyZoom();
+}
+
+function resetZoom() {
+  zoomLevel = 1;
+  panX = 0;
+  panY = 0;
+  applyZoom();
+}
+
+function applyZoom() {
+  // Stop the photo being dragged past its edges
+  const maxX = Math.max(0, (lbImg.offsetWidth * zoomLevel - lightbox.clientWidth) / 2);
+  const maxY = Math.max(0, (lbImg.offsetHeight * zoomLevel - lightbox.clientHeight) / 2);
+  panX = Math.max(-maxX, Math.min(maxX, panX));
+  panY = Math.max(-maxY, Math.min(maxY, panY));
+
+  lbImg.style.transform = zoomLevel > 1 ? `translate(${panX}px, ${panY}px) scale(${zoomLevel})` : '';
+  lightbox.classList.toggle('zoomed', zoomLevel > 1);
+  lbZoomIn.disabled = zoomLevel >= MAX_ZOOM;
+  lbZoomOut.disabled = zoomLevel <= MIN_ZOOM;
+}
+
+// A screen point relative to the photo's unzoomed centre
+function getZoomOrigin(clientX, clientY) {
+  const rect = lbImg.getBoundingClientRect();
+  return [clientX - (rect.left + rect.width / 2 - panX), clientY - (rect.top + rect.height / 2 - panY)];
+}
+
+function panBy(dx, dy) {
+  panX += dx;
+  panY += dy;
+  applyZoom();
+}
+
+function startDrag(point) {
+  gesture = { type: 'drag', x: point.clientX - panX, y: point.clientY - panY };
+  lightbox.classList.add('panning');
+}
+
+function endGesture() {
+  gesture = null;
+  lightbox.classList.remove('panning');
+}
+
+lbZoomIn.addEventListener('click', () => zoomTo(zoomLevel + ZOOM_STEP));
+lbZoomOut.addEventListener('click', () => zoomTo(zoomLevel - ZOOM_STEP));
+lbImg.addEventListener('dblclick', e => {
+  if (zoomLevel > 1) {
+    resetZoom();
+  } else {
+    zoomTo(2, ...getZoomOrigin(e.clientX, e.clientY));
+  }
+});
+
+lightbox.addEventListener('wheel', e => {
+  e.preventDefault();
+  zoomTo(zoomLevel + (e.deltaY > 0 ? -ZOOM_STEP : ZOOM_STEP), ...getZoomOrigin(e.clientX, e.clientY));
+}, { passive: false });
+
+// Mouse drag
+lbImg.addEventListener('mousedown', e => {
+  if (zoomLevel <= 1 || e.button !== 0) return;
+  e.preventDefault();
+  startDrag(e);
+});
+window.addEventListener('mousemove', e => {
+  if (!gesture || gesture.type !== 'drag') return;
+  panX = e.clientX - gesture.x;
+  panY = e.clientY - gesture.y;
+  applyZoom();
+});
+window.addEventListener('mouseup', () => {
+  if (gesture && gesture.type === 'drag') endGesture();
+});
+
+// Touch: pinch to zoom, one finger drags a zoomed photo or swipes to the next/previous one
+const getTouchDistance = (a, b) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+
+lightbox.addEventListener('touchstart', e => {
+  const touches = e.touches;
+  if (touches.length === 2) {
+    e.preventDefault();
+    gesture = { type: 'pinch', distance: getTouchDistance(touches[0], touches[1]), zoom: zoomLevel };
+    lightbox.classList.add('panning');
+  } else if (touches.length === 1 && zoomLevel > 1) {
+    startDrag(touches[0]);
+  } else if (touches.length === 1) {
+    gesture = { type: 'swipe', x: touches[0].clientX };
+  }
+}, { passive: false });
+
+lightbox.addEventListener('touchmove', e => {
+  if (!gesture) return;
+  const touches = e.touches;
+
+  if (gesture.type === 'pinch' && touches.length === 2) {
+    e.preventDefault();
+    const scale = getTouchDistance(touches[0], touches[1]) / gesture.distance;
+    const centreX = (touches[0].clientX + touches[1].clientX) / 2;
+    const centreY = (touches[0].clientY + touches[1].clientY) / 2;
+    zoomTo(gesture.zoom * scale, ...getZoomOrigin(centreX, centreY));
+  } else if (gesture.type === 'drag') {
+    e.preventDefault();
+    panX = touches[0].clientX - gesture.x;
+    panY = touches[0].clientY - gesture.y;
+    applyZoom();
+  }
+}, { passive: false });
+
+lightbox.addEventListener('touchend', e => {
+  if (!gesture) return;
+
+  if (gesture.type === 'swipe') {
+    const delta = e.changedTouches[0].clientX - gesture.x;
+    if (Math.abs(delta) > 50) delta < 0 ? nextImage() : prevImage();
+  }
+
+  if (e.touches.length === 0) {
+    endGesture();
+  } else if (gesture.type === 'pinch' && zoomLevel > 1) {
+    // Lifting one finger of a pinch carries on as a drag with the other
+    startDrag(e.touches[0]);
+  }
+});
+
+window.addEventListener('resize', () => {
+  if (lightbox.classList.contains('open')) applyZoom();
+});
+
+// ── Full screen, download & share ─────────────────────────────────────────────
+lbFullscreen.hidden = !document.fullscreenEnabled;
+
+function toggleFullscreen() {
+  if (!document.fullscreenEnabled) return;
+  if (document.fullscreenElement) {
+    document.exitFullscreen();
+  } else {
+    lightbox.requestFullscreen().catch(error => console.error('Error entering full screen:', error));
+  }
+}
+
+document.addEventListener('fullscreenchange', () => {
+  lbFullscreen.setAttribute('aria-pressed', String(document.fullscreenElement === lightbox));
+});
+
+// Browsers ignore the download attribute on links to another site (the photos are on S3), so
+// fetch the original and save it from a blob URL instead. That needs the bucket's CORS rule
+// (.github/S3_SETUP.md); if the fetch fails, open the photo in a new tab to be saved from there.
+function downloadPhoto() {
+  const img = visibleImages[lightboxIndex];
+
+  fetch(img.src)
+    .then(response => {
+      if (!response.ok) throw new Error(`Failed to download photo: ${response.status}`);
+      return response.blob();
+    })
+    .then(blob => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = img.file;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url));
+    })
+    .catch(error => {
+      console.error('Error downloading photo:', error);
+      const tab = window.open(img.src, '_blank');
+      if (tab) {
+        tab.opener = null;
+      } else {
+        showStatus("Sorry, the photo couldn't be downloaded. Please try again later.");
+      }
+    });
+}
+
+// Share the address, which updateUrl keeps pointing at this photo. Without the Web Share API
+// (most desktop browsers) the link is copied instead.
+function sharePhoto() {
+  const img = visibleImages[lightboxIndex];
+  const url = window.location.href;
+
+  if (navigator.share) {
+    navigator.share({ title: `${galleryEvent.title} Gallery - Side Quest Market`, text: img.caption || img.alt, url })
+      .catch(error => {
+        if (error.name !== 'AbortError') copyLink(url);
+      });
+  } else {
+    copyLink(url);
+  }
+}
+
+function copyLink(url) {
+  const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('No clipboard'));
+  copied
+    .then(() => showStatus('Link copied'))
+    .catch(() => showStatus('Copy the address from your browser to share this photo'));
+}
+
+lbFullscreen.addEventListener('click', toggleFullscreen);
+lbShare.addEventListener('click', sharePhoto);
+lbDownload.addEventListener('click', e => {
+  e.preventDefault();
+  downloadPhoto();
+});
+
+// ── Keyboard shortcuts ────────────────────────────────────────────────────────
 document.addEventListener('keydown', e => {
   if (!lightbox.classList.contains('open')) return;
-  if (e.key === 'Escape')      closeLightbox();
-  if (e.key === 'ArrowLeft')   prevImage();
-  if (e.key === 'ArrowRight')  nextImage();
+  // Leave the browser's own shortcuts (Ctrl+0, Ctrl+S, Ctrl+D...) alone
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const zoomed = zoomLevel > 1;
+
+  switch (e.key) {
+    case 'Escape':
+      closeLightbox();
+      break;
+    case 'ArrowLeft':
+      e.preventDefault();
+      zoomed ? panBy(PAN_STEP, 0) : prevImage();
+      break;
+    case 'ArrowRight':
+      e.preventDefault();
+      zoomed ? panBy(-PAN_STEP, 0) : nextImage();
+      break;
+    case 'ArrowUp':
+      if (!zoomed) return;
+      e.preventDefault();
+      panBy(0, PAN_STEP);
+      break;
+    case 'ArrowDown':
+      if (!zoomed) return;
+      e.preventDefault();
+      panBy(0, -PAN_STEP);
+      break;
+    case '+':
+    case '=':
+      e.preventDefault();
+      zoomTo(zoomLevel + ZOOM_STEP);
+      break;
+    case '-':
+      e.preventDefault();
+      zoomTo(zoomLevel - ZOOM_STEP);
+      break;
+    case '0':
+      e.preventDefault();
+      resetZoom();
+      break;
+    case 'f':
+    case 'F':
+      e.preventDefault();
+      toggleFullscreen();
+      break;
+    case 'd':
+    case 'D':
+      e.preventDefault();
+      downloadPhoto();
+      break;
+    case 's':
+    case 'S':
+      e.preventDefault();
+      sharePhoto();
+      break;
+  }
 });
 
-// Touch swipe support for lightbox
-let touchStartX = 0;
-lightbox.addEventListener('touchstart', e => { touchStartX = e.touches[0].clientX; }, { passive: true });
-lightbox.addEventListener('touchend', e => {
-  const delta = e.changedTouches[0].clientX - touchStartX;
-  if (Math.abs(delta) > 50) delta < 0 ? nextImage() : prevImage();
-}, { passive: true });
+// ── Competition results ───────────────────────────────────────────────────────
+// Caption the contest photos with the category, place and painter from data/competition.json
+function applyCompetitionResults() {
+  const manifest = window.competitionManifest;
+  if (!manifest) return;
+
+  manifest.load()
+    .then(() => {
+      allImages.forEach(img => {
+        const match = manifest.getPlacementForPhoto(img.src);
+        if (!match) return;
+        img.caption = manifest.describePlacement(match.competition, match.placement);
+        img.alt = `Winning entry: ${img.caption}`;
+      });
+      renderGrid(renderedCount);
+      if (lightbox.classList.contains('open')) updateLightbox();
+    })
+    .catch(error => console.error('Error loading competition results:', error));
+}
 
 // ── Init ──────────────────────────────────────────────────────────────────────
-renderGrid();
+function initGallery() {
+  const manifest = window.galleryManifest;
+
+  manifest.load()
+    .then(() => {
+      const params = new URLSearchParams(window.location.search);
+      const event = manifest.getEvent(params.get('event')) || manifest.getEvent(grid.dataset.event);
+      if (!event) throw new Error(`No gallery for event: ${params.get('event') || grid.dataset.event}`);
+
+      renderEventPicker(manifest.events);
+      showEvent(event, params.get('cat'), params.get('tag'));
+      loadTagLabels();
+
+      // A shared photo link opens straight into the lightbox
+      const photo = findLinkedPhoto(params.get('photo'));
+      if (photo !== -1) {
+        renderUpTo(photo);
+        openLightbox(photo);
+      } else {
+        updateUrl();
+      }
+    })
+    .catch(error => {
+      console.error('Error loading gallery:', error);
+      emptyMsg.textContent = "Sorry, the photos couldn't be loaded. Please try again later.";
+      emptyMsg.hidden = false;
+      moreBtn.hidden = true;
+    });
+}
+
+initGallery();
@@ -0,0 +1,93 @@
+/**
+ * Hero Slide Manifest Module
+ * Loads the hero banner slides from data/hero-slides.json. Each slide has:
+ *   images  - { desktop, mobile } image URLs; leave one null to show the slide on one layout only
+ *   alt     - alt text for the image
+ *   caption - optional text shown over the banner
+ *   url     - optional link for the whole banner (tickets, competition, workshops...)
+ *   starts / ends - optional Europe/London times (e.g. '2026-03-01T09:00') the slide is shown between
+ */
+
+class HeroSlideManifest {
+  /**
+   * @param {string} [url]
+   * @param {CalendarExport} [calendarExport] - Reads the slides' Europe/London times; defaults to
+   *   the shared window.calendarExport
+   */
+  constructor(url = 'data/hero-slides.json', calendarExport = null) {
+    this.url = url;
+    this.calendarExport = calendarExport;
+    this.slides = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Fetch the manifest once and cache the result
+   * @returns {Promise<Array>} Resolves with the slide list
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load hero slides: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          // Allow a later call to retry instead of caching the failure
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Use already-parsed manifest data, e.g. read from disk by the build script
+   */
+  setData(data) {
+    this.slides = data.slides || [];
+    return this.slides;
+  }
+
+  /**
+   * The moment a Europe/London time from the manifest happens, wherever the visitor is
+   */
+  toDate(londonTime) {
+    return (this.calendarExport || window.calendarExport).londonToUtc(londonTime);
+  }
+
+  /**
+   * Whether a slide is inside its scheduled window (open-ended when starts or ends is missing)
+   */
+  isScheduled(slide, now = new Date()) {
+    if (slide.starts && now < this.toDate(slide.starts)) return false;
+    if (slide.ends && now >= this.toDate(slide.ends)) return false;
+    return true;
+  }
+
+  getImage(slide, layout) {
+    return (slide.images && slide.images[layout]) || null;
+  }
+
+  /**
+   * Slides to show now on a layout, in manifest order
+   * @param {string} layout - 'desktop' or 'mobile'
+   */
+  getSlides(layout, now = new Date()) {
+    return this.slides.filter(slide => this.getImage(slide, layout) && this.isScheduled(slide, now));
+  }
+}
+
+// Shared instance used by the hero slideshow (not created when loaded by the build script)
+if (typeof window !== 'undefined') {
+  window.heroSlideManifest = new HeroSlideManifest();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeroSlideManifest;
+}
@@ -1,54 +1,165 @@
 /**
  * Hero Banner Slideshow
- * Auto-rotating image slideshow for desktop and mobile hero sections.
- * Desktop (>=768px): 6 landscape banners
- * Mobile (<768px): 9 portrait banners
+ * Auto-rotating banner slideshow for desktop and mobile hero sections, run by the shared
+ * carousel engine (js/carousel.js). Only the slideshow for the current screen size rotates.
+ * The slides, their images, alt text, captions, links and schedules come from
+ * data/hero-slides.json (js/hero-slide-manifest.js).
+ * Each slideshow has previous/next buttons and a pause/play button (WCAG 2.2.2); rotation
+ * doesn't start for visitors who prefer reduced motion, and stops while it's off-screen or
+ * the tab is hidden.
+ * The first banner for each layout is in index.html, so the hero shows before this script runs (and
+ * without it); keep it in step with the first slide in data/hero-slides.json. Other banner images
+ * are only fetched for the slideshow on screen: the current slide and the one after it (each image
+ * holds its URL in data-slide-src). Switching layout carries the position over.
  */
 
-/**
- * Advances the slideshow to the next slide within the given container.
- * Finds the currently active slide, removes the active class, and adds
- * the active class to the next sibling slide (wraps to first if at end).
- * @param {HTMLElement} container - The slideshow container element
- */
-function advanceSlide(container) {
-  var activeSlide = container.querySelector('.slideshow-slide.active');
-  if (!activeSlide) return;
+class HeroSlideshow {
+  constructor() {
+    this.desktop = document.getElementById('desktop-slideshow');
+    this.mobile = document.getElementById('mobile-slideshow');
+    this.desktopQuery = window.matchMedia('(min-width: 768px)');
+    this.manifest = window.heroSlideManifest;
+    this.engine = null;
 
-  activeSlide.classList.remove('active');
+    this.init();
+  }
 
-  var nextSlide = activeSlide.nextElementSibling;
-  if (!nextSlide || !nextSlide.classList.contains('slideshow-slide')) {
-    nextSlide = container.querySelector('.slideshow-slide');
+  async init() {
+    if ((!this.desktop && !this.mobile) || !this.manifest) return;
+
+    try {
+      await this.manifest.load();
+    } catch (error) {
+      console.error('Error loading hero slides:', error);
+      return;
+    }
+
+    if (this.desktop) this.render(this.desktop, 'desktop');
+    if (this.mobile) this.render(this.mobile, 'mobile');
+    this.start();
+
+    // Swap to the other slideshow when the screen crosses the breakpoint
+    this.desktopQuery.addEventListener('change', () => this.start());
   }
 
-  nextSlide.classList.add('active');
-}
+  render(container, layout) {
+    const slides = this.manifest.getSlides(layout);
+    const section = container.closest('section');
 
-/**
- * Returns the currently visible slideshow container based on viewport width.
- * Desktop (>=768px) returns the desktop-slideshow container.
- * Mobile (<768px) returns the mobile-slideshow container.
- * @returns {HTMLElement|null} The active slideshow container
- */
-function getActiveSlideshow() {
-  if (window.innerWidth >= 768) {
-    return document.getElementById('desktop-slideshow');
+    // The page's HTML has the first banner so it shows straight away; reuse its image rather than load it again
+    const pageImages = new Map(Array.from(container.querySelectorAll('img')).map(img => [img.getAttribute('src'), img]));
+
+    container.innerHTML = '';
+    slides.forEach(slide => container.appendChild(this.createSlide(slide, layout, pageImages)));
+
+    // Nothing to rotate through: no controls, and no empty banner if nothing is scheduled
+    section.hidden = slides.length === 0;
+    const controls = section.querySelector('.slideshow-controls');
+    if (controls) controls.hidden = slides.length < 2;
   }
-  return document.getElementById('mobile-slideshow');
-}
 
-/**
- * Initializes the slideshow auto-rotation.
- * Sets up a 5-second interval that advances the currently visible slideshow.
- */
-function initSlideshow() {
-  setInterval(function () {
-    var activeContainer = getActiveSlideshow();
-    if (activeContainer) {
-      advanceSlide(activeContainer);
+  createSlide(slide, layout, pageImages = new Map()) {
+    const figure = document.createElement('figure');
+    figure.className = 'slideshow-slide';
+    figure.dataset.slideId = slide.id;
+
+    const src = this.manifest.getImage(slide, layout);
+    const img = pageImages.get(src) || document.createElement('img');
+    img.dataset.slideSrc = src;
+    img.alt = slide.alt || '';
+
+    if (slide.url) {
+      const link = document.createElement('a');
+      link.className = 'slideshow-link';
+      link.href = slide.url;
+      if (/^https?:\/\//.test(slide.url)) {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+      link.appendChild(img);
+      figure.appendChild(link);
+    } else {
+      figure.appendChild(img);
     }
-  }, 5000);
+
+    if (slide.caption) {
+      const caption = document.createElement('figcaption');
+      caption.className = 'slideshow-caption';
+      caption.textContent = slide.caption;
+      figure.appendChild(caption);
+    }
+
+    return figure;
+  }
+
+  /**
+   * Returns the currently visible slideshow container based on viewport width
+   * @returns {HTMLElement|null} The active slideshow container
+   */
+  getActiveSlideshow() {
+    return this.desktopQuery.matches ? this.desktop : this.mobile;
+  }
+
+  start() {
+    // A visitor who paused one slideshow shouldn't find the other one rotating after a resize
+    let wasPaused = false;
+    let position = 0;
+    let currentId = null;
+    if (this.engine) {
+      wasPaused = !this.engine.isPlaying;
+      position = this.engine.currentIndex;
+      currentId = this.engine.slides[position].dataset.slideId;
+      this.engine.destroy();
+      this.engine = null;
+    }
+
+    const container = this.getActiveSlideshow();
+    if (!container) return;
+
+    const slides = Array.from(container.querySelectorAll('.slideshow-slide'));
+    if (slides.length === 0) return;
+
+    // Stay on the same banner if this layout has it too, otherwise wrap round to a nearby one
+    const sameSlide = slides.findIndex(slide => slide.dataset.slideId === currentId);
+    const startIndex = sameSlide >= 0 ? sameSlide : position % slides.length;
+    this.loadSlides(slides, startIndex);
+
+    const section = container.closest('section');
+    this.engine = new Carousel(section, {
+      track: container,
+      mode: 'fade',
+      slideSelector: '.slideshow-slide',
+      startIndex,
+      onChange: index => this.loadSlides(slides, index),
+      autoplay: { delay: 5000, pauseOnHover: false },
+      prevButton: section.querySelector('.slideshow-prev'),
+      nextButton: section.querySelector('.slideshow-next'),
+      playButton: section.querySelector('.slideshow-toggle'),
+      announce: (index, total) => `Banner ${index + 1} of ${total}`
+    });
+
+    if (wasPaused) this.engine.pause();
+  }
+
+  /**
+   * Load the slide being shown and preload the next one so it's ready when the slideshow moves on
+   */
+  loadSlides(slides, index) {
+    [slides[index], slides[(index + 1) % slides.length]].forEach(slide => {
+      const img = slide.querySelector('img[data-slide-src]');
+      if (img && !img.getAttribute('src')) {
+        img.src = img.dataset.slideSrc;
+      }
+    });
+  }
 }
 
-document.addEventListener('DOMContentLoaded', initSlideshow);
+// Initialize the slideshow when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.heroSlideshow = new HeroSlideshow();
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeroSlideshow;
+}
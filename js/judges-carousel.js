@@ -1,6 +1,8 @@
 /**
  * Judges Carousel Functionality
- * Handles the judges carousel in the competition section
+ * Renders the competition judges from data/competition.json into the carousel in the
+ * competition section, and opens a bio card for a judge when their photo is selected (for
+ * judges without a bio yet, the card just shows their photo enlarged)
  */
 
 class JudgesCarousel {
@@ -9,71 +11,104 @@ class JudgesCarousel {
         this.prevBtn = document.querySelector('.judges-carousel-prev');
         this.nextBtn = document.querySelector('.judges-carousel-next');
         this.modal = document.getElementById('judge-modal');
+        this.modalTitle = document.getElementById('judge-modal-title');
         this.modalImage = document.getElementById('judge-modal-image');
+        this.modalSpecialities = document.getElementById('judge-modal-specialities');
+        this.modalBio = document.getElementById('judge-modal-bio');
+        this.modalLinks = document.getElementById('judge-modal-links');
         this.modalClose = document.getElementById('close-judge-modal');
         this.modalOverlay = document.querySelector('.judge-modal-overlay');
-        this.currentIndex = 0;
-        this.totalItems = 0;
-        
-        if (this.track) {
+        this.manifest = window.competitionManifest;
+        this.judges = [];
+        this.engine = null;
+        this.lastFocusedElement = null;
+
+        if (this.track && this.manifest) {
             this.init();
         }
     }
 
-    init() {
-        this.totalItems = this.track.children.length;
-        this.setupEventListeners();
-        this.updateButtons();
+    async init() {
+        try {
+            await this.manifest.load();
+            const competition = this.manifest.getCompetition(this.track.dataset.competition);
+            this.judges = competition ? this.manifest.getJudges(competition) : [];
+        } catch (error) {
+            console.error('Error loading judges:', error);
+        }
+
+        this.render();
+        this.setupCarousel();
         this.setupModalEventListeners();
     }
 
-    setupEventListeners() {
-        if (this.prevBtn) {
-            this.prevBtn.addEventListener('click', () => this.goToPrevious());
-        }
-        
-        if (this.nextBtn) {
-            this.nextBtn.addEventListener('click', () => this.goToNext());
+    render() {
+        this.track.innerHTML = '';
+
+        if (this.judges.length === 0) {
+            this.track.appendChild(this.createPlaceholder());
         }
 
-        // Touch/swipe support
-        this.setupTouchEvents();
-        
-        // Image click for modal (mobile only)
-        this.setupImageClickEvents();
+        this.judges.forEach(judge => {
+            const item = document.createElement('div');
+            item.className = 'judge-item';
+
+            const hasBio = ['bio', 'specialities', 'links'].some(key => (judge[key] || []).length > 0);
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'judge-card';
+            card.setAttribute('aria-haspopup', 'dialog');
+            card.setAttribute('aria-label', hasBio ? `Read ${judge.name}'s judge bio` : `View ${judge.name}'s photo enlarged`);
+            card.addEventListener('click', () => this.openModal(judge, card));
+
+            const image = document.createElement('img');
+            image.src = judge.photo;
+            image.alt = `${judge.name} - Competition Judge`;
+            image.className = 'judge-image';
+            image.loading = 'lazy';
+
+            const name = document.createElement('span');
+            name.className = 'judge-name';
+            name.textContent = judge.name;
+
+            card.appendChild(image);
+            card.appendChild(name);
+            item.appendChild(card);
+            this.track.appendChild(item);
+        });
     }
 
-    setupImageClickEvents() {
-        const judgeImages = this.track.querySelectorAll('.judge-image');
-        judgeImages.forEach(image => {
-            image.addEventListener('click', (e) => {
-                // Only open modal on mobile devices
-                if (window.innerWidth <= 768) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    this.openModal(image.src, image.alt);
-                }
-            });
-            
-            // Add cursor pointer on mobile
-            if (window.innerWidth <= 768) {
-                image.style.cursor = 'pointer';
-            }
+    createPlaceholder() {
+        const item = document.createElement('div');
+        item.className = 'judge-item judge-placeholder';
+        item.innerHTML = `
+            <span class="placeholder-icon" aria-hidden="true">🎨</span>
+            <p class="placeholder-text">Our judges will be announced soon</p>
+            <p class="coming-soon-text">Coming Soon</p>
+        `;
+        return item;
+    }
+
+    /**
+     * One judge per page; a tap on a judge still opens their bio, only a swipe moves the carousel
+     */
+    setupCarousel() {
+        this.engine = new Carousel(this.track.parentElement, {
+            track: this.track,
+            prevButton: this.prevBtn,
+            nextButton: this.nextBtn
         });
-        
-        // Re-setup when new images are added
-        this.totalItems = this.track.children.length;
     }
 
     setupModalEventListeners() {
         if (this.modalClose) {
             this.modalClose.addEventListener('click', () => this.closeModal());
         }
-        
+
         if (this.modalOverlay) {
             this.modalOverlay.addEventListener('click', () => this.closeModal());
         }
-        
+
         // Close modal on escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.modal && this.modal.classList.contains('active')) {
@@ -82,14 +117,48 @@ class JudgesCarousel {
         });
     }
 
-    openModal(imageSrc, imageAlt) {
-        if (this.modal && this.modalImage) {
-            this.modalImage.src = imageSrc;
-            this.modalImage.alt = imageAlt;
-            this.modal.classList.add('active');
-            this.modal.setAttribute('aria-hidden', 'false');
-            document.body.style.overflow = 'hidden'; // Prevent background scrolling
-        }
+    openModal(judge, trigger) {
+        if (!this.modal) return;
+
+        this.lastFocusedElement = trigger || document.activeElement;
+        this.modalTitle.textContent = judge.name;
+        this.modalImage.src = judge.photo;
+        this.modalImage.alt = `${judge.name} - Competition Judge`;
+
+        this.modalSpecialities.innerHTML = '';
+        (judge.specialities || []).forEach(speciality => {
+            const item = document.createElement('li');
+            item.textContent = speciality;
+            this.modalSpecialities.appendChild(item);
+        });
+        this.modalSpecialities.hidden = this.modalSpecialities.children.length === 0;
+
+        this.modalBio.innerHTML = '';
+        (judge.bio || []).forEach(paragraph => {
+            const text = document.createElement('p');
+            text.textContent = paragraph;
+            this.modalBio.appendChild(text);
+        });
+        this.modalBio.hidden = this.modalBio.children.length === 0;
+
+        this.modalLinks.innerHTML = '';
+        (judge.links || []).forEach(link => {
+            const item = document.createElement('li');
+            const anchor = document.createElement('a');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+            anchor.textContent = link.label;
+            item.appendChild(anchor);
+            this.modalLinks.appendChild(item);
+        });
+        this.modalLinks.hidden = this.modalLinks.children.length === 0;
+        this.modalBio.parentElement.hidden = this.modalSpecialities.hidden && this.modalBio.hidden && this.modalLinks.hidden;
+
+        this.modal.classList.add('active');
+        this.modal.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden'; // Prevent background scrolling
+        this.modalClose.focus();
     }
 
     closeModal() {
@@ -97,77 +166,20 @@ class JudgesCarousel {
             this.modal.classList.remove('active');
             this.modal.setAttribute('aria-hidden', 'true');
             document.body.style.overflow = ''; // Restore scrolling
-        }
-    }
-
-    setupTouchEvents() {
-        let startX = 0;
-        let currentX = 0;
-        let isDragging = false;
 
-        this.track.addEventListener('touchstart', (e) => {
-            // Don't handle swipe if touching an image on mobile (for modal)
-            if (e.target.classList.contains('judge-image') && window.innerWidth <= 768) {
-                return;
-            }
-            
-            startX = e.touches[0].clientX;
-            isDragging = true;
-        });
-
-        this.track.addEventListener('touchmove', (e) => {
-            if (!isDragging) return;
-            currentX = e.touches[0].clientX;
-        });
-
-        this.track.addEventListener('touchend', (e) => {
-            if (!isDragging) return;
-            isDragging = false;
-            
-            // Don't handle swipe if touching an image on mobile (for modal)
-            if (e.target.classList.contains('judge-image') && window.innerWidth <= 768) {
-                return;
-            }
-            
-            const diffX = startX - currentX;
-            const threshold = 50;
-
-            if (Math.abs(diffX) > threshold) {
-                if (diffX > 0) {
-                    this.goToNext();
-                } else {
-                    this.goToPrevious();
-                }
+            if (this.lastFocusedElement) {
+                this.lastFocusedElement.focus();
+                this.lastFocusedElement = null;
             }
-        });
+        }
     }
 
     goToNext() {
-        this.currentIndex = (this.currentIndex + 1) % this.totalItems;
-        this.updateCarousel();
+        this.engine.next({ user: true });
     }
 
     goToPrevious() {
-        this.currentIndex = (this.currentIndex - 1 + this.totalItems) % this.totalItems;
-        this.updateCarousel();
-    }
-
-    updateCarousel() {
-        const translateX = -this.currentIndex * 100;
-        this.track.style.transform = `translateX(${translateX}%)`;
-        this.updateButtons();
-    }
-
-    updateButtons() {
-        if (this.prevBtn && this.nextBtn) {
-            // Always enable and show buttons for circular navigation
-            this.prevBtn.disabled = false;
-            this.nextBtn.disabled = false;
-            this.prevBtn.style.display = 'flex';
-            this.nextBtn.style.display = 'flex';
-            this.prevBtn.style.visibility = 'visible';
-            this.nextBtn.style.visibility = 'visible';
-        }
+        this.engine.prev({ user: true });
     }
 }
 
@@ -176,14 +188,7 @@ document.addEventListener('DOMContentLoaded', () => {
     new JudgesCarousel();
 });
 
-// Handle window resize to update image click behavior
-window.addEventListener('resize', () => {
-    const judgeImages = document.querySelectorAll('.judge-image');
-    judgeImages.forEach(image => {
-        if (window.innerWidth <= 768) {
-            image.style.cursor = 'pointer';
-        } else {
-            image.style.cursor = 'default';
-        }
-    });
-});
\ No newline at end of file
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JudgesCarousel;
+}
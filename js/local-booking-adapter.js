@@ -0,0 +1,149 @@
+/**
+ * Local Booking Adapter
+ * Development stand-in for a workshop booking backend. Bookings are held in memory and saved to
+ * localStorage so they survive a reload. They never reach the organisers, so the stand-in is only
+ * used when the site is served locally (localhost or 127.0.0.1).
+ *
+ * Any replacement backend needs the same two async methods (see WorkshopBooking):
+ *   getAvailability(sessionIds) → { [sessionId]: { booked, waitlisted } }
+ *   createBooking({ sessionId, name, email, partySize })
+ *     → { reference, sessionId, partySize, status: 'confirmed' | 'waitlisted', waitlistPosition }
+ * The backend keeps its own record of each session's capacity rather than trusting the browser;
+ * this stand-in reads it from data/workshops.json.
+ */
+
+class LocalBookingAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey]
+   * @param {WorkshopManifest} [options.workshopManifest] - Where session capacities come from;
+   *   defaults to the shared window.workshopManifest
+   */
+  constructor({ storageKey = 'side-quest-bookings', workshopManifest = null } = {}) {
+    this.storageKey = storageKey;
+    this.workshopManifest = workshopManifest;
+    this.bookings = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the bookings saved on this device
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.bookings = this.readSaved() || [];
+      this.loadPromise = Promise.resolve(this.bookings);
+    }
+
+    return this.loadPromise;
+  }
+
+  readSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.bookings));
+    } catch (error) {
+      console.warn('Could not save bookings:', error);
+    }
+  }
+
+  /**
+   * Places taken and people waiting for each session
+   * @param {string[]} sessionIds
+   */
+  async getAvailability(sessionIds) {
+    await this.load();
+
+    const availability = {};
+    sessionIds.forEach(id => {
+      availability[id] = { booked: 0, waitlisted: 0 };
+    });
+
+    this.bookings.forEach(booking => {
+      const counts = availability[booking.sessionId];
+      if (!counts) return;
+      if (booking.status === 'confirmed') counts.booked += booking.partySize;
+      if (booking.status === 'waitlisted') counts.waitlisted += booking.partySize;
+    });
+
+    return availability;
+  }
+
+  /**
+   * Places in a session, from its workshop's capacity; null when it isn't bookable
+   */
+  async getCapacity(sessionId) {
+    const manifest = this.workshopManifest || window.workshopManifest;
+    await manifest.load();
+    const session = manifest.getSession(sessionId);
+    const capacity = session ? session.workshop.capacity : null;
+    return typeof capacity === 'number' && capacity > 0 ? capacity : null;
+  }
+
+  /**
+   * Book places, or join the waitlist when the whole party won't fit
+   */
+  async createBooking({ sessionId, name, email, partySize }) {
+    await this.load();
+
+    const capacity = await this.getCapacity(sessionId);
+    if (capacity === null) {
+      throw new Error(`Session ${sessionId} can't be booked`);
+    }
+
+    const { booked } = (await this.getAvailability([sessionId]))[sessionId];
+    const fits = booked + partySize <= capacity;
+
+    const booking = {
+      reference: this.createReference(),
+      sessionId,
+      name,
+      email,
+      partySize,
+      status: fits ? 'confirmed' : 'waitlisted',
+      createdAt: new Date().toISOString()
+    };
+    this.bookings.push(booking);
+    this.save();
+
+    const waitlistPosition = fits
+      ? null
+      : this.bookings.filter(item => item.sessionId === sessionId && item.status === 'waitlisted').length;
+
+    return {
+      reference: booking.reference,
+      sessionId,
+      partySize,
+      status: booking.status,
+      waitlistPosition
+    };
+  }
+
+  createReference() {
+    const characters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let reference = '';
+    for (let i = 0; i < 6; i++) {
+      reference += characters.charAt(Math.floor(Math.random() * characters.length));
+    }
+    return `SQM-${reference}`;
+  }
+}
+
+// Stand in for the booking backend while developing locally, unless a real one is configured
+if (typeof window !== 'undefined' && !window.bookingAdapter &&
+    ['localhost', '127.0.0.1'].includes(window.location.hostname)) {
+  window.bookingAdapter = new LocalBookingAdapter();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalBookingAdapter;
+}
@@ -0,0 +1,143 @@
+/**
+ * Local Entry Adapter
+ * Development stand-in for the competition entry backend. Entries are held in memory and saved to
+ * localStorage so they survive a reload. They never reach the organisers, so the stand-in is only
+ * used when the site is served locally (localhost or 127.0.0.1).
+ *
+ * Any replacement backend needs the same two async methods (see CompetitionRegistration):
+ *   getEntries({ competition, email }) → [{ category, entryNumber, models, title }]
+ *   createEntries({ competition, name, email, entries: [{ category, models, title }] })
+ *     → [{ category, entryNumber, models, title }]
+ * createEntries rejects the whole registration with error.code 'duplicate-category' (and
+ * error.categories) if the painter has already entered any of the categories, or 'squad-size'
+ * if an entry has more models than the competition allows. The backend keeps its own copy of
+ * each competition's categories and squad size limit rather than trusting the browser; this
+ * stand-in reads them from data/competition.json.
+ */
+
+class LocalEntryAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey]
+   * @param {CompetitionManifest} [options.competitionManifest] - Where categories and squad size
+   *   limits come from; defaults to the shared window.competitionManifest
+   */
+  constructor({ storageKey = 'side-quest-competition-entries', competitionManifest = null } = {}) {
+    this.storageKey = storageKey;
+    this.competitionManifest = competitionManifest;
+    this.entries = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the entries saved on this device
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.entries = this.readSaved() || [];
+      this.loadPromise = Promise.resolve(this.entries);
+    }
+
+    return this.loadPromise;
+  }
+
+  readSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.warn('Could not save competition entries:', error);
+    }
+  }
+
+  normaliseEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * A painter's entries in a competition
+   */
+  async getEntries({ competition, email }) {
+    await this.load();
+
+    const normalised = this.normaliseEmail(email);
+    return this.entries
+      .filter(entry => entry.competition === competition && this.normaliseEmail(entry.email) === normalised)
+      .map(({ category, entryNumber, models, title }) => ({ category, entryNumber, models, title }));
+  }
+
+  /**
+   * Register entries and give each one an entry number, e.g. "F-004" for the fourth Fantasy entry
+   */
+  async createEntries({ competition, name, email, entries }) {
+    await this.load();
+
+    const manifest = this.competitionManifest || window.competitionManifest;
+    await manifest.load();
+    const rules = manifest.getCompetition(competition);
+    const unknown = rules ? entries.find(entry => !manifest.getCategory(rules, entry.category)) : entries[0];
+    if (unknown) {
+      throw new Error(`Unknown competition category: ${competition}/${unknown.category}`);
+    }
+
+    const existing = await this.getEntries({ competition, email });
+    const duplicates = entries
+      .filter(entry => existing.some(item => item.category === entry.category))
+      .map(entry => entry.category);
+    if (duplicates.length > 0) {
+      const error = new Error(`Already entered: ${duplicates.join(', ')}`);
+      error.code = 'duplicate-category';
+      error.categories = duplicates;
+      throw error;
+    }
+
+    const maxSquadSize = rules.maxSquadSize;
+    const tooLarge = entries.find(entry => !Number.isInteger(entry.models) || entry.models < 1 ||
+      (maxSquadSize && entry.models > maxSquadSize));
+    if (tooLarge) {
+      const error = new Error(`Squads can have up to ${maxSquadSize} models`);
+      error.code = 'squad-size';
+      throw error;
+    }
+
+    const created = entries.map(entry => {
+      const categoryCount = this.entries.filter(item =>
+        item.competition === competition && item.category === entry.category).length;
+
+      const record = {
+        competition,
+        category: entry.category,
+        entryNumber: `${manifest.getCategory(rules, entry.category).code}-${String(categoryCount + 1).padStart(3, '0')}`,
+        email,
+        name,
+        models: entry.models,
+        title: entry.title || '',
+        createdAt: new Date().toISOString()
+      };
+      this.entries.push(record);
+      return record;
+    });
+    this.save();
+
+    return created.map(({ category, entryNumber, models, title }) => ({ category, entryNumber, models, title }));
+  }
+}
+
+// Stand in for the entry backend while developing locally, unless a real one is configured
+if (typeof window !== 'undefined' && !window.competitionEntryAdapter &&
+    ['localhost', '127.0.0.1'].includes(window.location.hostname)) {
+  window.competitionEntryAdapter = new LocalEntryAdapter();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalEntryAdapter;
+}
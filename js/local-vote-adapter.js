@@ -0,0 +1,139 @@
+/**
+ * Local Vote Adapter
+ * Development stand-in for the people's-choice voting backend. Votes are held in memory and saved
+ * to localStorage so they survive a reload. They're only ever counted on this device, so the
+ * stand-in is only used when the site is served locally (localhost or 127.0.0.1).
+ *
+ * Any replacement backend needs the same three async methods (see PeoplesChoice):
+ *   requestToken({ poll }) → token, issued once per device and kept by the browser
+ *   castVote({ poll, token, entryId, opens, closes }) → { entryId }
+ *   getTallies({ poll, closes }) → { [entryId]: votes }
+ * opens and closes are the poll's Europe/London times from data/competition.json.
+ * castVote rejects with error.code 'voting-closed', 'invalid-token' or 'already-voted';
+ * getTallies rejects with 'tallies-hidden' while voting is still open.
+ */
+
+class LocalVoteAdapter {
+  constructor({ storageKey = 'side-quest-votes', calendarExport = null } = {}) {
+    this.storageKey = storageKey;
+    this.calendarExport = calendarExport;
+    this.tokens = [];
+    this.votes = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the tokens and votes saved on this device
+   */
+  load() {
+    if (!this.loadPromise) {
+      const saved = this.readSaved();
+      if (saved) {
+        this.tokens = saved.tokens;
+        this.votes = saved.votes;
+      }
+      this.loadPromise = Promise.resolve(this.votes);
+    }
+
+    return this.loadPromise;
+  }
+
+  readSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return saved && Array.isArray(saved.tokens) && Array.isArray(saved.votes) ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ tokens: this.tokens, votes: this.votes }));
+    } catch (error) {
+      console.warn('Could not save votes:', error);
+    }
+  }
+
+  /**
+   * Issue a voting token for one device
+   */
+  async requestToken({ poll }) {
+    await this.load();
+
+    const token = this.createToken();
+    this.tokens.push({ poll, token });
+    this.save();
+    return token;
+  }
+
+  /**
+   * Record a vote; each token can only be used once
+   */
+  async castVote({ poll, token, entryId, opens, closes }) {
+    await this.load();
+
+    const now = new Date();
+    if (now < this.toDate(opens) || now >= this.toDate(closes)) {
+      throw this.createError('voting-closed', 'Voting is not open');
+    }
+    if (!this.tokens.some(item => item.poll === poll && item.token === token)) {
+      throw this.createError('invalid-token', 'Unknown voting token');
+    }
+    if (this.votes.some(vote => vote.poll === poll && vote.token === token)) {
+      throw this.createError('already-voted', 'This device has already voted');
+    }
+
+    this.votes.push({ poll, entryId, token });
+    this.save();
+    return { entryId };
+  }
+
+  /**
+   * Count the votes per entry, only once voting has closed
+   */
+  async getTallies({ poll, closes }) {
+    await this.load();
+
+    if (new Date() < this.toDate(closes)) {
+      throw this.createError('tallies-hidden', 'Votes are counted when voting closes');
+    }
+
+    return this.votes
+      .filter(vote => vote.poll === poll)
+      .reduce((tallies, vote) => {
+        tallies[vote.entryId] = (tallies[vote.entryId] || 0) + 1;
+        return tallies;
+      }, {});
+  }
+
+  toDate(londonTime) {
+    return (this.calendarExport || window.calendarExport).londonToUtc(londonTime);
+  }
+
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  createToken() {
+    const characters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let token = '';
+    for (let i = 0; i < 16; i++) {
+      token += characters.charAt(Math.floor(Math.random() * characters.length));
+    }
+    return token;
+  }
+}
+
+// Stand in for the voting backend while developing locally, unless a real one is configured
+if (typeof window !== 'undefined' && !window.voteAdapter &&
+    ['localhost', '127.0.0.1'].includes(window.location.hostname)) {
+  window.voteAdapter = new LocalVoteAdapter();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalVoteAdapter;
+}
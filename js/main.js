@@ -22,6 +22,9 @@ class SiteManager {
   initializeModules() {
     // Initialize performance optimizations
     this.initializePerformance();
+
+    // Render event listings and countdowns from the events data
+    this.initializeEvents();
     
     // Log successful initialization
     console.log('Side Quest Market site initialized successfully');
@@ -35,6 +38,22 @@ class SiteManager {
     this.preloadCriticalImages();
   }
 
+  initializeEvents() {
+    if (typeof EventListings === 'undefined' || !window.eventManifest) return;
+
+    window.eventListings = new EventListings();
+
+    if (typeof StructuredData !== 'undefined' && window.calendarExport) {
+      window.structuredData = new StructuredData({
+        eventManifest: window.eventManifest,
+        vendorManifest: window.vendorManifest || null,
+        workshopManifest: window.workshopManifest || null,
+        calendarExport: window.calendarExport
+      });
+      window.structuredData.applyToPage();
+    }
+  }
+
   preloadCriticalImages() {
     // Critical images are now handled by the lazy loading module
     // Add critical-bg class to hero image section for immediate loading
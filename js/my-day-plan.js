@@ -0,0 +1,133 @@
+/**
+ * My Day Plan Module
+ * Keeps the workshop sessions and vendors a visitor has starred, saved in localStorage
+ * like the dark mode preference so the plan works offline and survives reloads.
+ * Dispatches a "myDayChanged" event on document whenever the plan changes, and keeps
+ * any [data-my-day-count] elements (e.g. on "View My Day" links) showing the number of items.
+ */
+
+class MyDayPlan {
+  constructor() {
+    this.storageKey = 'side-quest-my-day';
+    this.sessions = [];
+    this.vendors = [];
+
+    this.load();
+
+    // Keep other open tabs in step with changes made here
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.storageKey) {
+        this.load();
+        this.notify();
+      }
+    });
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.updateCounts());
+    } else {
+      this.updateCounts();
+    }
+  }
+
+  /**
+   * Read the saved plan, starting fresh if it's missing or unreadable
+   */
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.warn('Could not read saved plan:', error);
+    }
+
+    this.sessions = saved && Array.isArray(saved.sessions) ? saved.sessions : [];
+    this.vendors = saved && Array.isArray(saved.vendors) ? saved.vendors : [];
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        sessions: this.sessions,
+        vendors: this.vendors
+      }));
+    } catch (error) {
+      // Private browsing or a full quota: the plan still works for this visit
+      console.warn('Could not save plan:', error);
+    }
+
+    this.notify();
+  }
+
+  notify() {
+    this.updateCounts();
+    document.dispatchEvent(new CustomEvent('myDayChanged', {
+      bubbles: true,
+      detail: { sessions: this.sessions.slice(), vendors: this.vendors.slice() }
+    }));
+  }
+
+  /**
+   * @param {string} sessionId - Session id from WorkshopManifest.getSessions()
+   */
+  hasSession(sessionId) {
+    return this.sessions.includes(sessionId);
+  }
+
+  hasVendor(vendorId) {
+    return this.vendors.includes(vendorId);
+  }
+
+  /**
+   * Star or unstar a workshop session
+   * @returns {boolean} Whether the session is now in the plan
+   */
+  toggleSession(sessionId) {
+    const isAdded = !this.hasSession(sessionId);
+    this.sessions = isAdded
+      ? [...this.sessions, sessionId]
+      : this.sessions.filter(id => id !== sessionId);
+    this.save();
+    return isAdded;
+  }
+
+  /**
+   * Star or unstar a vendor
+   * @returns {boolean} Whether the vendor is now in the plan
+   */
+  toggleVendor(vendorId) {
+    const isAdded = !this.hasVendor(vendorId);
+    this.vendors = isAdded
+      ? [...this.vendors, vendorId]
+      : this.vendors.filter(id => id !== vendorId);
+    this.save();
+    return isAdded;
+  }
+
+  getCount() {
+    return this.sessions.length + this.vendors.length;
+  }
+
+  updateCounts() {
+    const count = this.getCount();
+    document.querySelectorAll('[data-my-day-count]').forEach(element => {
+      element.textContent = count;
+      element.hidden = count === 0;
+    });
+  }
+
+  clear() {
+    this.sessions = [];
+    this.vendors = [];
+    this.save();
+  }
+}
+
+// Shared instance used by the workshop schedule, vendor directory and itinerary page
+if (typeof window !== 'undefined') {
+  window.myDayPlan = new MyDayPlan();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MyDayPlan;
+}
@@ -0,0 +1,354 @@
+/**
+ * My Day Itinerary
+ * Shows the visitor's starred workshop sessions (by day and time) and vendors (with stall
+ * numbers from the site map) as a personal itinerary on my-day.html. Clashing sessions are
+ * flagged, and the plan can be printed or added to a calendar.
+ */
+
+class MyDayItinerary {
+  constructor() {
+    this.container = document.getElementById('my-day-itinerary');
+    this.sessionsContainer = document.getElementById('my-day-sessions');
+    this.vendorsContainer = document.getElementById('my-day-vendors');
+    this.warningsContainer = document.getElementById('my-day-warnings');
+    this.emptyMessage = document.getElementById('my-day-empty');
+    this.eventHeading = document.getElementById('my-day-event');
+    this.actions = document.getElementById('my-day-actions');
+
+    this.plan = window.myDayPlan;
+    this.workshopManifest = window.workshopManifest;
+    this.eventManifest = window.eventManifest;
+    this.vendorManifest = window.vendorManifest;
+    this.calendarExport = window.calendarExport;
+
+    this.siteMapsUrl = 'data/site-maps.json';
+    this.siteMaps = {};
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.plan || !this.workshopManifest || !this.eventManifest || !this.vendorManifest) {
+      console.warn('My Day elements not found');
+      return;
+    }
+
+    try {
+      await Promise.all([
+        this.workshopManifest.load(),
+        this.eventManifest.load(),
+        this.vendorManifest.load(),
+        this.loadSiteMaps()
+      ]);
+
+      this.setupActions();
+      this.render();
+      document.addEventListener('myDayChanged', () => this.render());
+    } catch (error) {
+      console.error('Error loading My Day:', error);
+      this.emptyMessage.hidden = false;
+      this.emptyMessage.textContent = 'Sorry, your plan could not be loaded.';
+    }
+  }
+
+  /**
+   * Stall numbers are a nice extra, so a missing site map file isn't an error
+   */
+  async loadSiteMaps() {
+    try {
+      const response = await fetch(this.siteMapsUrl);
+      if (response.ok) {
+        this.siteMaps = await response.json();
+      }
+    } catch (error) {
+      console.warn('Site maps unavailable, stall numbers will be hidden:', error);
+    }
+  }
+
+  setupActions() {
+    if (!this.actions) return;
+
+    const printButton = this.actions.querySelector('[data-action="print"]');
+    if (printButton) {
+      printButton.addEventListener('click', () => window.print());
+    }
+
+    const clearButton = this.actions.querySelector('[data-action="clear"]');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        if (window.confirm('Remove everything from My Day?')) {
+          this.plan.clear();
+        }
+      });
+    }
+  }
+
+  /**
+   * Starred sessions that still exist in the manifest, in day and time order
+   */
+  getPlannedSessions() {
+    return this.workshopManifest.workshops
+      .flatMap(workshop => this.workshopManifest.getSessions(workshop))
+      .filter(session => this.plan.hasSession(session.id))
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  getPlannedVendors() {
+    return this.plan.vendors
+      .map(id => this.vendorManifest.getVendor(id))
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }));
+  }
+
+  /**
+   * The market the plan is for: the one its sessions belong to, otherwise the next market
+   */
+  getPlanEvent(sessions) {
+    if (sessions.length > 0) {
+      return this.eventManifest.getEvent(sessions[0].workshop.event);
+    }
+    return this.eventManifest.getNextEvent();
+  }
+
+  /**
+   * Look up a vendor's stall, preferring the site map for the plan's market
+   * @returns {string|null} Stall number
+   */
+  getStallNumber(vendorId, eventId) {
+    const mapIds = [eventId, ...Object.keys(this.siteMaps)].filter(id => id && this.siteMaps[id]);
+    for (const mapId of mapIds) {
+      const stall = (this.siteMaps[mapId].stalls || []).find(item => item.vendor === vendorId);
+      if (stall) return stall.number;
+    }
+    return null;
+  }
+
+  render() {
+    const sessions = this.getPlannedSessions();
+    const vendors = this.getPlannedVendors();
+    const event = this.getPlanEvent(sessions);
+    const clashes = this.workshopManifest.findClashes(sessions);
+    const isEmpty = sessions.length === 0 && vendors.length === 0;
+
+    this.emptyMessage.hidden = !isEmpty;
+    this.container.hidden = isEmpty;
+    if (this.actions) this.actions.hidden = isEmpty;
+
+    if (this.eventHeading) {
+      this.eventHeading.textContent = event
+        ? `${event.title} — ${this.eventManifest.formatDateRange(event)}`
+        : '';
+    }
+
+    this.renderWarnings(sessions, clashes);
+    this.renderSessions(sessions, clashes);
+    this.renderVendors(vendors, event);
+    this.renderCalendarMenu(sessions);
+  }
+
+  // ── Sessions ──
+
+  renderSessions(sessions, clashes) {
+    this.sessionsContainer.innerHTML = '';
+    this.sessionsContainer.closest('section').hidden = sessions.length === 0;
+
+    const days = new Map();
+    sessions.forEach(session => {
+      if (!days.has(session.day)) days.set(session.day, []);
+      days.get(session.day).push(session);
+    });
+
+    days.forEach((daySessions, day) => {
+      const date = this.eventManifest.parseDate(day);
+      const heading = document.createElement('h3');
+      heading.className = 'my-day-day-heading';
+      heading.textContent = `${this.eventManifest.dayNames[date.getDay()]} ${this.eventManifest.formatOrdinal(date.getDate())} ${this.eventManifest.monthNames[date.getMonth()]}`;
+
+      const list = document.createElement('ol');
+      list.className = 'my-day-list';
+      daySessions.forEach(session => list.appendChild(this.createSessionItem(session, clashes.get(session.id) || [])));
+
+      this.sessionsContainer.appendChild(heading);
+      this.sessionsContainer.appendChild(list);
+    });
+  }
+
+  createSessionItem(session, sessionClashes) {
+    const workshop = session.workshop;
+    const item = document.createElement('li');
+    item.className = 'my-day-item';
+    item.classList.toggle('clash', sessionClashes.length > 0);
+
+    const time = document.createElement('span');
+    time.className = 'my-day-time';
+    time.textContent = workshop.dropIn ? 'All day' : `${session.startTime}–${session.endTime}`;
+
+    const details = document.createElement('div');
+    details.className = 'my-day-details';
+
+    const title = document.createElement('span');
+    title.className = 'my-day-title';
+    title.textContent = workshop.title;
+    details.appendChild(title);
+
+    const host = this.vendorManifest.getVendor(workshop.host);
+    const meta = document.createElement('span');
+    meta.className = 'my-day-meta';
+    meta.textContent = [
+      host ? host.name : null,
+      this.workshopManifest.getAgeLabel(workshop),
+      this.workshopManifest.isFree(workshop) ? 'Free' : this.eventManifest.formatPrice(workshop.price)
+    ].filter(Boolean).join(' · ');
+    details.appendChild(meta);
+
+    if (sessionClashes.length > 0) {
+      const clash = document.createElement('span');
+      clash.className = 'my-day-clash';
+      clash.textContent = `Clashes with ${sessionClashes.map(other => other.workshop.title).join(', ')}`;
+      details.appendChild(clash);
+    }
+
+    item.appendChild(time);
+    item.appendChild(details);
+    item.appendChild(this.createRemoveButton(`Remove ${workshop.title} from My Day`, () => this.plan.toggleSession(session.id)));
+    return item;
+  }
+
+  /**
+   * Summarise each clashing pair once at the top of the itinerary
+   */
+  renderWarnings(sessions, clashes) {
+    if (!this.warningsContainer) return;
+
+    this.warningsContainer.innerHTML = '';
+    const pairs = [];
+    sessions.forEach(session => {
+      (clashes.get(session.id) || []).forEach(other => {
+        if (session.start < other.start || (session.start === other.start && session.id < other.id)) {
+          pairs.push([session, other]);
+        }
+      });
+    });
+
+    this.warningsContainer.hidden = pairs.length === 0;
+    if (pairs.length === 0) return;
+
+    const heading = document.createElement('p');
+    heading.className = 'my-day-warnings-heading';
+    heading.textContent = pairs.length === 1 ? 'One clash in your plan:' : `${pairs.length} clashes in your plan:`;
+    this.warningsContainer.appendChild(heading);
+
+    const list = document.createElement('ul');
+    pairs.forEach(([first, second]) => {
+      const item = document.createElement('li');
+      const day = this.eventManifest.dayNames[this.eventManifest.parseDate(first.day).getDay()];
+      item.textContent = `${day}: ${first.workshop.title} (${first.startTime}–${first.endTime}) overlaps ${second.workshop.title} (${second.startTime}–${second.endTime})`;
+      list.appendChild(item);
+    });
+    this.warningsContainer.appendChild(list);
+  }
+
+  // ── Vendors ──
+
+  renderVendors(vendors, event) {
+    this.vendorsContainer.innerHTML = '';
+    this.vendorsContainer.closest('section').hidden = vendors.length === 0;
+
+    const list = document.createElement('ul');
+    list.className = 'my-day-list';
+
+    vendors.forEach(vendor => {
+      const item = document.createElement('li');
+      item.className = 'my-day-item';
+
+      const stallNumber = this.getStallNumber(vendor.id, event ? event.id : null);
+      const stall = document.createElement('span');
+      stall.className = 'my-day-time';
+      stall.textContent = stallNumber ? `Stall ${stallNumber}` : '';
+
+      const details = document.createElement('div');
+      details.className = 'my-day-details';
+
+      const name = document.createElement('a');
+      name.className = 'my-day-title';
+      name.href = this.vendorManifest.getDirectoryUrl(vendor);
+      name.textContent = vendor.name;
+      details.appendChild(name);
+
+      const categories = (vendor.categories || []).map(category => this.vendorManifest.getCategoryLabel(category));
+      if (categories.length > 0) {
+        const meta = document.createElement('span');
+        meta.className = 'my-day-meta';
+        meta.textContent = categories.join(' · ');
+        details.appendChild(meta);
+      }
+
+      item.appendChild(stall);
+      item.appendChild(details);
+      item.appendChild(this.createRemoveButton(`Remove ${vendor.name} from My Day`, () => this.plan.toggleVendor(vendor.id)));
+      list.appendChild(item);
+    });
+
+    this.vendorsContainer.appendChild(list);
+  }
+
+  createRemoveButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'my-day-remove';
+    button.setAttribute('aria-label', label);
+    button.innerHTML = '<span aria-hidden="true">×</span>';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // ── Calendar ──
+
+  /**
+   * One calendar file for every starred session. UIDs match the workshop cards' calendar
+   * links, so adding a session from both places updates it rather than duplicating it.
+   */
+  renderCalendarMenu(sessions) {
+    const slot = this.actions ? this.actions.querySelector('.my-day-calendar') : null;
+    if (!slot || !this.calendarExport) return;
+
+    slot.innerHTML = '';
+    if (sessions.length === 0) return;
+
+    const entries = [];
+    const workshops = [...new Set(sessions.map(session => session.workshop))];
+    workshops.forEach(workshop => {
+      const event = this.eventManifest.getEvent(workshop.event);
+      const details = {
+        id: `${workshop.event}-${workshop.id}`,
+        title: `${workshop.title} - Side Quest Market`,
+        description: workshop.description,
+        location: event ? this.eventManifest.formatVenue(event, true) : '',
+        url: this.eventManifest.siteUrl ? `${this.eventManifest.siteUrl}/#workshops` : ''
+      };
+
+      const allSessions = this.workshopManifest.getSessions(workshop);
+      this.calendarExport.getSessionEntries(details, allSessions)
+        .filter((entry, index) => this.plan.hasSession(allSessions[index].id))
+        .forEach(entry => entries.push(entry));
+    });
+
+    slot.appendChild(this.calendarExport.createMenu(entries, {
+      fileName: 'my-day',
+      label: 'My Day',
+      formatSession: entry => `${entry.title.replace(' - Side Quest Market', '')}, ${this.workshopManifest.formatSessionLabel(entry.start)}`
+    }));
+  }
+}
+
+// Initialize itinerary when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('my-day-itinerary')) {
+    window.myDayItinerary = new MyDayItinerary();
+  }
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MyDayItinerary;
+}
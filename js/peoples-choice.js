@@ -0,0 +1,262 @@
+/**
+ * People's Choice Module
+ * Visitors vote for their favourite miniature from the competition entry photos. Voting is only
+ * open during the window set in data/competition.json, each device gets one vote, and the tallies
+ * stay hidden until voting closes.
+ *
+ * A device is tracked twice: the browser keeps its voting token and choice in localStorage, and
+ * the backend refuses a second vote with the same token. Votes go through an adapter; set
+ * window.voteAdapter before the page loads to use a real provider. Without one there's no online
+ * vote: the poll only appears once it has closed, saying results are coming soon. When developing
+ * locally the LocalVoteAdapter stand-in is used. See js/local-vote-adapter.js for the interface.
+ */
+
+class PeoplesChoice {
+  constructor({ storageKey = 'side-quest-peoples-choice' } = {}) {
+    this.container = document.getElementById('peoples-choice');
+    this.statusText = document.getElementById('peoples-choice-status');
+    this.list = this.container ? this.container.querySelector('.peoples-choice-entries') : null;
+    this.storageKey = storageKey;
+
+    this.manifest = window.competitionManifest;
+    this.adapter = window.voteAdapter || null;
+
+    this.poll = null;
+    this.tallies = null;
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.list || !this.manifest) {
+      console.warn('People\'s choice elements not found');
+      return;
+    }
+
+    try {
+      await this.manifest.load();
+      const competition = this.manifest.getCompetition(this.container.dataset.competition);
+      this.poll = competition ? this.manifest.getPoll(competition) : null;
+    } catch (error) {
+      console.error('Error loading people\'s choice:', error);
+    }
+
+    if (!this.poll) return;
+
+    const status = this.manifest.getVotingStatus(this.poll);
+    // Nothing to vote with until a voting backend is configured
+    if (!this.adapter && status !== 'closed') return;
+
+    if (status === 'closed') {
+      await this.loadTallies();
+    }
+
+    this.render();
+    this.container.hidden = false;
+  }
+
+  // ── Device record ──
+
+  /**
+   * This device's token and vote for the current poll: { token, entryId }
+   */
+  getDeviceRecord() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      return saved[this.poll.id] || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveDeviceRecord(record) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      saved[this.poll.id] = record;
+      localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('Could not save vote:', error);
+    }
+  }
+
+  // ── Rendering ──
+
+  async loadTallies() {
+    // Without a voting backend there are no votes to count, so results are "coming soon"
+    if (!this.adapter) {
+      this.tallies = null;
+      return;
+    }
+
+    try {
+      this.tallies = await this.adapter.getTallies({ poll: this.poll.id, closes: this.poll.closes });
+    } catch (error) {
+      console.error('Error loading people\'s choice votes:', error);
+      this.tallies = null;
+    }
+  }
+
+  render() {
+    const status = this.manifest.getVotingStatus(this.poll);
+    const record = this.getDeviceRecord();
+    this.container.dataset.status = status;
+
+    if (status === 'upcoming') {
+      this.statusText.textContent = `Voting opens on ${this.formatTime(this.poll.opens)}. Come back on the day to pick your favourite miniature!`;
+      this.list.innerHTML = '';
+      return;
+    }
+
+    if (status === 'open') {
+      this.statusText.textContent = record.entryId
+        ? `Thanks for voting! Results are revealed when voting closes on ${this.formatTime(this.poll.closes)}.`
+        : `Vote for your favourite miniature until ${this.formatTime(this.poll.closes)}. One vote per device; results are revealed when voting closes.`;
+      this.renderEntries(this.poll.entries, record);
+      return;
+    }
+
+    if (!this.tallies) {
+      this.statusText.textContent = 'Voting has closed. Results will be posted here soon!';
+      this.list.innerHTML = '';
+      return;
+    }
+
+    const total = Object.values(this.tallies).reduce((sum, count) => sum + count, 0);
+    this.statusText.textContent = `Voting has closed. Thank you to everyone who voted: ${total} ${total === 1 ? 'vote was' : 'votes were'} cast.`;
+    const ranked = [...this.poll.entries].sort((a, b) => (this.tallies[b.id] || 0) - (this.tallies[a.id] || 0));
+    this.renderEntries(ranked, record);
+  }
+
+  renderEntries(entries, record) {
+    const status = this.manifest.getVotingStatus(this.poll);
+    const topVotes = this.tallies ? Math.max(0, ...Object.values(this.tallies)) : 0;
+    this.list.innerHTML = '';
+
+    entries.forEach(entry => {
+      const label = this.getEntryLabel(entry);
+      const item = document.createElement('li');
+      item.className = 'peoples-choice-entry';
+      item.dataset.entryId = entry.id;
+      item.classList.toggle('voted', record.entryId === entry.id);
+
+      const img = document.createElement('img');
+      img.src = this.manifest.getPollPhotoUrl(this.poll, entry);
+      img.alt = `People's choice entry: ${label}`;
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      item.appendChild(img);
+
+      const name = document.createElement('p');
+      name.className = 'peoples-choice-entry-name';
+      name.textContent = label;
+      item.appendChild(name);
+
+      if (status === 'open') {
+        item.appendChild(this.createVoteButton(entry, label, record));
+      } else if (this.tallies) {
+        const votes = this.tallies[entry.id] || 0;
+        const count = document.createElement('p');
+        count.className = 'peoples-choice-votes';
+        count.textContent = `${votes} ${votes === 1 ? 'vote' : 'votes'}`;
+        item.appendChild(count);
+        item.classList.toggle('leader', votes > 0 && votes === topVotes);
+      }
+
+      this.list.appendChild(item);
+    });
+  }
+
+  createVoteButton(entry, label, record) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'peoples-choice-vote-btn';
+
+    if (record.entryId) {
+      button.disabled = true;
+      button.textContent = record.entryId === entry.id ? '★ Your vote' : 'Vote';
+    } else {
+      button.textContent = 'Vote';
+      button.setAttribute('aria-label', `Vote for ${label}`);
+      button.addEventListener('click', () => this.vote(entry, button));
+    }
+
+    return button;
+  }
+
+  getEntryLabel(entry) {
+    if (entry.title) return entry.title;
+    if (entry.entryNumber) return `Entry ${entry.entryNumber}`;
+    return `Miniature ${this.poll.entries.indexOf(entry) + 1}`;
+  }
+
+  /**
+   * Format a Europe/London poll time, e.g. "Sunday 3 May at 14:00"
+   */
+  formatTime(dateTime) {
+    // Read the date as written rather than in the visitor's time zone
+    const [year, month, day] = dateTime.slice(0, 10).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-GB', {
+      weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC'
+    });
+    return `${date} at ${dateTime.slice(11, 16)}`;
+  }
+
+  // ── Voting ──
+
+  async vote(entry, button) {
+    this.list.querySelectorAll('.peoples-choice-vote-btn').forEach(btn => { btn.disabled = true; });
+    button.textContent = 'Voting...';
+
+    try {
+      // Keep the token before voting so a failed request retries with the same one
+      const record = this.getDeviceRecord();
+      if (!record.token) {
+        record.token = await this.adapter.requestToken({ poll: this.poll.id });
+        this.saveDeviceRecord(record);
+      }
+
+      await this.adapter.castVote({
+        poll: this.poll.id,
+        token: record.token,
+        entryId: entry.id,
+        opens: this.poll.opens,
+        closes: this.poll.closes
+      });
+
+      this.saveDeviceRecord({ token: record.token, entryId: entry.id });
+      this.render();
+      // The vote buttons are now disabled, so move focus to the thank-you message
+      this.statusText.focus();
+    } catch (error) {
+      console.error('Vote failed:', error);
+      this.handleVoteError(error);
+    }
+  }
+
+  handleVoteError(error) {
+    if (error.code === 'voting-closed') {
+      this.init();
+      return;
+    }
+
+    this.render();
+    if (error.code === 'already-voted') {
+      this.statusText.textContent = 'This device has already voted. Results are revealed when voting closes.';
+      this.list.querySelectorAll('.peoples-choice-vote-btn').forEach(btn => { btn.disabled = true; });
+    } else {
+      this.statusText.textContent = 'Sorry, your vote couldn\'t be saved. Please try again.';
+    }
+  }
+}
+
+// Initialize voting when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('peoples-choice')) {
+    window.peoplesChoice = new PeoplesChoice();
+  }
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PeoplesChoice;
+}
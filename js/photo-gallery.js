@@ -1,48 +1,51 @@
 /**
  * Photo Gallery Carousel
- * Handles the market photos carousel functionality
+ * Shows the market photos in the shared carousel engine, with dots, a counter and autoplay.
+ * The photos are one event's gallery from data/gallery.json (js/gallery-manifest.js).
  */
 
 class PhotoGallery {
     constructor() {
-        this.currentSlide = 0;
+        this.wrapper = document.querySelector('.photo-carousel-wrapper');
+        this.track = document.getElementById('photo-track');
         this.totalSlides = 0;
-        this.autoPlayInterval = null;
-        this.autoPlayDelay = 5000; // 5 seconds
-        this.isAutoPlaying = true;
-        this.touchStartX = 0;
-        this.touchEndX = 0;
-        
-        this.init();
+        this.engine = null;
+
+        if (this.wrapper && this.track) {
+            this.init();
+        }
     }
 
-    init() {
-        this.loadPhotos();
-        this.setupEventListeners();
-        this.setupKeyboardNavigation();
-        this.setupTouchNavigation();
-        this.startAutoPlay();
+    async init() {
+        await this.loadPhotos();
+        if (this.totalSlides > 0) {
+            this.setupCarousel();
+        }
     }
 
-    loadPhotos() {
-        const photos = [
-            '_DSC6576.JPG', '_DSC6594.JPG', '_DSC6613.JPG', '_DSC6616.JPG',
-            '_DSC6631.JPG', '_DSC6643.JPG', '_DSC6652.JPG', '_DSC6666.JPG',
-            '_DSC6668.JPG', '_DSC6691.JPG', '_DSC6692.JPG', '_DSC6725.JPG',
-            '_DSC6761.JPG', '_DSC6775.JPG', '_DSC6778.JPG', '_DSC6785.JPG',
-            '_DSC6799.JPG', '_DSC6802.JPG', '_DSC6803.JPG'
-        ];
+    /**
+     * The photos come from the gallery manifest (data/gallery.json), for the event named on the track
+     */
+    async loadPhotos() {
+        const manifest = window.galleryManifest;
+        if (!manifest) return;
+
+        try {
+            await manifest.load();
+        } catch (error) {
+            console.error('Error loading photos:', error);
+            return;
+        }
+
+        const event = manifest.getEvent(this.track.dataset.event);
+        const photos = event ? manifest.getPhotos(event) : [];
 
         this.totalSlides = photos.length;
         this.createSlides(photos);
-        this.createIndicators();
-        this.updateCounter();
     }
 
     createSlides(photos) {
-        const track = document.getElementById('photo-track');
-        if (!track) return;
-
+        const track = this.track;
         track.innerHTML = '';
 
         photos.forEach((photo, index) => {
@@ -51,278 +54,61 @@ class PhotoGallery {
             slide.setAttribute('data-slide', index);
 
             const img = document.createElement('img');
-            img.src = `https://side-quest-market.s3.eu-west-2.amazonaws.com/assets/2025Market/${photo}`;
-            img.alt = `Photo from The Side Quest Market 2025 - Image ${index + 1}`;
             img.loading = index === 0 ? 'eager' : 'lazy';
             img.setAttribute('tabindex', '-1'); // Remove from tab order to prevent focus issues
             img.setAttribute('role', 'img');
-            
-            // Add loading state
-            slide.classList.add('loading');
-            
-            img.onload = () => {
-                slide.classList.remove('loading');
-            };
-            
-            img.onerror = () => {
-                slide.classList.remove('loading');
-                img.alt = 'Photo could not be loaded';
-                img.style.display = 'none';
-                
-                // Create fallback content
-                const fallback = document.createElement('div');
-                fallback.textContent = 'Photo unavailable';
-                fallback.style.cssText = 'color: var(--text-secondary); font-size: 1.2rem; text-align: center;';
-                slide.appendChild(fallback);
-            };
+
+            // Placeholder, fade-in and error state with a retry button
+            window.photoLoader.load(slide, img, photo);
 
             slide.appendChild(img);
             track.appendChild(slide);
         });
     }
 
-    createIndicators() {
-        const indicatorsContainer = document.getElementById('photo-indicators');
-        if (!indicatorsContainer) return;
-
-        indicatorsContainer.innerHTML = '';
-
-        for (let i = 0; i < this.totalSlides; i++) {
-            const indicator = document.createElement('button');
-            indicator.className = 'photo-indicator';
-            indicator.setAttribute('aria-label', `Go to photo ${i + 1}`);
-            indicator.setAttribute('data-slide', i);
-            
-            if (i === 0) {
-                indicator.classList.add('active');
-            }
-
-            indicator.addEventListener('click', () => {
-                this.goToSlide(i);
-                this.pauseAutoPlay();
-            });
-
-            indicatorsContainer.appendChild(indicator);
-        }
-    }
-
-    setupEventListeners() {
-        const prevBtn = document.getElementById('photo-prev');
-        const nextBtn = document.getElementById('photo-next');
-
-        if (prevBtn) {
-            prevBtn.addEventListener('click', () => {
-                this.previousSlide();
-                this.pauseAutoPlay();
-            });
-        }
-
-        if (nextBtn) {
-            nextBtn.addEventListener('click', () => {
-                this.nextSlide();
-                this.pauseAutoPlay();
-            });
-        }
-
-        // Pause autoplay on hover
-        const carousel = document.querySelector('.photo-carousel-wrapper');
-        if (carousel) {
-            carousel.addEventListener('mouseenter', () => this.pauseAutoPlay());
-            carousel.addEventListener('mouseleave', () => this.resumeAutoPlay());
-        }
-
-        // Handle visibility change
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pauseAutoPlay();
-            } else if (this.isAutoPlaying) {
-                this.resumeAutoPlay();
-            }
+    setupCarousel() {
+        this.engine = new Carousel(this.wrapper, {
+            track: this.track,
+            autoplay: { delay: 5000 },
+            prevButton: document.getElementById('photo-prev'),
+            nextButton: document.getElementById('photo-next'),
+            indicators: document.getElementById('photo-indicators'),
+            indicatorClass: 'photo-indicator',
+            indicatorLabel: index => `Go to photo ${index + 1}`,
+            counter: document.getElementById('photo-counter'),
+            announce: (index, total) => `Showing photo ${index + 1} of ${total}`
         });
     }
 
-    setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
-            // Only handle keyboard navigation if the gallery is in focus
-            const gallery = document.querySelector('.photo-gallery-section');
-            if (!gallery || !this.isElementInViewport(gallery)) return;
-
-            switch (e.key) {
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    this.previousSlide();
-                    this.pauseAutoPlay();
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    this.nextSlide();
-                    this.pauseAutoPlay();
-                    break;
-                case ' ':
-                case 'Spacebar':
-                    e.preventDefault();
-                    this.toggleAutoPlay();
-                    break;
-            }
-        });
-    }
-
-    setupTouchNavigation() {
-        const carousel = document.querySelector('.photo-carousel');
-        if (!carousel) return;
-
-        carousel.addEventListener('touchstart', (e) => {
-            this.touchStartX = e.changedTouches[0].screenX;
-        }, { passive: true });
-
-        carousel.addEventListener('touchend', (e) => {
-            this.touchEndX = e.changedTouches[0].screenX;
-            this.handleSwipe();
-        }, { passive: true });
-    }
-
-    handleSwipe() {
-        const swipeThreshold = 50;
-        const diff = this.touchStartX - this.touchEndX;
-
-        if (Math.abs(diff) > swipeThreshold) {
-            if (diff > 0) {
-                // Swipe left - next slide
-                this.nextSlide();
-            } else {
-                // Swipe right - previous slide
-                this.previousSlide();
-            }
-            this.pauseAutoPlay();
-        }
-    }
-
     goToSlide(slideIndex) {
-        if (slideIndex < 0 || slideIndex >= this.totalSlides) return;
-
-        this.currentSlide = slideIndex;
-        this.updateCarousel();
-        this.updateIndicators();
-        this.updateCounter();
-        this.announceSlideChange();
+        this.engine.goTo(slideIndex, { user: true });
     }
 
     nextSlide() {
-        const nextIndex = (this.currentSlide + 1) % this.totalSlides;
-        this.goToSlide(nextIndex);
+        this.engine.next({ user: true });
     }
 
     previousSlide() {
-        const prevIndex = (this.currentSlide - 1 + this.totalSlides) % this.totalSlides;
-        this.goToSlide(prevIndex);
-    }
-
-    updateCarousel() {
-        const track = document.getElementById('photo-track');
-        if (!track) return;
-
-        const translateX = -this.currentSlide * 100;
-        track.style.transform = `translateX(${translateX}%)`;
-    }
-
-    updateIndicators() {
-        const indicators = document.querySelectorAll('.photo-indicator');
-        indicators.forEach((indicator, index) => {
-            indicator.classList.toggle('active', index === this.currentSlide);
-        });
-    }
-
-    updateCounter() {
-        const counter = document.getElementById('photo-counter');
-        if (counter) {
-            counter.textContent = `${this.currentSlide + 1} / ${this.totalSlides}`;
-        }
-    }
-
-    announceSlideChange() {
-        // Create announcement for screen readers
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.className = 'sr-only';
-        announcement.textContent = `Showing photo ${this.currentSlide + 1} of ${this.totalSlides}`;
-        
-        document.body.appendChild(announcement);
-        
-        // Remove after announcement
-        setTimeout(() => {
-            document.body.removeChild(announcement);
-        }, 1000);
-    }
-
-    startAutoPlay() {
-        if (this.autoPlayInterval) return;
-        
-        this.autoPlayInterval = setInterval(() => {
-            this.nextSlide();
-        }, this.autoPlayDelay);
-    }
-
-    pauseAutoPlay() {
-        if (this.autoPlayInterval) {
-            clearInterval(this.autoPlayInterval);
-            this.autoPlayInterval = null;
-        }
-    }
-
-    resumeAutoPlay() {
-        if (this.isAutoPlaying && !this.autoPlayInterval) {
-            this.startAutoPlay();
-        }
-    }
-
-    toggleAutoPlay() {
-        this.isAutoPlaying = !this.isAutoPlaying;
-        
-        if (this.isAutoPlaying) {
-            this.resumeAutoPlay();
-        } else {
-            this.pauseAutoPlay();
-        }
-    }
-
-    isElementInViewport(element) {
-        const rect = element.getBoundingClientRect();
-        return (
-            rect.top >= 0 &&
-            rect.left >= 0 &&
-            rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-            rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-        );
+        this.engine.prev({ user: true });
     }
 
     destroy() {
-        this.pauseAutoPlay();
-        
-        // Remove event listeners
-        const prevBtn = document.getElementById('photo-prev');
-        const nextBtn = document.getElementById('photo-next');
-        
-        if (prevBtn) prevBtn.removeEventListener('click', this.previousSlide);
-        if (nextBtn) nextBtn.removeEventListener('click', this.nextSlide);
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
     }
 }
 
 // Initialize photo gallery when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Check if photo gallery section exists
-    const gallerySection = document.querySelector('.photo-gallery-section');
-    if (gallerySection) {
-        // Small delay to ensure page has fully loaded and positioned correctly
-        setTimeout(() => {
-            window.photoGallery = new PhotoGallery();
-        }, 100);
+    if (document.querySelector('.photo-gallery-section')) {
+        window.photoGallery = new PhotoGallery();
     }
 });
 
-// Handle page unload
-window.addEventListener('beforeunload', () => {
-    if (window.photoGallery) {
-        window.photoGallery.destroy();
-    }
-});
\ No newline at end of file
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoGallery;
+}
@@ -0,0 +1,92 @@
+/**
+ * Photo Loader
+ * Loads gallery photos (from js/gallery-manifest.js) into the gallery grid and home page carousel.
+ * The photo's frame keeps its space while it loads and shows the manifest's tiny placeholder,
+ * blurred; the photo fades in over it. If it fails, the frame says so with a "Try again" button,
+ * so the frame mustn't itself be a button or link (a gallery grid item holds its own button).
+ * The frame's state is in data-photo-state: loading, loaded or error (css/photo-loader.css).
+ */
+
+class PhotoLoader {
+  /**
+   * Load a photo into an image inside its frame
+   * @param {HTMLElement} frame - Positioned element the photo fills or sits centred in
+   * @param {HTMLImageElement} img - Image element inside the frame
+   * @param {Object} photo - { src, alt, width, height, placeholder } from GalleryManifest.getPhotos
+   */
+  load(frame, img, photo) {
+    frame.classList.add('photo-frame');
+    if (photo.placeholder) {
+      frame.classList.add('photo-frame-placeholder');
+      frame.style.setProperty('--photo-placeholder', `url("${photo.placeholder}")`);
+    }
+
+    // Knowing the size up front lets the browser lay the photo out before it arrives
+    if (photo.width && photo.height) {
+      img.width = photo.width;
+      img.height = photo.height;
+    }
+    img.alt = photo.alt || '';
+    img.classList.add('photo-frame-img');
+    img.addEventListener('load', () => this.setState(frame, 'loaded'));
+    img.addEventListener('error', () => this.showError(frame, img, photo));
+
+    this.setState(frame, 'loading');
+    img.src = photo.src;
+  }
+
+  setState(frame, state) {
+    frame.dataset.photoState = state;
+    const error = frame.querySelector('.photo-frame-error');
+    if (error) error.hidden = state !== 'error';
+  }
+
+  showError(frame, img, photo) {
+    if (!frame.querySelector('.photo-frame-error')) {
+      frame.appendChild(this.createError(frame, img, photo));
+    }
+    this.setState(frame, 'error');
+  }
+
+  createError(frame, img, photo) {
+    const error = document.createElement('div');
+    error.className = 'photo-frame-error';
+
+    const message = document.createElement('p');
+    message.className = 'photo-frame-error-message';
+    message.textContent = "This photo couldn't be loaded";
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'photo-frame-retry';
+    retry.textContent = 'Try again';
+    retry.setAttribute('aria-label', `Try loading again: ${photo.alt || 'photo'}`);
+
+    // Keep the retry from also reaching handlers around the frame, like the carousel's swipe and keys
+    retry.addEventListener('click', e => {
+      e.stopPropagation();
+      this.retry(frame, img, photo);
+    });
+    retry.addEventListener('keydown', e => e.stopPropagation());
+
+    error.appendChild(message);
+    error.appendChild(retry);
+    return error;
+  }
+
+  retry(frame, img, photo) {
+    this.setState(frame, 'loading');
+    img.removeAttribute('src');
+    img.src = photo.src;
+  }
+}
+
+// Shared instance used by the gallery and photo carousel
+if (typeof window !== 'undefined') {
+  window.photoLoader = new PhotoLoader();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PhotoLoader;
+}
@@ -1,6 +1,6 @@
 /**
  * Site Map Interactive Modal
- * Handles modal display, zoom, pan, and touch gestures
+ * Handles modal display, zoom, pan, touch gestures and clickable stall hotspots
  */
 
 class SiteMapModal {
@@ -14,6 +14,23 @@ class SiteMapModal {
     this.zoomOutBtn = document.getElementById('zoom-out');
     this.zoomResetBtn = document.getElementById('zoom-reset');
     
+    // Image and hotspots share one stage so they scale together
+    this.stage = document.getElementById('site-map-stage');
+    this.zoomTarget = this.stage || this.modalImage;
+    this.hotspotLayer = document.getElementById('site-map-hotspots');
+    this.stallInfo = document.getElementById('site-map-stall-info');
+    this.searchForm = document.getElementById('site-map-search-form');
+    this.searchInput = document.getElementById('site-map-search');
+    this.vendorList = document.getElementById('site-map-vendor-list');
+    
+    // Stall data (data/site-maps.json)
+    this.mapsUrl = 'data/site-maps.json';
+    this.mapId = this.modal ? this.modal.dataset.map : null;
+    this.stalls = [];
+    this.activeStall = null;
+    this.zoomTransitionDuration = 300; // matches .site-map-stage transition
+    this.searchZoom = 2;
+    
     this.currentZoom = 1;
     this.minZoom = 0.5;
     this.maxZoom = 3;
@@ -21,6 +38,7 @@ class SiteMapModal {
     
     // Pan variables
     this.isPanning = false;
+    this.didPan = false;
     this.startX = 0;
     this.startY = 0;
     this.scrollLeft = 0;
@@ -43,6 +61,7 @@ class SiteMapModal {
     this.setupEventListeners();
     this.setupTouchGestures();
     this.setupKeyboardNavigation();
+    this.loadStalls();
   }
   
   setupEventListeners() {
@@ -77,6 +96,14 @@ class SiteMapModal {
     this.zoomContainer.addEventListener('mouseup', () => this.endPan());
     this.zoomContainer.addEventListener('mouseleave', () => this.endPan());
     
+    // Stall search
+    if (this.searchForm) {
+      this.searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.findStall(this.searchInput.value);
+      });
+    }
+    
     // Prevent context menu on right click during pan
     this.zoomContainer.addEventListener('contextmenu', (e) => {
       if (this.isPanning) {
@@ -97,6 +124,9 @@ class SiteMapModal {
     document.addEventListener('keydown', (e) => {
       if (!this.modal.classList.contains('active')) return;
       
+      // Let the search box keep its own keys
+      if (e.target === this.searchInput && e.key !== 'Escape') return;
+      
       switch (e.key) {
         case 'Escape':
           this.closeModal();
@@ -179,7 +209,8 @@ class SiteMapModal {
   }
   
   applyZoom() {
-    this.modalImage.style.transform = `scale(${this.currentZoom})`;
+    // Hotspots sit inside the zoom target, so their percentage positions follow every zoom level
+    this.zoomTarget.style.transform = `scale(${this.currentZoom})`;
     
     // Update container class for styling
     if (this.currentZoom > 1) {
@@ -206,6 +237,7 @@ class SiteMapModal {
   }
   
   startPan(e) {
+    this.didPan = false;
     if (this.currentZoom <= 1) return;
     
     this.isPanning = true;
@@ -227,6 +259,10 @@ class SiteMapModal {
     const walkX = (x - this.startX) * 2;
     const walkY = (y - this.startY) * 2;
     
+    if (Math.abs(walkX) > 10 || Math.abs(walkY) > 10) {
+      this.didPan = true;
+    }
+    
     this.zoomContainer.scrollLeft = this.scrollLeft - walkX;
     this.zoomContainer.scrollTop = this.scrollTop - walkY;
   }
@@ -238,10 +274,13 @@ class SiteMapModal {
   
   handleTouchStart(e) {
     this.touches = Array.from(e.touches);
+    this.didPan = false;
     
     if (this.touches.length === 2) {
       // Two finger pinch
       e.preventDefault();
+      this.didPan = true;
+      this.zoomContainer.classList.add('pinching');
       this.initialDistance = this.getDistance(this.touches[0], this.touches[1]);
       this.initialZoom = this.currentZoom;
     } else if (this.touches.length === 1 && this.currentZoom > 1) {
@@ -274,6 +313,10 @@ class SiteMapModal {
       const walkX = (this.startX - this.touches[0].pageX) * 2;
       const walkY = (this.startY - this.touches[0].pageY) * 2;
       
+      if (Math.abs(walkX) > 10 || Math.abs(walkY) > 10) {
+        this.didPan = true;
+      }
+      
       this.zoomContainer.scrollLeft = this.scrollLeft + walkX;
       this.zoomContainer.scrollTop = this.scrollTop + walkY;
     }
@@ -285,6 +328,7 @@ class SiteMapModal {
     if (this.touches.length < 2) {
       this.initialDistance = 0;
       this.initialZoom = this.currentZoom;
+      this.zoomContainer.classList.remove('pinching');
     }
     
     if (this.touches.length === 0) {
@@ -298,6 +342,203 @@ class SiteMapModal {
     return Math.sqrt(dx * dx + dy * dy);
   }
   
+  async loadStalls() {
+    if (!this.hotspotLayer || !this.mapId) return;
+    
+    try {
+      const response = await fetch(this.mapsUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load site maps: ${response.status}`);
+      }
+      const maps = await response.json();
+      const map = maps[this.mapId];
+      if (!map) {
+        console.warn(`No site map data for ${this.mapId}`);
+        return;
+      }
+      
+      // Vendor names and logos come from the shared vendor manifest
+      if (window.vendorManifest) {
+        await window.vendorManifest.load();
+      }
+      
+      this.stalls = (map.stalls || []).map(stall => ({
+        ...stall,
+        vendorData: window.vendorManifest ? window.vendorManifest.getVendor(stall.vendor) : null
+      }));
+      
+      this.createHotspots();
+      this.populateVendorList();
+      
+      // No stalls until the floor plan has been mapped, so nothing to search
+      if (this.searchForm) {
+        this.searchForm.hidden = this.stalls.length === 0;
+      }
+    } catch (error) {
+      console.error('Error loading site map stalls:', error);
+    }
+  }
+  
+  getStallLabel(stall) {
+    const vendorName = stall.vendorData ? stall.vendorData.name : 'Unassigned';
+    return `Stall ${stall.number}: ${vendorName}`;
+  }
+  
+  createHotspots() {
+    this.hotspotLayer.innerHTML = '';
+    
+    this.stalls.forEach(stall => {
+      const hotspot = document.createElement('button');
+      hotspot.type = 'button';
+      hotspot.className = 'site-map-hotspot';
+      hotspot.dataset.stall = stall.number;
+      hotspot.style.left = `${stall.x}%`;
+      hotspot.style.top = `${stall.y}%`;
+      hotspot.style.width = `${stall.width}%`;
+      hotspot.style.height = `${stall.height}%`;
+      hotspot.setAttribute('aria-label', this.getStallLabel(stall));
+      hotspot.setAttribute('aria-pressed', 'false');
+      
+      const number = document.createElement('span');
+      number.className = 'site-map-hotspot-number';
+      number.textContent = stall.number;
+      number.setAttribute('aria-hidden', 'true');
+      hotspot.appendChild(number);
+      
+      hotspot.addEventListener('click', (e) => {
+        // A drag or pinch that ends over a stall shouldn't select it
+        if (this.didPan) {
+          e.preventDefault();
+          this.didPan = false;
+          return;
+        }
+        this.selectStall(stall);
+      });
+      
+      stall.element = hotspot;
+      this.hotspotLayer.appendChild(hotspot);
+    });
+  }
+  
+  populateVendorList() {
+    if (!this.vendorList) return;
+    
+    this.vendorList.innerHTML = '';
+    this.stalls.forEach(stall => {
+      if (!stall.vendorData) return;
+      const option = document.createElement('option');
+      option.value = stall.vendorData.name;
+      this.vendorList.appendChild(option);
+    });
+  }
+  
+  selectStall(stall) {
+    if (this.activeStall && this.activeStall.element) {
+      this.activeStall.element.classList.remove('active');
+      this.activeStall.element.setAttribute('aria-pressed', 'false');
+    }
+    
+    this.activeStall = stall;
+    if (stall.element) {
+      stall.element.classList.add('active');
+      stall.element.setAttribute('aria-pressed', 'true');
+    }
+    
+    this.showStallInfo(stall);
+  }
+  
+  showStallInfo(stall) {
+    if (!this.stallInfo) return;
+    
+    this.stallInfo.innerHTML = '';
+    
+    const vendor = stall.vendorData;
+    if (vendor && window.vendorManifest) {
+      const logo = document.createElement('img');
+      logo.src = window.vendorManifest.getLogoUrl(vendor);
+      logo.alt = '';
+      logo.className = 'site-map-stall-logo';
+      this.stallInfo.appendChild(logo);
+    }
+    
+    const details = document.createElement('div');
+    details.className = 'site-map-stall-details';
+    
+    const number = document.createElement('span');
+    number.className = 'site-map-stall-number';
+    number.textContent = `Stall ${stall.number}`;
+    details.appendChild(number);
+    
+    const name = document.createElement('strong');
+    name.className = 'site-map-stall-vendor';
+    name.textContent = vendor ? vendor.name : 'Unassigned';
+    details.appendChild(name);
+    
+    if (vendor && window.vendorManifest) {
+      const link = document.createElement('a');
+      link.href = window.vendorManifest.getDirectoryUrl(vendor);
+      link.className = 'site-map-stall-link';
+      link.textContent = 'View vendor profile';
+      details.appendChild(link);
+    }
+    
+    this.stallInfo.appendChild(details);
+    this.stallInfo.hidden = false;
+  }
+  
+  /**
+   * Find a stall by vendor name or stall number and pan/zoom to it
+   */
+  findStall(query) {
+    const term = (query || '').trim().toLowerCase();
+    if (!term) return;
+    
+    const stall =
+      this.stalls.find(s => s.number.toLowerCase() === term) ||
+      this.stalls.find(s => s.vendorData && s.vendorData.name.toLowerCase() === term) ||
+      this.stalls.find(s => s.vendorData && s.vendorData.name.toLowerCase().includes(term));
+    
+    if (!stall) {
+      if (this.stallInfo) {
+        this.stallInfo.textContent = `No stall found for "${query.trim()}"`;
+        this.stallInfo.hidden = false;
+      }
+      return;
+    }
+    
+    this.selectStall(stall);
+    this.panToStall(stall);
+  }
+  
+  panToStall(stall) {
+    const zoom = Math.min(this.maxZoom, Math.max(this.currentZoom, this.searchZoom));
+    const zoomChanged = zoom !== this.currentZoom;
+    
+    if (zoomChanged) {
+      this.currentZoom = zoom;
+      this.applyZoom();
+    }
+    
+    const centerOnStall = () => {
+      // offsetWidth/Height are the unscaled stage size; scale them by the current zoom
+      const stageWidth = this.zoomTarget.offsetWidth * this.currentZoom;
+      const stageHeight = this.zoomTarget.offsetHeight * this.currentZoom;
+      const centerX = ((stall.x + stall.width / 2) / 100) * stageWidth;
+      const centerY = ((stall.y + stall.height / 2) / 100) * stageHeight;
+      
+      this.zoomContainer.scrollLeft = centerX - this.zoomContainer.clientWidth / 2;
+      this.zoomContainer.scrollTop = centerY - this.zoomContainer.clientHeight / 2;
+      this.endPan();
+    };
+    
+    // Wait for the zoom transition so the scrollable area has grown before panning
+    if (zoomChanged) {
+      setTimeout(centerOnStall, this.zoomTransitionDuration);
+    } else {
+      centerOnStall();
+    }
+  }
+  
   // Public method to open modal (for external use)
   open() {
     this.openModal();
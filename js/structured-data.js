@@ -0,0 +1,350 @@
+/**
+ * Structured Data Module
+ * Generates schema.org Event JSON-LD for markets and their workshop sessions, and fills in
+ * the Open Graph and Twitter card tags, all from the event manifest.
+ * Runs in the browser and in build-production.js, which validates the JSON-LD before release.
+ */
+
+class StructuredData {
+  /**
+   * @param {Object} options
+   * @param {EventManifest} options.eventManifest
+   * @param {VendorManifest} [options.vendorManifest] - Used to name workshop hosts
+   * @param {WorkshopManifest} [options.workshopManifest] - Used to list workshop sessions
+   * @param {CalendarExport} options.calendarExport - Used for Europe/London time zone offsets
+   */
+  constructor({ eventManifest, vendorManifest = null, workshopManifest = null, calendarExport }) {
+    this.eventManifest = eventManifest;
+    this.vendorManifest = vendorManifest;
+    this.workshopManifest = workshopManifest;
+    this.calendarExport = calendarExport;
+
+    this.scriptId = 'event-structured-data';
+    this.homeDescription = 'Join us for an alternative gaming market featuring board games, card games, and handcrafted items.';
+  }
+
+  // ── JSON-LD ──
+
+  /**
+   * Build the schema.org Event for a market
+   * @param {Object} event - Event from the event manifest
+   * @param {Array<Object>} [workshops] - Workshops from the workshop manifest, added as sub-events
+   * @param {Date} [now]
+   */
+  getEventJsonLd(event, workshops = [], now = new Date()) {
+    const manifest = this.eventManifest;
+    const hasTimes = event.days.every(day => day.open && day.close);
+    const firstDay = event.days[0];
+    const lastDay = event.days[event.days.length - 1];
+
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'Event',
+      name: event.title,
+      description: (event.description || []).join(' '),
+      startDate: hasTimes ? this.formatDateTime(firstDay.date, firstDay.open) : firstDay.date,
+      endDate: hasTimes ? this.formatDateTime(lastDay.date, lastDay.close) : lastDay.date,
+      eventStatus: 'https://schema.org/EventScheduled',
+      eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+      location: this.getPlace(event),
+      image: [event.image || manifest.shareImage].filter(Boolean),
+      url: this.getEventUrl(),
+      organizer: this.getOrganizer()
+    };
+
+    const offers = this.getOffers(event, now);
+    if (offers.length > 0) jsonLd.offers = offers;
+
+    if (workshops.length > 0 && this.workshopManifest) {
+      jsonLd.subEvent = workshops.flatMap(workshop =>
+        this.workshopManifest.getSessions(workshop).map(session => this.getWorkshopJsonLd(workshop, session, event)));
+    }
+
+    return jsonLd;
+  }
+
+  /**
+   * Build the schema.org Event for one workshop session, with its host as performer
+   * @param {Object} workshop - Workshop from the workshop manifest
+   * @param {{start: string, end: string}} session - From WorkshopManifest.getSessions()
+   * @param {Object} event - The market the workshop is part of
+   */
+  getWorkshopJsonLd(workshop, session, event) {
+    const [startDate, startTime] = session.start.split('T');
+    const [endDate, endTime] = session.end.split('T');
+
+    const jsonLd = {
+      '@type': 'Event',
+      name: workshop.title,
+      description: workshop.description || '',
+      startDate: this.formatDateTime(startDate, startTime),
+      endDate: this.formatDateTime(endDate, endTime),
+      eventStatus: 'https://schema.org/EventScheduled',
+      eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+      location: this.getPlace(event),
+      organizer: this.getOrganizer(),
+      isAccessibleForFree: !workshop.price
+    };
+
+    const performer = this.getPerformer(workshop.host);
+    if (performer) jsonLd.performer = performer;
+
+    return jsonLd;
+  }
+
+  getPlace(event) {
+    const venue = this.eventManifest.getVenue(event);
+    const address = {
+      '@type': 'PostalAddress',
+      addressLocality: venue.locality && venue.city ? `${venue.locality}, ${venue.city}` : venue.locality || venue.city,
+      addressCountry: 'GB'
+    };
+    if (venue.street) address.streetAddress = venue.street;
+    if (venue.postcode) address.postalCode = venue.postcode;
+
+    return { '@type': 'Place', name: venue.name, address };
+  }
+
+  getOrganizer() {
+    const organizer = this.eventManifest.organizer || {};
+    return {
+      '@type': 'Organization',
+      name: organizer.name || 'Side Quest Market',
+      url: organizer.url || this.eventManifest.siteUrl
+    };
+  }
+
+  /**
+   * Turn a workshop host vendor id into an Organization, linking to their directory entry
+   */
+  getPerformer(hostId) {
+    if (!hostId) return null;
+
+    const vendor = this.vendorManifest ? this.vendorManifest.getVendor(hostId) : null;
+    if (!vendor) return null;
+
+    const performer = { '@type': 'Organization', name: vendor.name };
+    const siteUrl = this.eventManifest.siteUrl;
+    performer.url = siteUrl ? `${siteUrl}/${this.vendorManifest.getDirectoryUrl(vendor)}` : this.vendorManifest.getProfileUrl(vendor);
+    if (!performer.url) delete performer.url;
+
+    return performer;
+  }
+
+  /**
+   * One Offer per ticket tier. Availability follows the ticket button state.
+   */
+  getOffers(event, now) {
+    const tickets = event.tickets || {};
+    const ticketState = this.eventManifest.getTicketState(event, now);
+    const availability = {
+      'on-sale': 'https://schema.org/InStock',
+      'sold-out': 'https://schema.org/SoldOut',
+      'coming-soon': 'https://schema.org/PreOrder'
+    }[ticketState.state];
+
+    return (tickets.tiers || []).map(tier => {
+      const offer = {
+        '@type': 'Offer',
+        name: tier.label,
+        price: Number(tier.price || 0).toFixed(2),
+        priceCurrency: 'GBP',
+        availability,
+        url: tickets.eventbriteUrl || this.getEventUrl()
+      };
+      if (tickets.onSale) {
+        const [date, time = '00:00'] = tickets.onSale.split('T');
+        offer.validFrom = this.formatDateTime(date, time);
+      }
+      return offer;
+    });
+  }
+
+  getEventUrl() {
+    return `${this.eventManifest.siteUrl}/future-events.html`;
+  }
+
+  /**
+   * Format a Europe/London wall-clock time with its UTC offset, e.g. "2026-05-02T10:00:00+01:00"
+   */
+  formatDateTime(date, time) {
+    const instant = this.calendarExport.londonToUtc(`${date}T${time}`);
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const offsetMinutes = (Date.UTC(year, month - 1, day, hours, minutes) - instant.getTime()) / 60000;
+
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    const offset = `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+
+    return `${date}T${time}:00${offset}`;
+  }
+
+  // ── Validation ──
+
+  /**
+   * Check a generated Event against the fields search engines require for rich results
+   * @param {Object} jsonLd
+   * @param {string} [path] - Where this object sits, for error messages
+   * @returns {string[]} Problems found; empty when valid
+   */
+  validate(jsonLd, path = 'Event') {
+    const errors = [];
+    const isIsoDate = value => typeof value === 'string' &&
+      /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}([+-]\d{2}:\d{2}|Z))?$/.test(value) &&
+      !Number.isNaN(Date.parse(value));
+    const isAbsoluteUrl = value => typeof value === 'string' && /^https?:\/\/[^\s]+$/.test(value);
+
+    if (path === 'Event' && jsonLd['@context'] !== 'https://schema.org') {
+      errors.push(`${path}: @context must be https://schema.org`);
+    }
+    if (jsonLd['@type'] !== 'Event') errors.push(`${path}: @type must be Event`);
+    if (!jsonLd.name) errors.push(`${path}: name is required`);
+
+    if (!isIsoDate(jsonLd.startDate)) errors.push(`${path}: startDate must be an ISO 8601 date`);
+    if (jsonLd.endDate !== undefined && !isIsoDate(jsonLd.endDate)) {
+      errors.push(`${path}: endDate must be an ISO 8601 date`);
+    } else if (isIsoDate(jsonLd.startDate) && jsonLd.endDate && Date.parse(jsonLd.endDate) < Date.parse(jsonLd.startDate)) {
+      errors.push(`${path}: endDate is before startDate`);
+    }
+
+    const location = jsonLd.location || {};
+    if (location['@type'] !== 'Place' || !location.name) {
+      errors.push(`${path}: location must be a Place with a name`);
+    } else if (!location.address || !location.address.addressLocality || !location.address.addressCountry) {
+      errors.push(`${path}: location address needs a locality and country`);
+    }
+
+    (jsonLd.image || []).forEach(image => {
+      if (!isAbsoluteUrl(image)) errors.push(`${path}: image "${image}" must be an absolute URL`);
+    });
+    if (jsonLd.url !== undefined && !isAbsoluteUrl(jsonLd.url)) errors.push(`${path}: url must be absolute`);
+
+    if (!jsonLd.organizer || !jsonLd.organizer.name) errors.push(`${path}: organizer name is required`);
+    if (jsonLd.performer && !jsonLd.performer.name) errors.push(`${path}: performer name is required`);
+
+    (jsonLd.offers || []).forEach((offer, index) => {
+      const offerPath = `${path}.offers[${index}]`;
+      if (offer['@type'] !== 'Offer') errors.push(`${offerPath}: @type must be Offer`);
+      if (!/^\d+(\.\d{2})?$/.test(String(offer.price))) errors.push(`${offerPath}: price must be a number`);
+      if (!/^[A-Z]{3}$/.test(offer.priceCurrency || '')) errors.push(`${offerPath}: priceCurrency must be an ISO 4217 code`);
+      if (!/^https:\/\/schema\.org\/\w+$/.test(offer.availability || '')) errors.push(`${offerPath}: availability must be a schema.org URL`);
+      if (!isAbsoluteUrl(offer.url)) errors.push(`${offerPath}: url must be absolute`);
+      if (offer.validFrom && Number.isNaN(Date.parse(offer.validFrom))) errors.push(`${offerPath}: validFrom must be a date`);
+    });
+
+    (jsonLd.subEvent || []).forEach((subEvent, index) => {
+      errors.push(...this.validate(subEvent, `${path}.subEvent[${index}]`));
+    });
+
+    return errors;
+  }
+
+  // ── Page tags ──
+
+  /**
+   * Sharing tag values for a page
+   * @param {string} pageName - File name, e.g. "index.html"
+   * @param {Date} [now]
+   */
+  getMetaValues(pageName, now = new Date()) {
+    const manifest = this.eventManifest;
+    const isHome = !pageName || pageName === 'index.html';
+    const values = {
+      url: `${manifest.siteUrl}/${isHome ? '' : pageName}`,
+      image: manifest.shareImage || ''
+    };
+
+    // Keep the homepage description pointing at the next market rather than the last one
+    const nextEvent = manifest.getNextEvent(now);
+    if (isHome && nextEvent) {
+      values.description = `${this.homeDescription} Next market: ${nextEvent.title}, ${manifest.formatDateRange(nextEvent)}.`;
+    }
+
+    return values;
+  }
+
+  /**
+   * Markup for the JSON-LD script tag, escaped so it can't close the tag early
+   */
+  getScriptMarkup(jsonLd) {
+    const json = JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json" id="${this.scriptId}">\n${json}\n</script>`;
+  }
+
+  /**
+   * Get the events a page describes: every upcoming market, plus the market whose workshops are
+   * listed unless it's over
+   */
+  getPageJsonLd(workshopGroups = [], now = new Date()) {
+    const events = this.eventManifest.getUpcomingEvents(now).slice();
+    workshopGroups.forEach(group => {
+      if (group.event && !events.includes(group.event) && this.eventManifest.getEventStatus(group.event, now) !== 'past') {
+        events.push(group.event);
+      }
+    });
+
+    return events.map(event => {
+      const group = workshopGroups.find(item => item.event === event);
+      return this.getEventJsonLd(event, group ? group.workshops : [], now);
+    });
+  }
+
+  /**
+   * Add the JSON-LD and fill in sharing tags on the current page
+   */
+  async applyToPage() {
+    try {
+      await Promise.all([
+        this.eventManifest.load(),
+        this.vendorManifest ? this.vendorManifest.load().catch(() => null) : null,
+        this.workshopManifest ? this.workshopManifest.load().catch(() => null) : null
+      ]);
+    } catch (error) {
+      console.error('Error generating structured data:', error);
+      return;
+    }
+
+    const workshopGroups = [];
+    const workshopGrid = document.querySelector('#workshops .workshops-grid');
+    if (workshopGrid && this.workshopManifest) {
+      const workshops = this.workshopManifest.getWorkshopsForEvent(workshopGrid.dataset.event);
+      if (workshops.length > 0) {
+        workshopGroups.push({ event: this.eventManifest.getEvent(workshopGrid.dataset.event), workshops });
+      }
+    }
+
+    const jsonLd = this.getPageJsonLd(workshopGroups);
+    if (jsonLd.length > 0) {
+      const existing = document.getElementById(this.scriptId);
+      if (existing) existing.remove();
+
+      const script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.id = this.scriptId;
+      script.textContent = JSON.stringify(jsonLd.length === 1 ? jsonLd[0] : jsonLd);
+      document.head.appendChild(script);
+    }
+
+    const pageName = window.location.pathname.split('/').pop();
+    this.applyMetaTags(this.getMetaValues(pageName));
+  }
+
+  applyMetaTags(values) {
+    const setContent = (selector, value) => {
+      const meta = document.querySelector(selector);
+      if (meta && value) meta.setAttribute('content', value);
+    };
+
+    setContent('meta[property="og:url"]', values.url);
+    setContent('meta[property="og:image"]', values.image);
+    setContent('meta[name="twitter:image"]', values.image);
+    setContent('meta[property="og:description"]', values.description);
+    setContent('meta[name="twitter:description"]', values.description);
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredData;
+}
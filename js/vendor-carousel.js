@@ -1,6 +1,6 @@
 /**
  * Vendor Logos Carousel
- * Handles automatic rotation, touch/swipe gestures, and accessibility
+ * Renders the vendor logos for the event and rotates them with the shared carousel engine
  */
 
 class VendorCarousel {
@@ -9,123 +9,12 @@ class VendorCarousel {
     this.track = document.querySelector('.vendor-carousel-track');
     this.prevBtn = document.querySelector('.carousel-prev');
     this.nextBtn = document.querySelector('.carousel-next');
-    this.indicatorsContainer = document.querySelector('.carousel-indicators');
+    this.engine = null;
 
-    this.currentIndex = 0;
-    this.totalSlides = 0;
-    this.slidesPerView = this.getSlidesPerView();
-    this.autoRotateInterval = null;
-    this.autoRotateDelay = 4000; // 4 seconds
-    this.pauseTimeout = null;
-    this.pauseDuration = 6000; // 6 seconds pause after user interaction
-    this.isUserInteracting = false;
-    this.isTransitioning = false;
-
-    // Touch/swipe properties
-    this.touchStartX = 0;
-    this.touchEndX = 0;
-    this.touchStartY = 0;
-    this.touchEndY = 0;
-    this.minSwipeDistance = 50;
-    this.isDragging = false;
-
-    this.vendorLogos = [
-      'Angelite_Atelier.png',
-      'bad_nancy.png',
-      'BardShots.png',
-      'BlackSheepCurios.png',
-      'Bug_and_Board.png',
-      'Bull_and_Compass.png',
-      'dragon_painter.png',
-      'DrizzleDrool.png',
-      'Fanatic_Pufferfish.png',
-      'Fights_and_Fancy.png',
-      'FourScore.png',
-      'GothWood.jpg',
-      'HangedDragon.png',
-      'HannahC.png',
-      'HearthValley.png',
-      'HillmansHandmade.png',
-      'Hullabailu.png',
-      'Jackalope_Roleplaying.png',
-      'KandyKitten.png',
-      'KookyCandle.png',
-      'Leaky_Teacup.png',
-      'LuckyLeafTeas.png',
-      'MakaberCandles.png',
-      'MallardMeadow.png',
-      'mantic.png',
-      'MiniGeekBoutique.png',
-      'MiniMiglets.png',
-      'NintendoNottingham.png',
-      'PickledPenniesPrints.png',
-      'Pocket_Fox_Games.png',
-      'PrintIsDead.png',
-      'RachelHanley.png',
-      'Rat_King_Umi.png',
-      'RollMightyLeather.png',
-      'Rose_and_Reverie.png',
-      'SB_Party.jpg',
-      'TabletopSmithy.png',
-      'TheDiceCup.png',
-      'ThePrintTavern.jpg',
-      'Treasures_of_Astrus.png',
-      'unrelenting_hobby.png',
-      'ValkyrieRPG.png',
-      'Vurona.png',
-      'WarlocksWicks.png',
-      'YviesImaginarium.png'
-    ];
-
-    // Vendor names array - mapped 1:1 with vendorLogos array
-    // You can edit these to be exactly what you want displayed
-    this.vendorNames = [
-      'Angelite Atelier',
-      'Bad Nancy',
-      'Bard Shots',
-      'Black Sheep Curios',
-      'Bug and Board',
-      'Bull & Compass',
-      'Dragon Painter',
-      'Drizzle & Drool',
-      'Fanatic Pufferfish',
-      'Fights and Fancy',
-      'Four Score Woodworking',
-      'Goth Wood',
-      'Hanged Dragon',
-      'Hannah Corah',
-      'Hearth Valley',
-      'Hillmans Handmade',
-      'Hullabailu',
-      'Jackalope Roleplaying',
-      'Kandy Kitten',
-      'Kooky Candle Company',
-      'The Leaky Teacup',
-      'Lucky Leaf Teas',
-      'Makaber Candles',
-      'Mallard Meadow',
-      'Mantic Games',
-      'Mini Geek Boutique',
-      'Mini Miglets',
-      'Nintendo Nottingham',
-      'Pickled Pennies Prints',
-      'Pocket Fox Games',
-      'Print Is Dead',
-      'Rachel Hanley',
-      'Rat King Umi',
-      'Roll Mighty Leather',
-      'Rose and Reverie',
-      'SB Party Creations',
-      'Tabletop Smithy',
-      'The Dice Cup',
-      'The Print Tavern',
-      'Treasures of Astrus',
-      'Unrelenting Hobby',
-      'Valkyrie RPG',
-      'Vurona Trinkets',
-      'Warlocks & Wicks',
-      'Yvies Imaginarium'
-    ];
+    // Vendors are loaded from the shared vendor manifest (data/vendors.json)
+    this.manifest = window.vendorManifest;
+    this.eventId = this.carousel ? this.carousel.dataset.event || null : null;
+    this.vendors = [];
 
     this.init();
   }
@@ -139,24 +28,8 @@ class VendorCarousel {
     try {
       this.carousel.classList.add('loading');
       await this.loadVendorLogos();
-      this.setupEventListeners();
-      this.setupTouchEvents();
-      this.updateSlidesPerView();
-
-      // Ensure totalSlides is set correctly
-      this.totalSlides = Math.ceil(this.vendorLogos.length / this.slidesPerView);
-      console.log(`Initialization: vendorLogos=${this.vendorLogos.length}, slidesPerView=${this.slidesPerView}, totalSlides=${this.totalSlides}`);
-
-      this.updateCarousel();
-      this.startAutoRotate();
+      this.setupCarousel();
       this.carousel.classList.remove('loading');
-
-      // Handle window resize
-      window.addEventListener('resize', this.debounce(() => {
-        this.updateSlidesPerView();
-        this.updateCarousel();
-      }, 250));
-
     } catch (error) {
       console.error('Error initializing vendor carousel:', error);
       this.carousel.classList.remove('loading');
@@ -164,22 +37,32 @@ class VendorCarousel {
   }
 
   async loadVendorLogos() {
-    const logoElements = this.vendorLogos.map((logo, index) => {
-      const logoDiv = document.createElement('div');
+    if (!this.manifest) {
+      throw new Error('Vendor manifest module not loaded');
+    }
+
+    await this.manifest.load();
+    this.vendors = this.manifest.getVendorsForEvent(this.eventId);
+
+    const logoElements = this.vendors.map(vendor => {
+      // Each logo links to the vendor's profile in the vendor directory
+      const logoDiv = document.createElement('a');
       logoDiv.className = 'vendor-logo';
-      logoDiv.setAttribute('role', 'img');
-      logoDiv.setAttribute('aria-label', `${this.vendorNames[index]} logo`);
+      logoDiv.href = this.manifest.getDirectoryUrl(vendor);
+      logoDiv.dataset.vendorId = vendor.id;
+      logoDiv.setAttribute('aria-label', `${vendor.name} - view vendor profile`);
 
       // Create logo container for image
       const logoContainer = document.createElement('div');
       logoContainer.className = 'vendor-logo-container';
 
       const img = document.createElement('img');
-      img.src = `https://side-quest-market.s3.eu-west-2.amazonaws.com/assets/VendorLogos/${logo}`;
-      img.alt = `${this.vendorNames[index]} logo`;
+      img.src = this.manifest.getLogoUrl(vendor);
+      img.alt = `${vendor.name} logo`;
       img.loading = 'lazy';
+      img.draggable = false;
       img.onerror = () => {
-        console.warn(`Failed to load vendor logo: ${logo}`);
+        console.warn(`Failed to load vendor logo: ${vendor.logo}`);
         logoDiv.style.display = 'none';
       };
 
@@ -188,7 +71,7 @@ class VendorCarousel {
       // Create vendor name text
       const nameDiv = document.createElement('div');
       nameDiv.className = 'vendor-name';
-      nameDiv.textContent = this.vendorNames[index];
+      nameDiv.textContent = vendor.name;
       nameDiv.setAttribute('aria-hidden', 'true'); // Already in aria-label above
 
       logoDiv.appendChild(logoContainer);
@@ -202,304 +85,48 @@ class VendorCarousel {
   }
 
   getVendorName(index) {
-    // Get vendor name from array by index
-    return this.vendorNames[index] || 'Unknown Vendor';
-  }
-
-  getSlidesPerView() {
-    const width = window.innerWidth;
-    if (width >= 1024) return 3; // Desktop: 3 logos
-    return 1; // Mobile/Tablet: 1 logo
-  }
-
-  updateSlidesPerView() {
-    const newSlidesPerView = this.getSlidesPerView();
-    if (newSlidesPerView !== this.slidesPerView) {
-      this.slidesPerView = newSlidesPerView;
-      this.totalSlides = Math.ceil(this.vendorLogos.length / this.slidesPerView);
-      this.currentIndex = Math.min(this.currentIndex, this.totalSlides - 1);
-    }
-  }
-
-  setupEventListeners() {
-    if (this.prevBtn) {
-      this.prevBtn.addEventListener('click', () => {
-        console.log('Prev button clicked');
-        this.handleUserInteraction(() => this.prevSlide());
-      });
-    }
-
-    if (this.nextBtn) {
-      this.nextBtn.addEventListener('click', () => {
-        console.log('Next button clicked');
-        this.handleUserInteraction(() => this.nextSlide());
-      });
-    }
-
-    // Keyboard navigation
-    this.carousel.addEventListener('keydown', (e) => {
-      if (e.key === 'ArrowLeft') {
-        e.preventDefault();
-        this.handleUserInteraction(() => this.prevSlide());
-      } else if (e.key === 'ArrowRight') {
-        e.preventDefault();
-        this.handleUserInteraction(() => this.nextSlide());
-      }
+    // Get vendor name from the manifest entry by index
+    const vendor = this.vendors[index];
+    return vendor ? vendor.name : 'Unknown Vendor';
+  }
+
+  /**
+   * Paging, autoplay and gestures come from the shared carousel engine (js/carousel.js)
+   */
+  setupCarousel() {
+    this.engine = new Carousel(this.carousel, {
+      track: this.track,
+      slidesPerView: { 0: 1, 1024: 3 }, // Mobile/Tablet: 1 logo, Desktop: 3 logos
+      autoplay: { delay: 4000, resumeAfter: 6000 }, // 6 seconds pause after user interaction
+      drag: true,
+      prevButton: this.prevBtn,
+      nextButton: this.nextBtn
     });
-
-    // Pause on hover/focus
-    this.carousel.addEventListener('mouseenter', () => this.pauseAutoRotate());
-    this.carousel.addEventListener('mouseleave', () => this.resumeAutoRotateAfterDelay());
-    this.carousel.addEventListener('focusin', () => this.pauseAutoRotate());
-    this.carousel.addEventListener('focusout', () => this.resumeAutoRotateAfterDelay());
-  }
-
-  setupTouchEvents() {
-    // Touch events for swipe functionality
-    this.carousel.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
-    this.carousel.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-    this.carousel.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
-
-    // Mouse events for desktop drag (optional enhancement)
-    this.carousel.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-    this.carousel.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-    this.carousel.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-    this.carousel.addEventListener('mouseleave', (e) => this.handleMouseUp(e));
-  }
-
-  handleTouchStart(e) {
-    this.touchStartX = e.touches[0].clientX;
-    this.touchStartY = e.touches[0].clientY;
-    this.isDragging = true;
-    this.carousel.classList.add('swiping');
-    this.pauseAutoRotate();
-  }
-
-  handleTouchMove(e) {
-    if (!this.isDragging) return;
-
-    const touchX = e.touches[0].clientX;
-    const touchY = e.touches[0].clientY;
-    const deltaX = Math.abs(touchX - this.touchStartX);
-    const deltaY = Math.abs(touchY - this.touchStartY);
-
-    // If horizontal swipe is more significant than vertical, prevent scrolling
-    if (deltaX > deltaY && deltaX > 10) {
-      e.preventDefault();
-    }
-  }
-
-  handleTouchEnd(e) {
-    if (!this.isDragging) return;
-
-    this.touchEndX = e.changedTouches[0].clientX;
-    this.touchEndY = e.changedTouches[0].clientY;
-    this.isDragging = false;
-    this.carousel.classList.remove('swiping');
-
-    this.handleSwipe();
-    this.resumeAutoRotateAfterDelay();
-  }
-
-  handleMouseDown(e) {
-    if (e.button !== 0) return; // Only left mouse button
-    this.touchStartX = e.clientX;
-    this.touchStartY = e.clientY;
-    this.isDragging = true;
-    this.carousel.classList.add('swiping');
-    this.pauseAutoRotate();
-    e.preventDefault();
-  }
-
-  handleMouseMove(e) {
-    if (!this.isDragging) return;
-    e.preventDefault();
-  }
-
-  handleMouseUp(e) {
-    if (!this.isDragging) return;
-
-    this.touchEndX = e.clientX;
-    this.touchEndY = e.clientY;
-    this.isDragging = false;
-    this.carousel.classList.remove('swiping');
-
-    this.handleSwipe();
-    this.resumeAutoRotateAfterDelay();
-  }
-
-  handleSwipe() {
-    const deltaX = this.touchEndX - this.touchStartX;
-    const deltaY = Math.abs(this.touchEndY - this.touchStartY);
-
-    // Only process horizontal swipes that are more significant than vertical movement
-    if (Math.abs(deltaX) > this.minSwipeDistance && Math.abs(deltaX) > deltaY) {
-      if (deltaX > 0) {
-        this.prevSlide();
-      } else {
-        this.nextSlide();
-      }
-    }
-  }
-
-  handleUserInteraction(action) {
-    console.log('User interaction started');
-    this.isUserInteracting = true;
-    this.pauseAutoRotate();
-    action();
-    this.resumeAutoRotateAfterDelay();
   }
 
   prevSlide() {
-    if (this.isTransitioning) return;
-    this.currentIndex = this.currentIndex > 0 ? this.currentIndex - 1 : this.totalSlides - 1;
-    this.updateCarousel();
+    this.engine.prev({ user: true });
   }
 
   nextSlide() {
-    if (this.isTransitioning) return;
-
-    console.log(`NextSlide: Before - currentIndex=${this.currentIndex}, totalSlides=${this.totalSlides}`);
-
-    this.currentIndex = this.currentIndex < this.totalSlides - 1 ? this.currentIndex + 1 : 0;
-
-    console.log(`NextSlide: After - currentIndex=${this.currentIndex}`);
-
-    this.updateCarousel();
+    this.engine.next({ user: true });
   }
 
   goToSlide(index) {
-    if (this.isTransitioning || index === this.currentIndex) return;
-    this.currentIndex = Math.max(0, Math.min(index, this.totalSlides - 1));
-    this.updateCarousel();
-  }
-
-  updateCarousel() {
-    if (!this.track) return;
-
-    this.isTransitioning = true;
-
-    // Calculate translation based on slides per view and current index
-    // Each "slide" represents a group of logos (1 on mobile, 3 on desktop)
-    // We need to move by the number of individual logos in each group
-    const logosToMove = this.currentIndex * this.slidesPerView;
-    const logoWidth = 100 / this.slidesPerView; // Width of each individual logo
-    const translateX = -logosToMove * logoWidth;
-
-    // Debug logging
-    console.log(`Carousel Update: currentIndex=${this.currentIndex}, slidesPerView=${this.slidesPerView}, totalSlides=${this.totalSlides}, translateX=${translateX}%`);
-
-    // Update debug info in test page if available
-    const debugInfo = document.getElementById('debug-info');
-    if (debugInfo) {
-      debugInfo.innerHTML = `
-        Current Index: ${this.currentIndex}<br>
-        Slides Per View: ${this.slidesPerView}<br>
-        Total Slides: ${this.totalSlides}<br>
-        Logos to Move: ${logosToMove}<br>
-        Logo Width: ${logoWidth}%<br>
-        Translate X: ${translateX}%
-      `;
-    }
-
-    this.track.style.transform = `translateX(${translateX}%)`;
-
-    this.updateButtons();
-
-    // Reset transition flag after animation completes
-    setTimeout(() => {
-      this.isTransitioning = false;
-    }, 600);
-  }
-
-  createIndicators() {
-    // Indicators removed - no longer needed
-  }
-
-  updateIndicators() {
-    // Indicators removed - no longer needed
-  }
-
-  updateButtons() {
-    if (this.prevBtn) {
-      this.prevBtn.disabled = false; // Always enabled for infinite loop
-    }
-    if (this.nextBtn) {
-      this.nextBtn.disabled = false; // Always enabled for infinite loop
-    }
-  }
-
-  startAutoRotate() {
-    this.stopAutoRotate();
-    this.autoRotateInterval = setInterval(() => {
-      if (!this.isUserInteracting && !this.isDragging) {
-        this.nextSlide();
-      }
-    }, this.autoRotateDelay);
-
-    this.carousel.classList.remove('paused');
-  }
-
-  stopAutoRotate() {
-    if (this.autoRotateInterval) {
-      clearInterval(this.autoRotateInterval);
-      this.autoRotateInterval = null;
-    }
-  }
-
-  pauseAutoRotate() {
-    this.stopAutoRotate();
-    this.carousel.classList.add('paused');
-
-    // Clear any existing pause timeout
-    if (this.pauseTimeout) {
-      clearTimeout(this.pauseTimeout);
-      this.pauseTimeout = null;
-    }
-  }
-
-  resumeAutoRotateAfterDelay() {
-    // Clear any existing pause timeout
-    if (this.pauseTimeout) {
-      clearTimeout(this.pauseTimeout);
-    }
-
-    this.pauseTimeout = setTimeout(() => {
-      this.isUserInteracting = false;
-      this.startAutoRotate();
-    }, this.pauseDuration);
-  }
-
-  // Utility function for debouncing
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+    this.engine.goTo(index, { user: true });
   }
 
   // Public method to destroy the carousel
   destroy() {
-    this.stopAutoRotate();
-    if (this.pauseTimeout) {
-      clearTimeout(this.pauseTimeout);
+    if (this.engine) {
+      this.engine.destroy();
+      this.engine = null;
     }
 
-    // Remove event listeners
-    window.removeEventListener('resize', this.updateSlidesPerView);
-
     // Clear carousel content
     if (this.track) {
       this.track.innerHTML = '';
     }
-    if (this.indicatorsContainer) {
-      this.indicatorsContainer.innerHTML = '';
-    }
   }
 }
 
@@ -511,17 +138,6 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
-// Handle page visibility changes to pause/resume carousel
-document.addEventListener('visibilitychange', () => {
-  if (window.vendorCarousel) {
-    if (document.hidden) {
-      window.vendorCarousel.pauseAutoRotate();
-    } else {
-      window.vendorCarousel.resumeAutoRotateAfterDelay();
-    }
-  }
-});
-
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = VendorCarousel;
@@ -0,0 +1,500 @@
+/**
+ * Vendor Directory
+ * Searchable, filterable list of vendors built from the shared vendor manifest.
+ * Search and category state is kept in the URL (?q=...&category=dice) so results can be shared.
+ * Vendors can be starred into the visitor's "My Day" plan, and gallery photos tagged with a
+ * vendor (data/gallery.json) are linked from their entry as "Photos of this stall". The gallery
+ * manifest is large, so those are added once it arrives, after the directory is shown.
+ */
+
+class VendorDirectory {
+  constructor() {
+    this.searchInput = document.getElementById('vendor-search');
+    this.filtersContainer = document.getElementById('vendor-category-filters');
+    this.results = document.getElementById('vendor-directory-results');
+    this.emptyMessage = document.getElementById('vendor-directory-empty');
+    this.status = document.getElementById('vendor-directory-status');
+
+    this.manifest = window.vendorManifest;
+    this.plan = window.myDayPlan || null;
+    this.gallery = window.galleryManifest || null;
+    this.galleryLoaded = false;
+    this.stallPhotoLimit = 4;
+    this.vendors = [];
+    this.query = '';
+    this.category = 'all';
+    this.selectedVendorId = null;
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.results || !this.manifest) {
+      console.warn('Vendor directory elements not found');
+      return;
+    }
+
+    try {
+      this.results.classList.add('loading');
+      this.vendors = await this.manifest.load();
+      this.readStateFromUrl();
+      this.createCategoryFilters();
+      this.setupEventListeners();
+      this.render();
+      this.focusSelectedVendor();
+    } catch (error) {
+      console.error('Error initializing vendor directory:', error);
+      if (this.status) {
+        this.status.textContent = 'Sorry, the vendor directory could not be loaded.';
+      }
+    } finally {
+      this.results.classList.remove('loading');
+    }
+
+    if (this.vendors.length > 0) {
+      this.loadStallPhotos();
+    }
+  }
+
+  /**
+   * Stall photos come from the gallery manifest; the directory still works without them
+   */
+  async loadStallPhotos() {
+    if (!this.gallery) return;
+
+    try {
+      await this.gallery.load();
+    } catch (error) {
+      console.warn('Stall photos could not be loaded:', error);
+      return;
+    }
+
+    this.galleryLoaded = true;
+    this.getEntries().forEach(entry => {
+      const vendor = this.manifest.getVendor(entry.dataset.vendorId);
+      const photos = vendor && this.createStallPhotos(vendor);
+      if (!photos) return;
+
+      // Before the plan button, where createEntry puts them
+      const details = entry.querySelector('.vendor-entry-details');
+      details.insertBefore(photos, details.querySelector('.vendor-plan-btn'));
+    });
+  }
+
+  /**
+   * Restore search, category and selected vendor from the query string
+   */
+  readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const category = params.get('category');
+
+    this.query = params.get('q') || '';
+    this.category = category && this.manifest.categories[category] ? category : 'all';
+    this.selectedVendorId = params.get('vendor');
+
+    if (this.searchInput) {
+      this.searchInput.value = this.query;
+    }
+  }
+
+  /**
+   * Write the current search and category back to the URL without adding history entries
+   */
+  updateUrl() {
+    const params = new URLSearchParams();
+    if (this.query) params.set('q', this.query);
+    if (this.category !== 'all') params.set('category', this.category);
+
+    const search = params.toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}`;
+    history.replaceState(null, '', url);
+  }
+
+  createCategoryFilters() {
+    if (!this.filtersContainer) return;
+
+    this.filtersContainer.innerHTML = '';
+
+    const categories = [['all', 'All'], ...Object.entries(this.manifest.categories)];
+    categories.forEach(([id, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'vendor-filter-btn';
+      button.dataset.category = id;
+      button.textContent = label;
+      button.setAttribute('aria-pressed', String(id === this.category));
+      button.classList.toggle('active', id === this.category);
+
+      button.addEventListener('click', () => this.setCategory(id));
+      this.filtersContainer.appendChild(button);
+    });
+  }
+
+  setupEventListeners() {
+    if (this.searchInput) {
+      this.searchInput.addEventListener('input', this.debounce(() => {
+        this.query = this.searchInput.value.trim();
+        this.render();
+        this.updateUrl();
+      }, 200));
+
+      // Down arrow moves from the search box into the results
+      this.searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+          e.preventDefault();
+          this.focusEntry(0);
+        }
+      });
+    }
+
+    // Arrow-key navigation between results, matching the vendor carousel's keyboard handling
+    this.results.addEventListener('keydown', (e) => this.handleResultsKeydown(e));
+
+    if (this.plan) {
+      document.addEventListener('myDayChanged', () => this.updatePlanButtons());
+    }
+  }
+
+  setCategory(category) {
+    this.category = category;
+
+    this.filtersContainer.querySelectorAll('.vendor-filter-btn').forEach(button => {
+      const isActive = button.dataset.category === category;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+
+    this.render();
+    this.updateUrl();
+  }
+
+  /**
+   * Get vendors matching the current category and search text
+   */
+  getFilteredVendors() {
+    const query = this.query.toLowerCase();
+
+    return this.vendors.filter(vendor => {
+      const categories = vendor.categories || [];
+      if (this.category !== 'all' && !categories.includes(this.category)) {
+        return false;
+      }
+
+      if (!query) return true;
+
+      const searchableText = [
+        vendor.name,
+        vendor.description || '',
+        ...categories.map(category => this.manifest.getCategoryLabel(category))
+      ].join(' ').toLowerCase();
+
+      return query.split(/\s+/).every(term => searchableText.includes(term));
+    });
+  }
+
+  /**
+   * Group vendors alphabetically by the first letter of their name
+   */
+  groupByLetter(vendors) {
+    const groups = new Map();
+
+    [...vendors]
+      .sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }))
+      .forEach(vendor => {
+        const firstChar = vendor.name.charAt(0).toUpperCase();
+        const letter = /[A-Z]/.test(firstChar) ? firstChar : '#';
+        if (!groups.has(letter)) groups.set(letter, []);
+        groups.get(letter).push(vendor);
+      });
+
+    return groups;
+  }
+
+  render() {
+    const vendors = this.getFilteredVendors();
+    this.results.innerHTML = '';
+
+    this.emptyMessage.hidden = vendors.length > 0;
+    if (this.status) {
+      this.status.textContent = `Showing ${vendors.length} of ${this.vendors.length} vendors`;
+    }
+
+    this.groupByLetter(vendors).forEach((groupVendors, letter) => {
+      const group = document.createElement('section');
+      group.className = 'vendor-group';
+      group.setAttribute('aria-labelledby', `vendor-group-${letter}`);
+
+      const heading = document.createElement('h3');
+      heading.className = 'vendor-group-heading';
+      heading.id = `vendor-group-${letter}`;
+      heading.textContent = letter;
+
+      const list = document.createElement('ul');
+      list.className = 'vendor-group-list';
+
+      groupVendors.forEach(vendor => {
+        const item = document.createElement('li');
+        item.appendChild(this.createEntry(vendor));
+        list.appendChild(item);
+      });
+
+      group.appendChild(heading);
+      group.appendChild(list);
+      this.results.appendChild(group);
+    });
+
+    // Only the first entry is in the tab order; arrow keys move between the rest
+    const entries = this.getEntries();
+    entries.forEach((entry, index) => entry.setAttribute('tabindex', index === 0 ? '0' : '-1'));
+  }
+
+  createEntry(vendor) {
+    const entry = document.createElement('article');
+    entry.className = 'vendor-entry';
+    entry.id = `vendor-${vendor.id}`;
+    entry.dataset.vendorId = vendor.id;
+    entry.setAttribute('aria-labelledby', `vendor-${vendor.id}-name`);
+
+    const logoWrap = document.createElement('div');
+    logoWrap.className = 'vendor-entry-logo';
+
+    const img = document.createElement('img');
+    img.src = this.manifest.getLogoUrl(vendor);
+    img.alt = `${vendor.name} logo`;
+    img.loading = 'lazy';
+    img.onerror = () => {
+      logoWrap.classList.add('logo-missing');
+      img.remove();
+    };
+    logoWrap.appendChild(img);
+
+    const details = document.createElement('div');
+    details.className = 'vendor-entry-details';
+
+    const name = document.createElement('h4');
+    name.className = 'vendor-entry-name';
+    name.id = `vendor-${vendor.id}-name`;
+    name.textContent = vendor.name;
+    details.appendChild(name);
+
+    const categories = vendor.categories || [];
+    if (categories.length > 0) {
+      const tags = document.createElement('ul');
+      tags.className = 'vendor-entry-categories';
+      tags.setAttribute('aria-label', 'Sells');
+      categories.forEach(category => {
+        const tag = document.createElement('li');
+        tag.className = 'vendor-entry-category';
+        tag.textContent = this.manifest.getCategoryLabel(category);
+        tags.appendChild(tag);
+      });
+      details.appendChild(tags);
+    }
+
+    if (vendor.description) {
+      const description = document.createElement('p');
+      description.className = 'vendor-entry-description';
+      description.textContent = vendor.description;
+      details.appendChild(description);
+    }
+
+    const links = this.createLinks(vendor);
+    if (links) details.appendChild(links);
+
+    const photos = this.createStallPhotos(vendor);
+    if (photos) details.appendChild(photos);
+
+    if (this.plan) {
+      const planButton = document.createElement('button');
+      planButton.type = 'button';
+      planButton.className = 'vendor-plan-btn';
+      planButton.dataset.vendorId = vendor.id;
+      planButton.addEventListener('click', () => this.plan.toggleVendor(vendor.id));
+      this.updatePlanButton(planButton, vendor.name);
+      details.appendChild(planButton);
+    }
+
+    entry.appendChild(logoWrap);
+    entry.appendChild(details);
+    return entry;
+  }
+
+  createLinks(vendor) {
+    const linkData = [];
+    if (vendor.website) linkData.push(['Website', vendor.website]);
+    Object.entries(vendor.social || {}).forEach(([network, url]) => {
+      if (url) linkData.push([network.charAt(0).toUpperCase() + network.slice(1), url]);
+    });
+
+    if (linkData.length === 0) return null;
+
+    const links = document.createElement('div');
+    links.className = 'vendor-entry-links';
+
+    linkData.forEach(([label, url]) => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.className = 'vendor-entry-link';
+      link.textContent = label;
+      link.setAttribute('aria-label', `${vendor.name} ${label} - opens in new tab`);
+      links.appendChild(link);
+    });
+
+    return links;
+  }
+
+  /**
+   * The first few gallery photos tagged with the vendor, each opening in the gallery's lightbox,
+   * and a link to all of them for every market they were taken at
+   */
+  createStallPhotos(vendor) {
+    if (!this.galleryLoaded) return null;
+
+    const tag = `vendor:${vendor.id}`;
+    const groups = this.gallery.getTaggedPhotos(tag);
+    if (groups.length === 0) return null;
+
+    const section = document.createElement('div');
+    section.className = 'vendor-entry-photos';
+
+    const heading = document.createElement('h5');
+    heading.className = 'vendor-entry-photos-heading';
+    heading.textContent = 'Photos of this stall';
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'vendor-entry-photo-list';
+    groups
+      .flatMap(({ event, photos }) => photos.map(photo => ({ event, photo })))
+      .slice(0, this.stallPhotoLimit)
+      .forEach(({ event, photo }) => {
+        const link = document.createElement('a');
+        link.href = this.gallery.getGalleryUrl(event, { tag, photo });
+
+        const img = document.createElement('img');
+        img.src = photo.src;
+        img.alt = photo.alt;
+        img.loading = 'lazy';
+        link.appendChild(img);
+
+        const item = document.createElement('li');
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+    section.appendChild(list);
+
+    groups.forEach(({ event, photos }) => {
+      const link = document.createElement('a');
+      link.className = 'vendor-entry-link';
+      link.href = this.gallery.getGalleryUrl(event, { tag });
+      link.textContent = `See all ${photos.length} from ${event.title}`;
+      link.setAttribute('aria-label', `See all ${photos.length} photos of ${vendor.name} from ${event.title}`);
+      section.appendChild(link);
+    });
+
+    return section;
+  }
+
+  updatePlanButton(button, vendorName) {
+    const isPlanned = this.plan.hasVendor(button.dataset.vendorId);
+    button.classList.toggle('active', isPlanned);
+    button.setAttribute('aria-pressed', String(isPlanned));
+    button.setAttribute('aria-label', `Add ${vendorName} to My Day`);
+    button.textContent = isPlanned ? '★ In My Day' : '☆ Add to My Day';
+  }
+
+  updatePlanButtons() {
+    this.results.querySelectorAll('.vendor-plan-btn').forEach(button => {
+      const vendor = this.manifest.getVendor(button.dataset.vendorId);
+      this.updatePlanButton(button, vendor ? vendor.name : '');
+    });
+  }
+
+  getEntries() {
+    return Array.from(this.results.querySelectorAll('.vendor-entry'));
+  }
+
+  focusEntry(index) {
+    const entries = this.getEntries();
+    if (entries.length === 0) return;
+
+    const target = entries[Math.max(0, Math.min(index, entries.length - 1))];
+    entries.forEach(entry => entry.setAttribute('tabindex', entry === target ? '0' : '-1'));
+    target.focus();
+  }
+
+  handleResultsKeydown(e) {
+    // Leave keys alone when focus is on a link inside an entry
+    if (!e.target.classList.contains('vendor-entry')) return;
+
+    const entries = this.getEntries();
+    const index = entries.indexOf(e.target);
+
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        e.preventDefault();
+        this.focusEntry(index + 1);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        e.preventDefault();
+        if (index === 0 && this.searchInput) {
+          this.searchInput.focus();
+        } else {
+          this.focusEntry(index - 1);
+        }
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.focusEntry(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.focusEntry(entries.length - 1);
+        break;
+    }
+  }
+
+  /**
+   * Scroll to and highlight the vendor named in ?vendor=, e.g. when arriving from the carousel
+   */
+  focusSelectedVendor() {
+    if (!this.selectedVendorId) return;
+
+    const entries = this.getEntries();
+    const index = entries.findIndex(entry => entry.dataset.vendorId === this.selectedVendorId);
+    if (index === -1) return;
+
+    entries[index].classList.add('highlighted');
+    this.focusEntry(index);
+    entries[index].scrollIntoView({ block: 'center' });
+  }
+
+  // Utility function for debouncing
+  debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+}
+
+// Initialize directory when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('vendor-directory-results')) {
+    window.vendorDirectory = new VendorDirectory();
+  }
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VendorDirectory;
+}
@@ -0,0 +1,101 @@
+/**
+ * Vendor Manifest Module
+ * Loads the vendor directory from data/vendors.json and provides lookups
+ * shared by the vendor carousel and other vendor-driven features
+ */
+
+class VendorManifest {
+  constructor(url = 'data/vendors.json') {
+    this.url = url;
+    this.logoBase = '';
+    this.categories = {};
+    this.vendors = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Fetch the manifest once and cache the result
+   * @returns {Promise<Array>} Resolves with the vendor list
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load vendor manifest: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => {
+          this.logoBase = data.logoBase || '';
+          this.categories = data.categories || {};
+          this.vendors = data.vendors || [];
+          return this.vendors;
+        })
+        .catch(error => {
+          // Allow a later call to retry instead of caching the failure
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Find a vendor by id
+   */
+  getVendor(id) {
+    return this.vendors.find(vendor => vendor.id === id) || null;
+  }
+
+  /**
+   * Get the vendors attending a given event, or all vendors if no event is given
+   */
+  getVendorsForEvent(eventId) {
+    if (!eventId) return this.vendors;
+    return this.vendors.filter(vendor => (vendor.events || []).includes(eventId));
+  }
+
+  /**
+   * Resolve the full URL of a vendor's logo
+   */
+  getLogoUrl(vendor) {
+    if (!vendor.logo) return '';
+    return /^https?:\/\//.test(vendor.logo) ? vendor.logo : `${this.logoBase}${vendor.logo}`;
+  }
+
+  /**
+   * Get the best profile link for a vendor: their website, then their first social link
+   */
+  getProfileUrl(vendor) {
+    if (vendor.website) return vendor.website;
+
+    const socialLinks = Object.values(vendor.social || {}).filter(Boolean);
+    return socialLinks.length > 0 ? socialLinks[0] : null;
+  }
+
+  /**
+   * Get the link to a vendor's entry in the vendor directory page
+   */
+  getDirectoryUrl(vendor) {
+    return `vendors.html?vendor=${encodeURIComponent(vendor.id)}`;
+  }
+
+  /**
+   * Get the display label for a category id
+   */
+  getCategoryLabel(categoryId) {
+    return this.categories[categoryId] || categoryId;
+  }
+}
+
+// Shared instance used by all vendor-driven modules (not created when loaded by the build script)
+if (typeof window !== 'undefined') {
+  window.vendorManifest = new VendorManifest();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VendorManifest;
+}
@@ -0,0 +1,443 @@
+/**
+ * Workshop Booking Module
+ * Adds session availability and a "Book a Place" dialog to workshops with limited places
+ * (those with a capacity in data/workshops.json). Full sessions take waitlist requests instead.
+ *
+ * Bookings go through an adapter, so the backend can be swapped without touching this module.
+ * Set window.bookingAdapter before the page loads to use a real provider. Without one, booking stays
+ * off and workshops are just listed, except when developing locally, where the LocalBookingAdapter
+ * stand-in is used. An adapter provides:
+ *   getAvailability(sessionIds) → Promise<{ [sessionId]: { booked, waitlisted } }>
+ *   createBooking({ sessionId, name, email, partySize })
+ *     → Promise<{ reference, sessionId, partySize, status: 'confirmed' | 'waitlisted', waitlistPosition }>
+ */
+
+class WorkshopBooking {
+  /**
+   * @param {Object} options
+   * @param {WorkshopManifest} options.workshopManifest
+   * @param {EventManifest} options.eventManifest
+   * @param {CalendarExport} [options.calendarExport] - Used to tell when a session has started
+   * @param {MyDayPlan} [options.plan] - Booked sessions are added to My Day
+   * @param {Object} options.adapter - Booking backend
+   */
+  constructor({ workshopManifest, eventManifest, calendarExport = null, plan = null, adapter }) {
+    this.workshopManifest = workshopManifest;
+    this.eventManifest = eventManifest;
+    this.calendarExport = calendarExport;
+    this.plan = plan;
+    this.adapter = adapter;
+
+    this.modal = document.getElementById('booking-modal');
+    this.form = document.getElementById('booking-form');
+    this.title = document.getElementById('booking-modal-title');
+    this.sessionOptions = document.getElementById('booking-sessions');
+    this.nameInput = document.getElementById('booking-name');
+    this.emailInput = document.getElementById('booking-email');
+    this.partySizeInput = document.getElementById('booking-party-size');
+    this.total = document.getElementById('booking-total');
+    this.submitBtn = document.getElementById('booking-submit');
+    this.statusDiv = document.getElementById('booking-status');
+    this.confirmation = document.getElementById('booking-confirmation');
+    this.closeBtn = document.getElementById('close-booking-modal');
+
+    this.maxPartySize = 6;
+    this.workshops = [];
+    this.availability = {};
+    this.currentWorkshop = null;
+    this.lastTrigger = null;
+
+    // Same rules as the contact form
+    this.validationRules = {
+      name: {
+        required: true,
+        minLength: 2,
+        maxLength: 50,
+        pattern: /^[a-zA-Z\s'-]+$/
+      },
+      email: {
+        required: true,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+      }
+    };
+
+    this.init();
+  }
+
+  init() {
+    if (!this.modal || !this.form) {
+      console.warn('Booking dialog not found');
+      return;
+    }
+
+    this.closeBtn.addEventListener('click', () => this.close());
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal || e.target.classList.contains('booking-modal-overlay')) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.modal.classList.contains('active')) {
+        this.close();
+      }
+    });
+
+    this.nameInput.addEventListener('blur', () => this.validateField('name'));
+    this.emailInput.addEventListener('blur', () => this.validateField('email'));
+    this.partySizeInput.addEventListener('input', () => this.updateTotal());
+    this.sessionOptions.addEventListener('change', () => this.updateSubmitLabel());
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+    const doneBtn = this.confirmation.querySelector('[data-action="done"]');
+    if (doneBtn) doneBtn.addEventListener('click', () => this.close());
+  }
+
+  isBookable(workshop) {
+    return typeof workshop.capacity === 'number' && workshop.capacity > 0;
+  }
+
+  // ── Availability ──
+
+  /**
+   * Availability list and "Book a Place" button for a workshop card
+   */
+  createCardControls(workshop) {
+    if (!this.workshops.includes(workshop)) this.workshops.push(workshop);
+
+    const controls = document.createElement('div');
+    controls.className = 'workshop-booking';
+
+    const list = document.createElement('ul');
+    list.className = 'workshop-availability';
+    list.setAttribute('aria-label', `${workshop.title} places`);
+
+    this.workshopManifest.getSessions(workshop).forEach(session => {
+      const item = document.createElement('li');
+      item.dataset.sessionId = session.id;
+      list.appendChild(item);
+    });
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'workshop-book-btn';
+    button.dataset.workshopId = workshop.id;
+    button.addEventListener('click', () => this.open(workshop, button));
+
+    controls.appendChild(list);
+    controls.appendChild(button);
+    return controls;
+  }
+
+  /**
+   * Fetch the latest numbers from the backend and update every card
+   */
+  async refreshAvailability() {
+    const sessionIds = this.workshops.flatMap(workshop =>
+      this.workshopManifest.getSessions(workshop).map(session => session.id));
+    if (sessionIds.length === 0) return;
+
+    try {
+      this.availability = await this.adapter.getAvailability(sessionIds);
+    } catch (error) {
+      console.error('Error loading workshop availability:', error);
+      this.availability = {};
+    }
+
+    this.updateCards();
+  }
+
+  /**
+   * @returns {{state: 'open'|'full'|'closed'|'unknown', remaining: number}}
+   */
+  getSessionState(session) {
+    if (this.hasStarted(session)) return { state: 'closed', remaining: 0 };
+
+    const counts = this.availability[session.id];
+    if (!counts) return { state: 'unknown', remaining: 0 };
+
+    const remaining = Math.max(session.workshop.capacity - counts.booked, 0);
+    return { state: remaining > 0 ? 'open' : 'full', remaining };
+  }
+
+  hasStarted(session) {
+    const start = this.calendarExport ? this.calendarExport.londonToUtc(session.start) : new Date(session.start);
+    return start <= new Date();
+  }
+
+  getAvailabilityText(session) {
+    const { state, remaining } = this.getSessionState(session);
+    switch (state) {
+      case 'closed':
+        return 'Booking closed';
+      case 'full':
+        return 'Full – join the waitlist';
+      case 'open':
+        return `${remaining} of ${session.workshop.capacity} places left`;
+      default:
+        return `${session.workshop.capacity} places`;
+    }
+  }
+
+  updateCards() {
+    this.workshops.forEach(workshop => {
+      const sessions = this.workshopManifest.getSessions(workshop);
+
+      sessions.forEach(session => {
+        document.querySelectorAll(`.workshop-availability li[data-session-id="${session.id}"]`).forEach(item => {
+          item.className = `availability-${this.getSessionState(session).state}`;
+          item.textContent = `${this.workshopManifest.formatSessionLabel(session.start)}: ${this.getAvailabilityText(session)}`;
+        });
+      });
+
+      const allClosed = sessions.every(session => this.getSessionState(session).state === 'closed');
+      document.querySelectorAll(`.workshop-book-btn[data-workshop-id="${workshop.id}"]`).forEach(button => {
+        button.disabled = allClosed;
+        button.textContent = allClosed ? 'Booking Closed' : 'Book a Place';
+        button.setAttribute('aria-label', allClosed
+          ? `Booking closed for ${workshop.title}`
+          : `Book a place on ${workshop.title}`);
+      });
+    });
+  }
+
+  // ── Dialog ──
+
+  open(workshop, trigger = null) {
+    this.currentWorkshop = workshop;
+    this.lastTrigger = trigger;
+
+    this.title.textContent = `Book: ${workshop.title}`;
+    this.form.hidden = false;
+    this.confirmation.hidden = true;
+    this.resetForm();
+    this.renderSessionOptions(workshop);
+
+    this.partySizeInput.max = Math.min(this.maxPartySize, workshop.capacity);
+    this.updateTotal();
+
+    this.modal.classList.add('active');
+    this.modal.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+
+    setTimeout(() => {
+      const firstOption = this.sessionOptions.querySelector('input:checked, input:not(:disabled)');
+      (firstOption || this.closeBtn).focus();
+    }, 100);
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+    this.modal.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+
+    if (this.lastTrigger) this.lastTrigger.focus();
+  }
+
+  renderSessionOptions(workshop) {
+    this.sessionOptions.innerHTML = '';
+
+    const sessions = this.workshopManifest.getSessions(workshop);
+    const firstOpen = sessions.find(session => this.getSessionState(session).state !== 'closed');
+
+    sessions.forEach(session => {
+      const id = `booking-session-${session.id}`;
+      const { state } = this.getSessionState(session);
+
+      const option = document.createElement('div');
+      option.className = `booking-session-option availability-${state}`;
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'session';
+      input.id = id;
+      input.value = session.id;
+      input.disabled = state === 'closed';
+      input.checked = session === firstOpen;
+
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = `${this.workshopManifest.formatSessionLabel(session.start)} – ${this.getAvailabilityText(session)}`;
+
+      option.appendChild(input);
+      option.appendChild(label);
+      this.sessionOptions.appendChild(option);
+    });
+
+    this.updateSubmitLabel();
+  }
+
+  getSelectedSession() {
+    const checked = this.sessionOptions.querySelector('input[name="session"]:checked');
+    if (!checked || !this.currentWorkshop) return null;
+    return this.workshopManifest.getSessions(this.currentWorkshop).find(session => session.id === checked.value) || null;
+  }
+
+  updateSubmitLabel() {
+    const session = this.getSelectedSession();
+    const isFull = session && this.getSessionState(session).state === 'full';
+    this.submitBtn.textContent = isFull ? 'Join Waitlist' : 'Book Now';
+    this.submitBtn.disabled = !session;
+  }
+
+  updateTotal() {
+    if (!this.total || !this.currentWorkshop) return;
+
+    const partySize = this.getPartySize();
+    if (this.workshopManifest.isFree(this.currentWorkshop)) {
+      this.total.textContent = this.currentWorkshop.donations ? 'Free – donations welcome' : 'Free';
+    } else {
+      this.total.textContent = `Total: ${this.eventManifest.formatPrice(this.currentWorkshop.price * (partySize || 1))}`;
+    }
+  }
+
+  getPartySize() {
+    return Number.parseInt(this.partySizeInput.value, 10);
+  }
+
+  // ── Validation ──
+
+  validateField(fieldName) {
+    const input = this[`${fieldName}Input`];
+    const value = input.value.trim();
+    const rules = this.validationRules[fieldName];
+    const errorElement = document.getElementById(`${input.id}-error`);
+
+    let errorMessage = '';
+    if (rules.required && !value) {
+      errorMessage = `${fieldName === 'name' ? 'Name' : 'Email'} is required.`;
+    } else if (value && rules.minLength && value.length < rules.minLength) {
+      errorMessage = `Name must be at least ${rules.minLength} characters.`;
+    } else if (value && rules.maxLength && value.length > rules.maxLength) {
+      errorMessage = `Name must not exceed ${rules.maxLength} characters.`;
+    } else if (value && rules.pattern && !rules.pattern.test(value)) {
+      errorMessage = fieldName === 'email'
+        ? 'Please enter a valid email address.'
+        : 'Name can only contain letters, spaces, hyphens, and apostrophes.';
+    }
+
+    this.setFieldError(input, errorElement, errorMessage);
+    return !errorMessage;
+  }
+
+  validatePartySize() {
+    const partySize = this.getPartySize();
+    const max = Number(this.partySizeInput.max);
+    const errorElement = document.getElementById('booking-party-size-error');
+
+    let errorMessage = '';
+    if (!Number.isInteger(partySize) || partySize < 1) {
+      errorMessage = 'Please enter how many people are coming.';
+    } else if (partySize > max) {
+      errorMessage = `You can book up to ${max} places at once.`;
+    }
+
+    this.setFieldError(this.partySizeInput, errorElement, errorMessage);
+    return !errorMessage;
+  }
+
+  setFieldError(input, errorElement, errorMessage) {
+    const formGroup = input.closest('.form-group');
+    input.classList.toggle('error', Boolean(errorMessage));
+    input.setAttribute('aria-invalid', String(Boolean(errorMessage)));
+    if (formGroup) formGroup.classList.toggle('has-error', Boolean(errorMessage));
+    if (errorElement) errorElement.textContent = errorMessage;
+  }
+
+  // ── Submission ──
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    this.clearStatus();
+
+    const session = this.getSelectedSession();
+    const isValid = [this.validateField('name'), this.validateField('email'), this.validatePartySize()].every(Boolean);
+    if (!session || !isValid) {
+      this.showStatus('Please correct the errors above before booking.', 'error');
+      const firstError = this.form.querySelector('.error');
+      if (firstError) firstError.focus();
+      return;
+    }
+
+    this.setLoadingState(true);
+
+    try {
+      const result = await this.adapter.createBooking({
+        sessionId: session.id,
+        name: this.nameInput.value.trim(),
+        email: this.emailInput.value.trim(),
+        partySize: this.getPartySize()
+      });
+
+      if (result.status === 'confirmed' && this.plan && !this.plan.hasSession(session.id)) {
+        this.plan.toggleSession(session.id);
+      }
+
+      this.showConfirmation(result, session);
+      this.refreshAvailability();
+    } catch (error) {
+      console.error('Booking failed:', error);
+      this.showStatus('Sorry, there was a problem making your booking. Please try again.', 'error');
+    } finally {
+      this.setLoadingState(false);
+    }
+  }
+
+  showConfirmation(result, session) {
+    const email = this.emailInput.value.trim();
+    const people = `${result.partySize} ${result.partySize === 1 ? 'person' : 'people'}`;
+    const sessionName = `${session.workshop.title}, ${this.workshopManifest.formatSessionLabel(session.start)}`;
+
+    const heading = this.confirmation.querySelector('.booking-confirmation-title');
+    const message = this.confirmation.querySelector('.booking-confirmation-message');
+    const reference = this.confirmation.querySelector('.booking-reference');
+
+    if (result.status === 'confirmed') {
+      heading.textContent = 'You’re booked!';
+      message.textContent = `${sessionName} for ${people}.${this.plan ? ' We’ve added it to My Day.' : ''}`;
+    } else {
+      heading.textContent = 'You’re on the waitlist';
+      message.textContent = `${sessionName} is full, so you’re number ${result.waitlistPosition} on the waitlist for ${people}. We’ll be in touch at ${email} if places come up.`;
+    }
+    reference.textContent = result.reference;
+
+    this.form.hidden = true;
+    this.confirmation.hidden = false;
+    this.confirmation.focus();
+  }
+
+  setLoadingState(isLoading) {
+    this.submitBtn.disabled = isLoading;
+    this.submitBtn.classList.toggle('loading', isLoading);
+    if (isLoading) {
+      this.submitBtn.textContent = 'Booking...';
+    } else {
+      this.updateSubmitLabel();
+    }
+  }
+
+  showStatus(message, type) {
+    this.statusDiv.textContent = message;
+    this.statusDiv.className = `form-status ${type}`;
+    this.statusDiv.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  }
+
+  clearStatus() {
+    this.statusDiv.textContent = '';
+    this.statusDiv.className = 'form-status';
+    this.statusDiv.removeAttribute('role');
+  }
+
+  resetForm() {
+    this.form.reset();
+    this.clearStatus();
+    [this.nameInput, this.emailInput, this.partySizeInput].forEach(input => {
+      this.setFieldError(input, document.getElementById(`${input.id}-error`), '');
+    });
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkshopBooking;
+}
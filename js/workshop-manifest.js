@@ -0,0 +1,177 @@
+/**
+ * Workshop Manifest Module
+ * Loads workshops and their sessions from data/workshops.json and provides the
+ * session, age band and clash helpers shared by the workshop schedule and structured data.
+ * Every session has an id of its own in the data: My Day plans and bookings are saved against it,
+ * so it must not change when sessions are added, removed or reordered.
+ */
+
+class WorkshopManifest {
+  constructor(url = 'data/workshops.json') {
+    this.url = url;
+    this.ageBands = {};
+    this.workshops = [];
+    this.loadPromise = null;
+    this.shortDayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  }
+
+  /**
+   * Fetch the manifest once and cache the result
+   * @returns {Promise<Array>} Resolves with the workshop list
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load workshops: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => this.setData(data))
+        .catch(error => {
+          // Allow a later call to retry instead of caching the failure
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Use already-parsed manifest data, e.g. read from disk by the build script
+   */
+  setData(data) {
+    this.ageBands = data.ageBands || {};
+    this.workshops = data.workshops || [];
+    return this.workshops;
+  }
+
+  getWorkshop(id) {
+    return this.workshops.find(workshop => workshop.id === id) || null;
+  }
+
+  getWorkshopsForEvent(eventId) {
+    return this.workshops.filter(workshop => workshop.event === eventId);
+  }
+
+  /**
+   * Expand a workshop's sessions with end times and full local date-times.
+   * A session that runs for a range of times (maxDuration) takes up its longest length, so
+   * timetables, clash checks and calendar entries keep the whole slot free.
+   * @returns {Array<Object>} { id, workshop, day, startTime, endTime, duration, start, end }
+   *   where start/end look like '2026-05-02T10:00'
+   */
+  getSessions(workshop) {
+    return workshop.sessions.map(session => {
+      const duration = session.maxDuration || session.duration;
+      const endTime = this.addMinutes(session.start, duration);
+      return {
+        id: session.id,
+        workshop,
+        day: session.day,
+        startTime: session.start,
+        endTime,
+        duration,
+        start: `${session.day}T${session.start}`,
+        end: `${session.day}T${endTime}`
+      };
+    });
+  }
+
+  /**
+   * Find a session by id across all workshops, e.g. to check a booking against its workshop's capacity
+   */
+  getSession(sessionId) {
+    for (const workshop of this.workshops) {
+      const session = this.getSessions(workshop).find(item => item.id === sessionId);
+      if (session) return session;
+    }
+    return null;
+  }
+
+  /**
+   * Add minutes to an "HH:MM" time
+   */
+  addMinutes(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = hours * 60 + mins + minutes;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  toMinutes(time) {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  }
+
+  /**
+   * Short session label, e.g. "Sat 10:00"
+   * @param {string} dateTime - A session's start or end, like '2026-05-02T10:00'
+   */
+  formatSessionLabel(dateTime) {
+    const [date, time] = dateTime.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    return `${this.shortDayNames[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]} ${time}`;
+  }
+
+  /**
+   * Label shown on the age badge, e.g. "Under 14s" or a note like "Under 13s need adult"
+   */
+  getAgeLabel(workshop) {
+    return workshop.ageNote || this.ageBands[workshop.ageBand] || workshop.ageBand;
+  }
+
+  /**
+   * Check a workshop against an age filter. Filtering by an age group also shows
+   * all-ages workshops, since they're suitable for that group too.
+   * @param {string} filter - 'all' or an age band id
+   */
+  matchesAgeFilter(workshop, filter) {
+    if (filter === 'all') return true;
+    if (filter === 'all-ages') return workshop.ageBand === 'all-ages';
+    return workshop.ageBand === filter || workshop.ageBand === 'all-ages';
+  }
+
+  isFree(workshop) {
+    return !workshop.price;
+  }
+
+  /**
+   * Find sessions that overlap another session on the same day.
+   * Drop-in activities run all day, so they're left out rather than clashing with everything.
+   * @param {Array<Object>} sessions - From getSessions()
+   * @returns {Map<string, Array<Object>>} Session id to the sessions it clashes with
+   */
+  findClashes(sessions) {
+    const clashes = new Map();
+    const timed = sessions.filter(session => !session.workshop.dropIn);
+
+    timed.forEach((session, index) => {
+      timed.slice(index + 1).forEach(other => {
+        if (session.day !== other.day) return;
+
+        const overlaps = this.toMinutes(session.startTime) < this.toMinutes(other.endTime) &&
+          this.toMinutes(other.startTime) < this.toMinutes(session.endTime);
+        if (!overlaps) return;
+
+        if (!clashes.has(session.id)) clashes.set(session.id, []);
+        if (!clashes.has(other.id)) clashes.set(other.id, []);
+        clashes.get(session.id).push(other);
+        clashes.get(other.id).push(session);
+      });
+    });
+
+    return clashes;
+  }
+}
+
+// Shared instance used by all workshop-driven modules (not created when loaded by the build script)
+if (typeof window !== 'undefined') {
+  window.workshopManifest = new WorkshopManifest();
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkshopManifest;
+}
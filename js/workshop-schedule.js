@@ -0,0 +1,600 @@
+/**
+ * Workshop Schedule Module
+ * Renders the #workshops section from the workshop manifest: filterable workshop cards
+ * with "Add to Calendar" menus, and a timetable by day and hour that flags clashing sessions.
+ * Sessions can be starred into the visitor's "My Day" plan, with a warning when starred sessions clash,
+ * and workshops with limited places get availability and booking from WorkshopBooking when a
+ * booking backend is configured.
+ */
+
+class WorkshopSchedule {
+  constructor() {
+    this.section = document.getElementById('workshops');
+    this.grid = document.querySelector('#workshops .workshops-grid');
+    this.timetable = document.getElementById('workshop-timetable');
+    this.filtersContainer = document.getElementById('workshop-filters');
+    this.status = document.getElementById('workshop-filter-status');
+
+    this.workshopManifest = window.workshopManifest;
+    this.eventManifest = window.eventManifest;
+    this.vendorManifest = window.vendorManifest;
+    this.calendarExport = window.calendarExport;
+    this.plan = window.myDayPlan || null;
+    this.booking = null;
+
+    this.eventId = this.grid ? this.grid.dataset.event : null;
+    this.event = null;
+    this.workshops = [];
+    this.filters = { age: 'all', price: 'all' };
+
+    this.priceFilters = { all: 'Any Price', free: 'Free', paid: 'Paid' };
+    this.hourHeight = 4; // rem per hour in the timetable
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.grid || !this.workshopManifest || !this.eventManifest) {
+      console.warn('Workshop schedule elements not found');
+      return;
+    }
+
+    try {
+      await Promise.all([
+        this.workshopManifest.load(),
+        this.eventManifest.load(),
+        // Logos are optional, so a vendor manifest failure shouldn't stop the schedule
+        this.vendorManifest ? this.vendorManifest.load().catch(() => null) : null
+      ]);
+
+      this.event = this.eventManifest.getEvent(this.eventId);
+      this.workshops = this.workshopManifest.getWorkshopsForEvent(this.eventId);
+
+      // Booking only opens with a booking backend to take it (see js/workshop-booking.js)
+      if (typeof WorkshopBooking !== 'undefined' && window.bookingAdapter &&
+          this.workshops.some(workshop => typeof workshop.capacity === 'number')) {
+        this.booking = new WorkshopBooking({
+          workshopManifest: this.workshopManifest,
+          eventManifest: this.eventManifest,
+          calendarExport: this.calendarExport,
+          plan: this.plan,
+          adapter: window.bookingAdapter
+        });
+      }
+
+      this.createFilters();
+      this.render();
+      if (this.booking) this.booking.refreshAvailability();
+
+      if (this.plan) {
+        document.addEventListener('myDayChanged', () => this.updatePlanControls());
+      }
+    } catch (error) {
+      console.error('Error loading workshops:', error);
+      this.grid.innerHTML = '<p class="workshops-error">Sorry, the workshop schedule could not be loaded.</p>';
+    }
+  }
+
+  // ── Filters ──
+
+  createFilters() {
+    if (!this.filtersContainer) return;
+
+    this.filtersContainer.innerHTML = '';
+
+    const ageOptions = [['all', 'Any Age'], ...Object.entries(this.workshopManifest.ageBands)];
+    this.filtersContainer.appendChild(this.createFilterGroup('age', 'Age group', ageOptions));
+    this.filtersContainer.appendChild(this.createFilterGroup('price', 'Price', Object.entries(this.priceFilters)));
+  }
+
+  createFilterGroup(type, label, options) {
+    const group = document.createElement('div');
+    group.className = 'workshop-filter-group';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', label);
+
+    options.forEach(([value, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'workshop-filter-btn';
+      button.dataset.filter = type;
+      button.dataset.value = value;
+      button.textContent = text;
+      button.classList.toggle('active', value === this.filters[type]);
+      button.setAttribute('aria-pressed', String(value === this.filters[type]));
+
+      button.addEventListener('click', () => this.setFilter(type, value));
+      group.appendChild(button);
+    });
+
+    return group;
+  }
+
+  setFilter(type, value) {
+    this.filters[type] = value;
+
+    this.filtersContainer.querySelectorAll(`.workshop-filter-btn[data-filter="${type}"]`).forEach(button => {
+      const isActive = button.dataset.value === value;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+
+    this.render();
+  }
+
+  getFilteredWorkshops() {
+    return this.workshops.filter(workshop => {
+      if (!this.workshopManifest.matchesAgeFilter(workshop, this.filters.age)) return false;
+      if (this.filters.price === 'free') return this.workshopManifest.isFree(workshop);
+      if (this.filters.price === 'paid') return !this.workshopManifest.isFree(workshop);
+      return true;
+    });
+  }
+
+  render() {
+    const workshops = this.getFilteredWorkshops();
+
+    this.renderCards(workshops);
+    if (this.timetable) this.renderTimetable(workshops);
+    this.updatePlanControls();
+    if (this.booking) this.booking.updateCards();
+
+    if (this.status) {
+      this.status.textContent = `Showing ${workshops.length} of ${this.workshops.length} workshops`;
+    }
+  }
+
+  // ── Cards ──
+
+  renderCards(workshops) {
+    this.grid.innerHTML = '';
+
+    if (workshops.length === 0) {
+      this.grid.innerHTML = '<p class="workshops-empty">No workshops match these filters.</p>';
+      return;
+    }
+
+    workshops.forEach((workshop, index) => {
+      this.grid.appendChild(this.createCard(workshop, index));
+    });
+  }
+
+  createCard(workshop, index) {
+    const titleId = `workshop-${workshop.id}-title`;
+    const card = document.createElement('article');
+    card.className = 'workshop-card';
+    card.dataset.workshopId = workshop.id;
+    card.setAttribute('aria-labelledby', titleId);
+
+    const dice = index % 2 === 0 ? ['purple', '01'] : ['alt', '02'];
+    card.innerHTML = `
+      <div class="workshop-card-header">
+        <div class="dice-decoration dice-${dice[0]}" role="img" aria-label="Decorative gaming dice"
+          data-bg="https://side-quest-market.s3.eu-west-2.amazonaws.com/assets/Dice/Dice full colour-${dice[1]}.png"></div>
+        <h3 id="${titleId}" class="workshop-title"></h3>
+      </div>
+      <div class="workshop-card-content">
+        <div class="workshop-schedule">
+          <div class="workshop-time"></div>
+          <div class="workshop-age"></div>
+        </div>
+        <div class="workshop-details">
+          <div class="workshop-description"></div>
+          <div class="workshop-duration"></div>
+        </div>
+        <div class="workshop-pricing"></div>
+      </div>
+    `;
+
+    card.querySelector('.workshop-title').textContent = workshop.title;
+    card.querySelector('.workshop-time').textContent = this.formatSchedule(workshop);
+    card.querySelector('.workshop-age').textContent = this.workshopManifest.getAgeLabel(workshop);
+    card.querySelector('.workshop-description').textContent = workshop.description;
+    card.querySelector('.workshop-duration').textContent = this.formatDurationLabel(workshop);
+    this.fillPricing(card.querySelector('.workshop-pricing'), workshop);
+
+    const content = card.querySelector('.workshop-card-content');
+    const logo = this.createVendorLogo(workshop);
+    if (logo) content.appendChild(logo);
+
+    if (this.booking && this.booking.isBookable(workshop)) {
+      content.appendChild(this.booking.createCardControls(workshop));
+    }
+
+    if (this.plan) {
+      content.appendChild(this.createPlanControls(workshop));
+    }
+
+    if (this.calendarExport) {
+      content.appendChild(this.createCalendarMenu(workshop));
+    }
+
+    return card;
+  }
+
+  // ── My Day ──
+
+  /**
+   * One star button per session, plus a warning shown when a starred session clashes
+   */
+  createPlanControls(workshop) {
+    const controls = document.createElement('div');
+    controls.className = 'workshop-plan';
+
+    const label = document.createElement('span');
+    label.className = 'workshop-plan-label';
+    label.textContent = 'My Day:';
+    controls.appendChild(label);
+
+    this.workshopManifest.getSessions(workshop).forEach(session => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'workshop-plan-btn';
+      button.dataset.sessionId = session.id;
+      button.dataset.label = workshop.dropIn
+        ? `${this.getDayName(session.day, true)} all day`
+        : this.workshopManifest.formatSessionLabel(session.start);
+
+      button.addEventListener('click', () => this.plan.toggleSession(session.id));
+      controls.appendChild(button);
+    });
+
+    const warning = document.createElement('p');
+    warning.className = 'workshop-plan-warning';
+    warning.setAttribute('role', 'status');
+    warning.hidden = true;
+    controls.appendChild(warning);
+
+    return controls;
+  }
+
+  /**
+   * Starred sessions at this event that clash with another starred session
+   */
+  getPlannedClashes() {
+    const planned = this.workshops
+      .flatMap(workshop => this.workshopManifest.getSessions(workshop))
+      .filter(session => this.plan.hasSession(session.id));
+    return this.workshopManifest.findClashes(planned);
+  }
+
+  updatePlanControls() {
+    if (!this.plan) return;
+
+    const clashes = this.getPlannedClashes();
+
+    this.grid.querySelectorAll('.workshop-plan-btn').forEach(button => {
+      const isPlanned = this.plan.hasSession(button.dataset.sessionId);
+      button.classList.toggle('active', isPlanned);
+      button.setAttribute('aria-pressed', String(isPlanned));
+      button.textContent = `${isPlanned ? '★' : '☆'} ${button.dataset.label}`;
+    });
+
+    this.grid.querySelectorAll('.workshop-card').forEach(card => {
+      const warning = card.querySelector('.workshop-plan-warning');
+      if (!warning) return;
+
+      const titles = new Set();
+      card.querySelectorAll('.workshop-plan-btn').forEach(button => {
+        (clashes.get(button.dataset.sessionId) || []).forEach(other => titles.add(other.workshop.title));
+      });
+
+      warning.hidden = titles.size === 0;
+      warning.textContent = titles.size > 0 ? `Clashes with ${[...titles].join(', ')} in My Day` : '';
+    });
+
+    if (this.timetable) {
+      this.timetable.querySelectorAll('.timetable-session').forEach(item => {
+        item.classList.toggle('planned', this.plan.hasSession(item.dataset.sessionId));
+      });
+    }
+  }
+
+  fillPricing(pricing, workshop) {
+    const price = document.createElement('span');
+    price.className = 'workshop-price';
+
+    if (this.workshopManifest.isFree(workshop)) {
+      price.textContent = 'Free';
+    } else {
+      price.classList.add('paid');
+      price.textContent = [this.eventManifest.formatPrice(workshop.price), workshop.priceNote].filter(Boolean).join(' ');
+    }
+    pricing.appendChild(price);
+
+    if (workshop.donations) {
+      const donations = document.createElement('span');
+      donations.className = 'workshop-donations';
+      donations.textContent = 'Donations welcome';
+      pricing.appendChild(donations);
+    }
+  }
+
+  createVendorLogo(workshop) {
+    const vendor = this.vendorManifest ? this.vendorManifest.getVendor(workshop.host) : null;
+    if (!vendor || !vendor.logo) return null;
+
+    const img = document.createElement('img');
+    img.src = this.vendorManifest.getLogoUrl(vendor);
+    img.alt = vendor.name;
+    img.className = 'workshop-vendor-logo';
+    img.loading = 'lazy';
+    return img;
+  }
+
+  createCalendarMenu(workshop) {
+    const details = {
+      id: `${this.eventId}-${workshop.id}`,
+      title: `${workshop.title} - Side Quest Market`,
+      description: workshop.description,
+      location: this.event ? this.eventManifest.formatVenue(this.event, true) : '',
+      url: this.eventManifest.siteUrl ? `${this.eventManifest.siteUrl}/#workshops` : ''
+    };
+
+    const entries = this.calendarExport.getSessionEntries(details, this.workshopManifest.getSessions(workshop));
+    return this.calendarExport.createMenu(entries, {
+      fileName: details.id,
+      label: workshop.title,
+      formatSession: entry => this.workshopManifest.formatSessionLabel(entry.start)
+    });
+  }
+
+  // ── Formatting ──
+
+  getDayName(date, short = false) {
+    const name = this.eventManifest.dayNames[this.eventManifest.parseDate(date).getDay()];
+    return short ? name.slice(0, 3) : name;
+  }
+
+  /**
+   * "10:00" to "10am", "13:30" to "1:30pm"
+   */
+  formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'pm' : 'am';
+    const displayHours = hours % 12 || 12;
+    return minutes ? `${displayHours}:${String(minutes).padStart(2, '0')}${suffix}` : `${displayHours}${suffix}`;
+  }
+
+  /**
+   * Card schedule text, e.g. "10am Saturday & Sunday" or "10am & 1pm Sat, 10am Sun"
+   */
+  formatSchedule(workshop) {
+    const days = [];
+    const timesByDay = new Map();
+    workshop.sessions.forEach(session => {
+      if (!timesByDay.has(session.day)) {
+        timesByDay.set(session.day, []);
+        days.push(session.day);
+      }
+      timesByDay.get(session.day).push(this.formatTime(session.start));
+    });
+
+    if (workshop.dropIn) {
+      const eventDays = this.event ? this.event.days.length : days.length;
+      if (days.length === 2 && eventDays === 2) return 'All Day Both Days';
+      return `All Day ${days.map(day => this.getDayName(day)).join(' & ')}`;
+    }
+
+    const timeLists = days.map(day => timesByDay.get(day).join(' & '));
+    if (timeLists.every(times => times === timeLists[0])) {
+      return `${timeLists[0]} ${days.map(day => this.getDayName(day)).join(' & ')}`;
+    }
+
+    return days.map((day, index) => `${timeLists[index]} ${this.getDayName(day, true)}`).join(', ');
+  }
+
+  formatDuration(minutes) {
+    if (minutes < 60) return `${minutes} Minutes`;
+    const hours = minutes / 60;
+    return `${hours} Hour${hours === 1 ? '' : 's'}`;
+  }
+
+  formatDurationLabel(workshop) {
+    if (workshop.dropIn) return 'Drop-in anytime';
+
+    const { duration, maxDuration } = workshop.sessions[0];
+    if (!maxDuration) return `Duration: ${this.formatDuration(duration)}`;
+
+    // "1.5 to 2 Hours" rather than "1.5 Hours to 2 Hours"
+    const from = this.formatDuration(duration);
+    const sameUnit = (duration < 60) === (maxDuration < 60);
+    return `Duration: ${sameUnit ? from.split(' ')[0] : from} to ${this.formatDuration(maxDuration)}`;
+  }
+
+  // ── Timetable ──
+
+  /**
+   * Lay sessions out in one column per day, positioned by start time and length.
+   * Overlapping sessions sit side by side and are marked as clashes.
+   */
+  renderTimetable(workshops) {
+    this.timetable.innerHTML = '';
+
+    const sessions = workshops.flatMap(workshop => this.workshopManifest.getSessions(workshop));
+    const timed = sessions.filter(session => !session.workshop.dropIn);
+    const dropIns = sessions.filter(session => session.workshop.dropIn);
+
+    if (sessions.length === 0) {
+      this.timetable.innerHTML = '<p class="workshops-empty">No sessions match these filters.</p>';
+      return;
+    }
+
+    // Keep the scale steady while filtering by basing it on every session at the event
+    const allTimed = this.workshops
+      .filter(workshop => !workshop.dropIn)
+      .flatMap(workshop => this.workshopManifest.getSessions(workshop));
+
+    // Only drop-ins at this event, so there's nothing to put on a time scale
+    if (allTimed.length === 0) {
+      this.timetable.appendChild(this.createDropInNote(dropIns));
+      return;
+    }
+
+    const firstHour = Math.floor(Math.min(...allTimed.map(s => this.workshopManifest.toMinutes(s.startTime))) / 60);
+    const lastHour = Math.ceil(Math.max(...allTimed.map(s => this.workshopManifest.toMinutes(s.endTime))) / 60);
+    const hourCount = Math.max(lastHour - firstHour, 1);
+
+    const days = this.event ? this.event.days.map(day => day.date) : [...new Set(sessions.map(s => s.day))].sort();
+    const clashes = this.workshopManifest.findClashes(timed);
+
+    const grid = document.createElement('div');
+    grid.className = 'timetable-grid';
+    grid.style.setProperty('--timetable-days', days.length);
+    grid.style.setProperty('--timetable-hours', hourCount);
+    grid.style.setProperty('--timetable-hour-height', `${this.hourHeight}rem`);
+
+    grid.appendChild(this.createHourColumn(firstHour, hourCount));
+    days.forEach(day => {
+      const daySessions = timed.filter(session => session.day === day);
+      grid.appendChild(this.createDayColumn(day, daySessions, clashes, firstHour, hourCount));
+    });
+    this.timetable.appendChild(grid);
+
+    if (dropIns.length > 0) {
+      this.timetable.appendChild(this.createDropInNote(dropIns));
+    }
+  }
+
+  createHourColumn(firstHour, hourCount) {
+    const column = document.createElement('div');
+    column.className = 'timetable-hours';
+    column.setAttribute('aria-hidden', 'true');
+
+    for (let hour = firstHour; hour <= firstHour + hourCount; hour++) {
+      const label = document.createElement('span');
+      label.className = 'timetable-hour';
+      label.style.top = `${((hour - firstHour) / hourCount) * 100}%`;
+      label.textContent = this.formatTime(`${hour}:00`);
+      column.appendChild(label);
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'timetable-hours-column';
+    wrapper.appendChild(document.createElement('div')).className = 'timetable-day-heading timetable-spacer';
+    wrapper.appendChild(column);
+    return wrapper;
+  }
+
+  createDayColumn(day, sessions, clashes, firstHour, hourCount) {
+    const headingId = `timetable-${day}`;
+    const column = document.createElement('section');
+    column.className = 'timetable-day';
+    column.setAttribute('aria-labelledby', headingId);
+
+    const heading = document.createElement('h4');
+    heading.className = 'timetable-day-heading';
+    heading.id = headingId;
+    heading.textContent = `${this.getDayName(day)} ${this.eventManifest.formatOrdinal(this.eventManifest.parseDate(day).getDate())}`;
+    column.appendChild(heading);
+
+    const list = document.createElement('ol');
+    list.className = 'timetable-sessions';
+
+    const sorted = [...sessions].sort((a, b) =>
+      this.workshopManifest.toMinutes(a.startTime) - this.workshopManifest.toMinutes(b.startTime));
+    const layout = this.getLanes(sorted);
+    const rangeMinutes = hourCount * 60;
+
+    sorted.forEach(session => {
+      const { lane, lanes } = layout.get(session.id);
+      const start = this.workshopManifest.toMinutes(session.startTime) - firstHour * 60;
+      const sessionClashes = clashes.get(session.id) || [];
+
+      const item = document.createElement('li');
+      item.className = 'timetable-session';
+      item.dataset.workshopId = session.workshop.id;
+      item.dataset.sessionId = session.id;
+      item.style.top = `${(start / rangeMinutes) * 100}%`;
+      item.style.height = `${(session.duration / rangeMinutes) * 100}%`;
+      item.style.left = `${(lane / lanes) * 100}%`;
+      item.style.width = `${100 / lanes}%`;
+
+      const time = document.createElement('span');
+      time.className = 'timetable-session-time';
+      time.textContent = `${session.startTime}–${session.endTime}`;
+
+      const title = document.createElement('span');
+      title.className = 'timetable-session-title';
+      title.textContent = session.workshop.title;
+
+      item.appendChild(time);
+      item.appendChild(title);
+
+      if (sessionClashes.length > 0) {
+        item.classList.add('clash');
+        const clash = document.createElement('span');
+        clash.className = 'timetable-session-clash';
+        clash.textContent = `Clashes with ${sessionClashes.map(other => other.workshop.title).join(', ')}`;
+        item.appendChild(clash);
+      }
+
+      list.appendChild(item);
+    });
+
+    column.appendChild(list);
+    return column;
+  }
+
+  /**
+   * Give each session a lane so overlapping sessions sit side by side.
+   * Sessions in the same overlapping group share the group's lane count.
+   * @param {Array<Object>} sessions - Sorted by start time
+   * @returns {Map<string, {lane: number, lanes: number}>}
+   */
+  getLanes(sessions) {
+    const layout = new Map();
+    let group = [];
+    let laneEnds = [];
+    let groupEnd = -1;
+
+    const closeGroup = () => {
+      group.forEach(id => { layout.get(id).lanes = laneEnds.length; });
+      group = [];
+      laneEnds = [];
+    };
+
+    sessions.forEach(session => {
+      const start = this.workshopManifest.toMinutes(session.startTime);
+      const end = this.workshopManifest.toMinutes(session.endTime);
+
+      if (start >= groupEnd) closeGroup();
+
+      let lane = laneEnds.findIndex(laneEnd => laneEnd <= start);
+      if (lane === -1) {
+        lane = laneEnds.length;
+        laneEnds.push(end);
+      } else {
+        laneEnds[lane] = end;
+      }
+
+      layout.set(session.id, { lane, lanes: 1 });
+      group.push(session.id);
+      groupEnd = Math.max(groupEnd, end);
+    });
+    closeGroup();
+
+    return layout;
+  }
+
+  createDropInNote(dropIns) {
+    const note = document.createElement('p');
+    note.className = 'timetable-drop-ins';
+
+    const titles = [...new Set(dropIns.map(session => session.workshop.title))];
+    note.textContent = `Drop in all day: ${titles.join(', ')}`;
+    return note;
+  }
+}
+
+// Initialize workshop schedule when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('workshops')) {
+    window.workshopSchedule = new WorkshopSchedule();
+  }
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkshopSchedule;
+}
@@ -0,0 +1,234 @@
+/**
+ * Calendar Export Tests
+ * Runs js/calendar-export.js on its own: event entries, the .ics file (VTIMEZONE, all-day end
+ * dates, escaping, line folding), Google and Outlook links, and Europe/London times either side
+ * of the clocks changing
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CalendarExport = require('../js/calendar-export.js');
+const EventManifest = require('../js/event-manifest.js');
+
+const calendar = new CalendarExport();
+const stamp = new Date('2026-10-19T12:00:00Z');
+
+const allDayEntry = {
+  uid: 'nottingham-nov2026',
+  title: 'Nottingham Side Quest Market',
+  description: 'Games, dice and more',
+  location: 'Greasley Sports Centre, Eastwood, Nottingham',
+  url: 'https://sidequestmarket.co.uk/future-events.html',
+  allDay: true,
+  start: '2026-11-21',
+  end: '2026-11-22'
+};
+
+const timedEntry = {
+  uid: 'may2026-day1',
+  title: 'Nottingham Side Quest Market',
+  description: '',
+  location: 'Greasley Sports Centre',
+  url: '',
+  allDay: false,
+  start: '2026-05-02T10:00',
+  end: '2026-05-02T16:00'
+};
+
+const icsLines = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('CalendarExport', () => {
+  describe('getEventEntries', () => {
+    const manifest = new EventManifest(undefined, calendar);
+    manifest.setData({
+      siteUrl: 'https://sidequestmarket.co.uk',
+      venues: { hall: { name: 'Market Hall', city: 'Nottingham' } },
+      events: [
+        { id: 'dates-only', title: 'Dates Only', venue: 'hall', days: [{ date: '2026-11-21' }, { date: '2026-11-22' }] },
+        {
+          id: 'with-times',
+          title: 'With Times',
+          venue: 'hall',
+          description: ['First.', 'Second.'],
+          days: [
+            { date: '2026-05-02', open: '10:00', close: '16:00' },
+            { date: '2026-05-03', open: '10:00', close: '15:00' }
+          ]
+        }
+      ]
+    });
+
+    it('makes one all-day entry when opening times are not announced', () => {
+      const entries = calendar.getEventEntries(manifest.getEvent('dates-only'), manifest);
+
+      assert.strictEqual(entries.length, 1);
+      assert.deepStrictEqual(
+        { uid: entries[0].uid, allDay: entries[0].allDay, start: entries[0].start, end: entries[0].end },
+        { uid: 'dates-only', allDay: true, start: '2026-11-21', end: '2026-11-22' });
+      assert.strictEqual(entries[0].location, 'Market Hall, Nottingham');
+      assert.strictEqual(entries[0].url, 'https://sidequestmarket.co.uk/future-events.html');
+    });
+
+    it('makes one timed entry per day when opening times are set', () => {
+      const entries = calendar.getEventEntries(manifest.getEvent('with-times'), manifest);
+
+      assert.deepStrictEqual(entries.map(entry => [entry.uid, entry.start, entry.end]), [
+        ['with-times-day1', '2026-05-02T10:00', '2026-05-02T16:00'],
+        ['with-times-day2', '2026-05-03T10:00', '2026-05-03T15:00']
+      ]);
+      assert.strictEqual(entries[0].description, 'First.\n\nSecond.');
+    });
+  });
+
+  describe('buildIcs', () => {
+    it('wraps entries in a VCALENDAR with CRLF line endings', () => {
+      const ics = calendar.buildIcs([allDayEntry], stamp);
+
+      assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+      assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+      assert.ok(!/[^\r]\n/.test(ics), 'every line ends with CRLF');
+      assert.ok(icsLines(ics).includes('UID:nottingham-nov2026@sidequestmarket.co.uk'));
+      assert.ok(icsLines(ics).includes('DTSTAMP:20261019T120000Z'));
+    });
+
+    it('gives all-day entries an exclusive DTEND and no time zone', () => {
+      const lines = icsLines(calendar.buildIcs([allDayEntry], stamp));
+
+      assert.ok(lines.includes('DTSTART;VALUE=DATE:20261121'));
+      assert.ok(lines.includes('DTEND;VALUE=DATE:20261123'));
+      assert.ok(!lines.includes('BEGIN:VTIMEZONE'));
+    });
+
+    it('carries an all-day end date over the end of the month and year', () => {
+      const lines = icsLines(calendar.buildIcs([{ ...allDayEntry, start: '2026-12-30', end: '2026-12-31' }], stamp));
+      assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+    });
+
+    it('adds the Europe/London VTIMEZONE once for timed entries', () => {
+      const ics = calendar.buildIcs([timedEntry, { ...timedEntry, uid: 'may2026-day2' }], stamp);
+      const lines = icsLines(ics);
+
+      assert.strictEqual(lines.filter(line => line === 'BEGIN:VTIMEZONE').length, 1);
+      assert.ok(lines.includes('TZID:Europe/London'));
+      assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+      assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+      assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+      assert.ok(lines.includes('DTSTART;TZID=Europe/London:20260502T100000'));
+      assert.ok(lines.includes('DTEND;TZID=Europe/London:20260502T160000'));
+    });
+
+    it('keeps wall-clock times on the night the clocks go back', () => {
+      const lines = icsLines(calendar.buildIcs([{ ...timedEntry, start: '2026-10-25T00:30', end: '2026-10-25T03:00' }], stamp));
+
+      assert.ok(lines.includes('DTSTART;TZID=Europe/London:20261025T003000'));
+      assert.ok(lines.includes('DTEND;TZID=Europe/London:20261025T030000'));
+    });
+
+    it('leaves out empty description, location and url', () => {
+      const lines = icsLines(calendar.buildIcs([timedEntry], stamp));
+
+      assert.ok(!lines.some(line => line.startsWith('DESCRIPTION:')));
+      assert.ok(!lines.some(line => line.startsWith('URL:')));
+      assert.ok(lines.includes('LOCATION:Greasley Sports Centre'));
+    });
+
+    it('escapes and folds long text values', () => {
+      const description = `Bring dice, snacks; and friends\\family\n${'Painting '.repeat(20)}`;
+      const ics = calendar.buildIcs([{ ...allDayEntry, description }], stamp);
+
+      assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+      assert.ok(icsLines(ics).includes(`DESCRIPTION:${calendar.escapeText(description)}`));
+    });
+  });
+
+  describe('escapeText', () => {
+    it('escapes backslashes, semicolons, commas and newlines', () => {
+      assert.strictEqual(calendar.escapeText('a,b;c\\d\ne\r\nf'), 'a\\,b\\;c\\\\d\\ne\\nf');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('leaves lines of up to 75 octets alone', () => {
+      const line = `SUMMARY:${'x'.repeat(67)}`;
+      assert.strictEqual(calendar.foldLine(line), line);
+    });
+
+    it('folds at 75 octets, counting the leading space of continuation lines', () => {
+      const line = `DESCRIPTION:${'x'.repeat(200)}`;
+      const parts = calendar.foldLine(line).split('\r\n');
+
+      assert.strictEqual(parts[0].length, 75);
+      parts.slice(1).forEach(part => {
+        assert.ok(part.startsWith(' '));
+        assert.ok(part.length <= 75);
+      });
+      assert.strictEqual(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+    });
+
+    it('never splits a multi-byte character', () => {
+      const line = `SUMMARY:${'£'.repeat(60)}`;
+      const parts = calendar.foldLine(line).split('\r\n');
+
+      assert.ok(parts.length > 1);
+      parts.forEach(part => {
+        assert.ok(Buffer.byteLength(part) <= 75);
+        assert.ok(!part.includes('\uFFFD'));
+      });
+      assert.strictEqual(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+    });
+  });
+
+  describe('getGoogleUrl', () => {
+    it('uses an exclusive end date for all-day entries', () => {
+      const params = new URL(calendar.getGoogleUrl(allDayEntry)).searchParams;
+
+      assert.strictEqual(params.get('action'), 'TEMPLATE');
+      assert.strictEqual(params.get('text'), 'Nottingham Side Quest Market');
+      assert.strictEqual(params.get('dates'), '20261121/20261123');
+      assert.strictEqual(params.get('ctz'), null);
+      assert.strictEqual(params.get('details'), 'Games, dice and more\n\nhttps://sidequestmarket.co.uk/future-events.html');
+    });
+
+    it('sends timed entries as London wall-clock times', () => {
+      const params = new URL(calendar.getGoogleUrl(timedEntry)).searchParams;
+
+      assert.strictEqual(params.get('dates'), '20260502T100000/20260502T160000');
+      assert.strictEqual(params.get('ctz'), 'Europe/London');
+      assert.strictEqual(params.get('details'), '');
+    });
+  });
+
+  describe('getOutlookUrl', () => {
+    it('uses an exclusive end date for all-day entries', () => {
+      const params = new URL(calendar.getOutlookUrl(allDayEntry)).searchParams;
+
+      assert.strictEqual(params.get('startdt'), '2026-11-21');
+      assert.strictEqual(params.get('enddt'), '2026-11-23');
+      assert.strictEqual(params.get('allday'), 'true');
+    });
+
+    it('sends timed entries as UTC instants, an hour earlier in summer', () => {
+      const summer = new URL(calendar.getOutlookUrl(timedEntry)).searchParams;
+      assert.strictEqual(summer.get('startdt'), '2026-05-02T09:00:00.000Z');
+      assert.strictEqual(summer.get('enddt'), '2026-05-02T15:00:00.000Z');
+      assert.strictEqual(summer.get('allday'), 'false');
+
+      const winter = new URL(calendar.getOutlookUrl({ ...timedEntry, start: '2026-11-21T10:00', end: '2026-11-21T16:00' })).searchParams;
+      assert.strictEqual(winter.get('startdt'), '2026-11-21T10:00:00.000Z');
+    });
+  });
+
+  describe('londonToUtc', () => {
+    const utc = dateTime => calendar.londonToUtc(dateTime).toISOString();
+
+    it('is an hour ahead of UTC until the clocks go back at 02:00 BST', () => {
+      assert.strictEqual(utc('2026-10-25T00:30'), '2026-10-24T23:30:00.000Z');
+      assert.strictEqual(utc('2026-10-25T03:00'), '2026-10-25T03:00:00.000Z');
+    });
+
+    it('matches UTC until the clocks go forward at 01:00 GMT', () => {
+      assert.strictEqual(utc('2026-03-29T00:30'), '2026-03-29T00:30:00.000Z');
+      assert.strictEqual(utc('2026-03-29T03:00'), '2026-03-29T02:00:00.000Z');
+    });
+  });
+});
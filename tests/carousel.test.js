@@ -0,0 +1,439 @@
+/**
+ * Carousel Engine Tests
+ * Runs js/carousel.js against a jsdom page: paging, breakpoints, looping, autoplay,
+ * swipe, indicators, the counter, announcements, fade mode and destroy()
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+
+let Carousel;
+
+/**
+ * Fresh page with a carousel of `count` slides; the engine reads window and document as globals
+ */
+function setupPage(count = 6, { width = 1280 } = {}) {
+  const slides = Array.from({ length: count }, (_, i) => `<div class="slide">Slide ${i + 1}</div>`).join('');
+  const dom = new JSDOM(`
+    <div class="carousel">
+      <div class="track">${slides}</div>
+      <button class="prev">Previous</button>
+      <button class="next">Next</button>
+      <div class="indicators"></div>
+      <div class="counter"></div>
+    </div>
+  `);
+
+  global.window = dom.window;
+  global.document = dom.window.document;
+  global.AbortController = dom.window.AbortController;
+  setWidth(width);
+
+  delete require.cache[require.resolve('../js/carousel.js')];
+  Carousel = require('../js/carousel.js');
+
+  const root = document.querySelector('.carousel');
+  return {
+    root,
+    track: root.querySelector('.track'),
+    prevButton: root.querySelector('.prev'),
+    nextButton: root.querySelector('.next'),
+    indicators: root.querySelector('.indicators'),
+    counter: root.querySelector('.counter')
+  };
+}
+
+function setWidth(width) {
+  Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+}
+
+function swipe(element, fromX, toX) {
+  const touch = x => ({ clientX: x, clientY: 100 });
+  const event = (type, key, x) => {
+    const e = new window.Event(type, { bubbles: true, cancelable: true });
+    e[key] = [touch(x)];
+    return e;
+  };
+
+  element.dispatchEvent(event('touchstart', 'touches', fromX));
+  element.dispatchEvent(event('touchmove', 'touches', toX));
+  element.dispatchEvent(event('touchend', 'changedTouches', toX));
+}
+
+function press(element, key) {
+  element.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('Carousel', () => {
+  let page;
+  let carousel;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+  });
+
+  afterEach(() => {
+    if (carousel) carousel.destroy();
+    carousel = null;
+    delete global.IntersectionObserver;
+    mock.timers.reset();
+  });
+
+  describe('paging', () => {
+    it('moves the track a page at a time', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track });
+
+      assert.strictEqual(page.track.style.transform, 'translateX(0%)');
+      carousel.next();
+      assert.strictEqual(carousel.currentIndex, 1);
+      assert.strictEqual(page.track.style.transform, 'translateX(-100%)');
+    });
+
+    it('groups slides into pages from the breakpoints', () => {
+      page = setupPage(7, { width: 1280 });
+      carousel = new Carousel(page.root, { track: page.track, slidesPerView: { 0: 1, 1024: 3 } });
+      assert.strictEqual(carousel.slidesPerView, 3);
+      assert.strictEqual(carousel.pageCount, 3);
+
+      carousel.destroy();
+      setWidth(600);
+      carousel = new Carousel(page.root, { track: page.track, slidesPerView: { 0: 1, 1024: 3 } });
+      assert.strictEqual(carousel.slidesPerView, 1);
+      assert.strictEqual(carousel.pageCount, 7);
+    });
+
+    it('keeps the visible slides in view when the breakpoint changes', () => {
+      page = setupPage(7, { width: 600 });
+      carousel = new Carousel(page.root, { track: page.track, slidesPerView: { 0: 1, 1024: 3 } });
+      carousel.goTo(4);
+
+      setWidth(1280);
+      window.dispatchEvent(new window.Event('resize'));
+      mock.timers.tick(250);
+
+      assert.strictEqual(carousel.slidesPerView, 3);
+      assert.strictEqual(carousel.currentIndex, 1); // Slide 5 is on the second page of three
+    });
+
+    it('makes slides on other pages inert', () => {
+      page = setupPage(6);
+      carousel = new Carousel(page.root, { track: page.track, slidesPerView: 3 });
+      const slides = Array.from(page.track.children);
+
+      assert.deepStrictEqual(slides.map(slide => slide.hasAttribute('inert')), [false, false, false, true, true, true]);
+      carousel.next();
+      assert.deepStrictEqual(slides.map(slide => slide.hasAttribute('inert')), [true, true, true, false, false, false]);
+    });
+  });
+
+  describe('looping', () => {
+    it('wraps round both ends when looping', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track });
+
+      carousel.prev();
+      assert.strictEqual(carousel.currentIndex, 2);
+      carousel.next();
+      assert.strictEqual(carousel.currentIndex, 0);
+    });
+
+    it('stops at the ends and disables the buttons when not looping', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { ...page, loop: false });
+
+      assert.strictEqual(page.prevButton.disabled, true);
+      carousel.prev();
+      assert.strictEqual(carousel.currentIndex, 0);
+
+      carousel.goTo(2);
+      assert.strictEqual(page.nextButton.disabled, true);
+      carousel.next();
+      assert.strictEqual(carousel.currentIndex, 2);
+    });
+
+    it('disables the buttons when there is only one page', () => {
+      page = setupPage(1);
+      carousel = new Carousel(page.root, { ...page });
+
+      assert.strictEqual(page.prevButton.disabled, true);
+      assert.strictEqual(page.nextButton.disabled, true);
+    });
+  });
+
+  describe('controls', () => {
+    it('moves with the prev and next buttons', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { ...page });
+
+      page.nextButton.click();
+      page.nextButton.click();
+      page.prevButton.click();
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+
+    it('renders an indicator per page and marks the current one', () => {
+      page = setupPage(4);
+      carousel = new Carousel(page.root, { ...page, indicatorLabel: i => `Go to photo ${i + 1}` });
+      const indicators = page.indicators.children;
+
+      assert.strictEqual(indicators.length, 4);
+      assert.strictEqual(indicators[2].getAttribute('aria-label'), 'Go to photo 3');
+
+      indicators[2].click();
+      assert.strictEqual(carousel.currentIndex, 2);
+      assert.ok(indicators[2].classList.contains('active'));
+      assert.strictEqual(indicators[2].getAttribute('aria-current'), 'true');
+      assert.ok(!indicators[0].classList.contains('active'));
+    });
+
+    it('updates the counter', () => {
+      page = setupPage(19);
+      carousel = new Carousel(page.root, { ...page });
+
+      assert.strictEqual(page.counter.textContent, '1 / 19');
+      carousel.goTo(18);
+      assert.strictEqual(page.counter.textContent, '19 / 19');
+    });
+
+    it('moves with the arrow, Home and End keys', () => {
+      page = setupPage(5);
+      carousel = new Carousel(page.root, { track: page.track });
+
+      press(page.track, 'ArrowRight');
+      assert.strictEqual(carousel.currentIndex, 1);
+      press(page.track, 'End');
+      assert.strictEqual(carousel.currentIndex, 4);
+      press(page.track, 'ArrowLeft');
+      assert.strictEqual(carousel.currentIndex, 3);
+      press(page.track, 'Home');
+      assert.strictEqual(carousel.currentIndex, 0);
+    });
+  });
+
+  describe('swipe', () => {
+    it('moves on a horizontal swipe past the threshold', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track });
+
+      swipe(page.track, 300, 200);
+      assert.strictEqual(carousel.currentIndex, 1);
+      swipe(page.track, 200, 300);
+      assert.strictEqual(carousel.currentIndex, 0);
+    });
+
+    it('treats a short movement as a tap', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track });
+      let clicks = 0;
+      page.track.firstElementChild.addEventListener('click', () => clicks++);
+
+      swipe(page.track, 300, 280);
+      page.track.firstElementChild.click();
+      assert.strictEqual(carousel.currentIndex, 0);
+      assert.strictEqual(clicks, 1);
+    });
+
+    it('swallows the click that ends a swipe', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track });
+      let clicks = 0;
+      page.track.children[1].addEventListener('click', () => clicks++);
+
+      swipe(page.track, 300, 200);
+      page.track.children[1].click();
+      assert.strictEqual(clicks, 0);
+    });
+  });
+
+  describe('announcements', () => {
+    it('announces changes the visitor makes', () => {
+      page = setupPage(4);
+      carousel = new Carousel(page.root, { ...page, announce: (i, total) => `Showing photo ${i + 1} of ${total}` });
+      const liveRegion = page.root.querySelector('[aria-live="polite"]');
+
+      assert.ok(liveRegion);
+      page.nextButton.click();
+      assert.strictEqual(liveRegion.textContent, 'Showing photo 2 of 4');
+    });
+
+    it('stays quiet when autoplay moves the carousel', () => {
+      page = setupPage(4);
+      carousel = new Carousel(page.root, { ...page, autoplay: { delay: 1000 }, announce: () => 'moved' });
+      const liveRegion = page.root.querySelector('[aria-live="polite"]');
+
+      mock.timers.tick(1000);
+      assert.strictEqual(carousel.currentIndex, 1);
+      assert.strictEqual(liveRegion.textContent, '');
+    });
+  });
+
+  describe('autoplay', () => {
+    it('advances on the delay', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track, autoplay: { delay: 4000 } });
+
+      mock.timers.tick(3999);
+      assert.strictEqual(carousel.currentIndex, 0);
+      mock.timers.tick(1);
+      assert.strictEqual(carousel.currentIndex, 1);
+      mock.timers.tick(8000);
+      assert.strictEqual(carousel.currentIndex, 0);
+    });
+
+    it('holds after the visitor moves it, then resumes', () => {
+      page = setupPage(5);
+      carousel = new Carousel(page.root, { ...page, autoplay: { delay: 4000, resumeAfter: 6000 } });
+
+      page.nextButton.click();
+      mock.timers.tick(5999);
+      assert.strictEqual(carousel.currentIndex, 1);
+      mock.timers.tick(1);
+      mock.timers.tick(4000);
+      assert.strictEqual(carousel.currentIndex, 2);
+    });
+
+    it('pauses while hovered', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track, autoplay: { delay: 1000 } });
+
+      page.root.dispatchEvent(new window.MouseEvent('mouseenter'));
+      mock.timers.tick(3000);
+      assert.strictEqual(carousel.currentIndex, 0);
+      assert.ok(page.root.classList.contains('paused'));
+
+      page.root.dispatchEvent(new window.MouseEvent('mouseleave'));
+      mock.timers.tick(1000);
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+
+    it('pauses while the tab is hidden', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track, autoplay: { delay: 1000 } });
+
+      Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+      document.dispatchEvent(new window.Event('visibilitychange'));
+      mock.timers.tick(3000);
+      assert.strictEqual(carousel.currentIndex, 0);
+
+      Object.defineProperty(document, 'hidden', { value: false, configurable: true });
+      document.dispatchEvent(new window.Event('visibilitychange'));
+      mock.timers.tick(1000);
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+
+    it('stops with pause() and restarts with play()', () => {
+      page = setupPage(3);
+      carousel = new Carousel(page.root, { track: page.track, autoplay: { delay: 1000 } });
+
+      carousel.pause();
+      mock.timers.tick(3000);
+      assert.strictEqual(carousel.currentIndex, 0);
+
+      carousel.play();
+      mock.timers.tick(1000);
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+  });
+
+  describe('play button', () => {
+    it('pauses and restarts autoplay and says what it will do', () => {
+      page = setupPage(3);
+      const playButton = document.createElement('button');
+      page.root.appendChild(playButton);
+      carousel = new Carousel(page.root, { track: page.track, playButton, autoplay: { delay: 1000 } });
+
+      assert.strictEqual(playButton.getAttribute('aria-label'), 'Pause slideshow');
+      playButton.click();
+      assert.strictEqual(playButton.getAttribute('aria-label'), 'Play slideshow');
+      assert.strictEqual(playButton.dataset.playing, 'false');
+      mock.timers.tick(3000);
+      assert.strictEqual(carousel.currentIndex, 0);
+
+      playButton.click();
+      mock.timers.tick(1000);
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+
+    it('stays paused after the visitor moves a paused carousel', () => {
+      page = setupPage(4);
+      carousel = new Carousel(page.root, { ...page, autoplay: { delay: 1000, resumeAfter: 2000 } });
+
+      carousel.pause();
+      page.nextButton.click();
+      mock.timers.tick(2000);
+      mock.timers.tick(3000);
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+  });
+
+  describe('motion preferences', () => {
+    it("doesn't autoplay when the visitor prefers reduced motion", () => {
+      page = setupPage(3);
+      window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)', addEventListener() {} });
+      carousel = new Carousel(page.root, { track: page.track, autoplay: { delay: 1000 } });
+
+      mock.timers.tick(3000);
+      assert.strictEqual(carousel.currentIndex, 0);
+      assert.strictEqual(carousel.isPlaying, false);
+
+      carousel.play();
+      mock.timers.tick(1000);
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+
+    it('pauses while scrolled off-screen', () => {
+      page = setupPage(3);
+      let report;
+      window.IntersectionObserver = global.IntersectionObserver = class {
+        constructor(callback) { report = callback; }
+        observe() {}
+        disconnect() {}
+      };
+      carousel = new Carousel(page.root, { track: page.track, autoplay: { delay: 1000 } });
+
+      report([{ isIntersecting: false }]);
+      mock.timers.tick(3000);
+      assert.strictEqual(carousel.currentIndex, 0);
+
+      report([{ isIntersecting: true }]);
+      mock.timers.tick(1000);
+      assert.strictEqual(carousel.currentIndex, 1);
+    });
+  });
+
+  describe('fade mode', () => {
+    it('starts on the slide marked active and moves the active class', () => {
+      page = setupPage(3);
+      page.track.children[1].classList.add('active');
+      carousel = new Carousel(page.root, { track: page.track, mode: 'fade' });
+
+      assert.strictEqual(carousel.currentIndex, 1);
+      carousel.next();
+      const active = Array.from(page.track.children).map(slide => slide.classList.contains('active'));
+      assert.deepStrictEqual(active, [false, false, true]);
+      assert.strictEqual(page.track.style.transform, '');
+    });
+  });
+
+  describe('destroy()', () => {
+    it('stops autoplay and removes listeners and generated controls', () => {
+      page = setupPage(4);
+      carousel = new Carousel(page.root, { ...page, autoplay: { delay: 1000 }, announce: () => 'moved' });
+      carousel.goTo(2);
+      carousel.destroy();
+
+      mock.timers.tick(5000);
+      page.nextButton.click();
+      swipe(page.track, 300, 100);
+
+      assert.strictEqual(carousel.currentIndex, 2);
+      assert.strictEqual(page.indicators.children.length, 0);
+      assert.strictEqual(page.root.querySelector('[aria-live]'), null);
+      assert.strictEqual(page.track.style.transform, '');
+      assert.ok(Array.from(page.track.children).every(slide => !slide.hasAttribute('inert')));
+      carousel = null;
+    });
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Gallery Manifest Tests
+ * Runs generate-gallery-manifest.js on a small media folder of fixture photos: sizes, EXIF
+ * orientation, capture dates, placeholders, and keeping hand-made edits and entries that aren't
+ * in the folder. Then the photo tags js/gallery-manifest.js reads back from the manifest.
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+const GalleryManifestGenerator = require('../generate-gallery-manifest.js');
+const GalleryManifest = require('../js/gallery-manifest.js');
+
+/**
+ * A JPEG whose left half is red and right half blue
+ */
+function encodeJpeg(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(x < width / 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], (y * width + x) * 4);
+    }
+  }
+  return jpeg.encode({ data, width, height }, 100).data;
+}
+
+/**
+ * A big-endian EXIF block with an orientation, DateTimeOriginal and an IFD1 thumbnail, laid out
+ * as: header, IFD0 (8), EXIF IFD (38), IFD1 (56), date text (86), thumbnail (106)
+ */
+function createExif({ orientation, taken, thumbnail }) {
+  const tiff = Buffer.alloc(106 + thumbnail.length);
+  const entry = (at, tag, type, count, value) => {
+    tiff.writeUInt16BE(tag, at);
+    tiff.writeUInt16BE(type, at + 2);
+    tiff.writeUInt32BE(count, at + 4);
+    if (type === 3) tiff.writeUInt16BE(value, at + 8);
+    else tiff.writeUInt32BE(value, at + 8);
+  };
+
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+
+  tiff.writeUInt16BE(2, 8);
+  entry(10, 0x0112, 3, 1, orientation);
+  entry(22, 0x8769, 4, 1, 38);
+  tiff.writeUInt32BE(56, 34);
+
+  tiff.writeUInt16BE(1, 38);
+  entry(40, 0x9003, 2, 20, 86);
+
+  tiff.writeUInt16BE(2, 56);
+  entry(58, 0x0201, 4, 1, 106);
+  entry(70, 0x0202, 4, 1, thumbnail.length);
+
+  tiff.write(`${taken}\0`, 86, 'latin1');
+  thumbnail.copy(tiff, 106);
+  return tiff;
+}
+
+/**
+ * Insert an APP1 EXIF segment straight after the JPEG's start-of-image marker
+ */
+function withExif(jpegData, tiff) {
+  const header = Buffer.alloc(10);
+  header.writeUInt16BE(0xFFE1, 0);
+  header.writeUInt16BE(8 + tiff.length, 2);
+  header.write('Exif\0\0', 4, 'latin1');
+  return Buffer.concat([jpegData.subarray(0, 2), header, tiff, jpegData.subarray(2)]);
+}
+
+/**
+ * Size and first pixel of each row of a placeholder PNG data URI (8-bit RGB, unfiltered rows)
+ */
+function readPlaceholder(dataUri) {
+  const png = Buffer.from(dataUri.replace('data:image/png;base64,', ''), 'base64');
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const idatLength = png.readUInt32BE(33);
+  const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+  const rows = Array.from({ length: height }, (_, y) => Array.from(raw.subarray(y * (width * 3 + 1) + 1, y * (width * 3 + 1) + 4)));
+  return { width, height, rows };
+}
+
+describe('GalleryManifestGenerator', () => {
+  let dir;
+  let mediaDir;
+  let outputFile;
+  let warnings;
+
+  const writePhoto = (relativePath, data) => {
+    const file = path.join(mediaDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+  };
+
+  const generate = () => new GalleryManifestGenerator(mediaDir, outputFile).generate();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-manifest-'));
+    mediaDir = path.join(dir, 'media');
+    outputFile = path.join(dir, 'gallery.json');
+    fs.mkdirSync(mediaDir);
+
+    warnings = [];
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', message => warnings.push(message));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('JPEG photos', () => {
+    beforeEach(() => {
+      // Stored 48×32 and turned a quarter turn clockwise for display, with a 16×8 thumbnail
+      const exif = createExif({ orientation: 6, taken: '2026:05:03 11:42:10', thumbnail: encodeJpeg(16, 8) });
+      writePhoto('may2026/miniatures/SQM_May2026_MiniaturesComp.jpg', withExif(encodeJpeg(48, 32), exif));
+    });
+
+    it('records the displayed size, swapping it for rotated photos', () => {
+      const [photo] = generate().events[0].categories[0].photos;
+      assert.strictEqual(photo.width, 32);
+      assert.strictEqual(photo.height, 48);
+    });
+
+    it('records the capture date from DateTimeOriginal', () => {
+      const [photo] = generate().events[0].categories[0].photos;
+      assert.strictEqual(photo.taken, '2026-05-03T11:42:10');
+    });
+
+    it('makes a placeholder from the thumbnail, turned the way the photo is shown', () => {
+      const [photo] = generate().events[0].categories[0].photos;
+      const placeholder = readPlaceholder(photo.placeholder);
+
+      // The 16×8 thumbnail shrinks to 8×4, then turns to 4×8 with its red half on top
+      assert.strictEqual(placeholder.width, 4);
+      assert.strictEqual(placeholder.height, 8);
+      const [red, , blue] = placeholder.rows[0];
+      assert.ok(red > 200 && blue < 50, `top row is red, got ${placeholder.rows[0]}`);
+      const [r, , b] = placeholder.rows[7];
+      assert.ok(b > 200 && r < 50, `bottom row is blue, got ${placeholder.rows[7]}`);
+    });
+
+    it('writes the manifest with event and category names and default alt text', () => {
+      generate();
+      const manifest = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+      const [event] = manifest.events;
+
+      assert.strictEqual(event.title, 'May 2026');
+      assert.strictEqual(event.categories[0].label, 'Miniatures');
+      assert.strictEqual(event.categories[0].photos[0].alt, 'Miniatures photo from Side Quest Market May 2026');
+    });
+  });
+
+  describe('PNG photos', () => {
+    it('records the size from the header, with no capture date or placeholder', () => {
+      const generator = new GalleryManifestGenerator(mediaDir, outputFile);
+      const pixels = Array.from({ length: 30 }, () => Array.from({ length: 20 }, () => [0, 128, 0]));
+      writePhoto('may2026/portrait/SQM_May2026_Portrait.png', generator.encodePng(pixels));
+
+      const [photo] = generate().events[0].categories[0].photos;
+      assert.strictEqual(photo.width, 20);
+      assert.strictEqual(photo.height, 30);
+      assert.strictEqual(photo.taken, null);
+      assert.strictEqual(photo.placeholder, null);
+    });
+  });
+
+  describe('the existing manifest', () => {
+    const previousManifest = {
+      events: [
+        {
+          id: 'nov2025',
+          title: 'November 2025',
+          categories: [{ id: 'market', label: 'Market', base: 'https://example.com/2025', photos: [{ file: 'a.jpg' }] }]
+        },
+        {
+          id: 'may2026',
+          title: 'May 2026',
+          categories: [
+            { id: 'contest', label: 'Competition', photos: [{ file: 'b.jpg', alt: 'Best in show' }] },
+            { id: 'miniatures', label: 'Miniatures', photos: [] }
+          ]
+        }
+      ]
+    };
+
+    beforeEach(() => {
+      fs.writeFileSync(outputFile, JSON.stringify(previousManifest));
+      writePhoto('may2026/miniatures/SQM_May2026_MiniaturesComp.jpg', encodeJpeg(16, 16));
+    });
+
+    it('keeps events and categories that are not in the media folder', () => {
+      const manifest = generate();
+
+      assert.deepStrictEqual(manifest.events.map(event => event.id), ['nov2025', 'may2026']);
+      assert.deepStrictEqual(manifest.events[0], previousManifest.events[0]);
+      assert.deepStrictEqual(manifest.events[1].categories.map(category => category.id), ['contest', 'miniatures']);
+      assert.deepStrictEqual(manifest.events[1].categories[0], previousManifest.events[1].categories[0]);
+      assert.strictEqual(manifest.events[1].categories[1].photos.length, 1);
+    });
+
+    it('warns about missing entries, except photos stored outside media/', () => {
+      generate();
+
+      assert.strictEqual(warnings.length, 1);
+      assert.match(warnings[0], /Category may2026\/contest isn't in/);
+    });
+  });
+
+  describe('photos already in the manifest', () => {
+    const tags = { vendors: ['bad-nancy'], competition: [{ category: 'fantasy', entry: 'F-001' }] };
+
+    const writeManifest = photos => fs.writeFileSync(outputFile, JSON.stringify({
+      events: [{ id: 'may2026', title: 'May 2026', categories: [{ id: 'miniatures', label: 'Miniatures', photos }] }]
+    }));
+
+    beforeEach(() => {
+      writePhoto('may2026/miniatures/SQM_May2026_MiniaturesComp.jpg', encodeJpeg(16, 16));
+      writePhoto('may2026/miniatures/SQM_May2026_Painting.jpg', encodeJpeg(16, 16));
+    });
+
+    it('keeps the tags and hand-written alt text of photos still in the folder', () => {
+      writeManifest([
+        { file: 'SQM_May2026_MiniaturesComp.jpg', alt: 'Winning dragon from the fantasy category', width: 1, height: 1, tags },
+        { file: 'SQM_May2026_Painting.jpg', alt: 'Miniatures photo from Side Quest Market May 2026' }
+      ]);
+
+      const [edited, plain] = generate().events[0].categories[0].photos;
+
+      assert.strictEqual(edited.alt, 'Winning dragon from the fantasy category');
+      assert.deepStrictEqual(edited.tags, tags);
+      assert.strictEqual(edited.width, 16);
+      assert.strictEqual(plain.alt, 'Miniatures photo from Side Quest Market May 2026');
+      assert.strictEqual(plain.tags, undefined);
+    });
+
+    it('writes the kept tags and alt text to the manifest file', () => {
+      writeManifest([{ file: 'SQM_May2026_MiniaturesComp.jpg', alt: 'Winning dragon from the fantasy category', tags }]);
+      generate();
+
+      const [photo] = JSON.parse(fs.readFileSync(outputFile, 'utf8')).events[0].categories[0].photos;
+      assert.strictEqual(photo.alt, 'Winning dragon from the fantasy category');
+      assert.deepStrictEqual(photo.tags, tags);
+    });
+  });
+});
+
+describe('GalleryManifest', () => {
+  const gallery = new GalleryManifest();
+  gallery.setData({
+    mediaBase: 'https://example.com/media',
+    events: [
+      {
+        id: 'nov2025',
+        categories: [
+          { id: 'market', label: 'Market', photos: [{ file: 'stall.jpg', tags: { vendors: ['bad-nancy'] } }, { file: 'hall.jpg' }] }
+        ]
+      },
+      {
+        id: 'may2026',
+        categories: [
+          {
+            id: 'contest',
+            label: 'Competition',
+            photos: [
+              {
+                file: 'winner.jpg',
+                tags: {
+                  vendors: ['bad-nancy', 'bad-nancy'],
+                  competition: [{ category: 'fantasy', entry: 'F-001' }, { category: 'fantasy' }],
+                  workshops: ['leathercraft']
+                }
+              }
+            ]
+          },
+          { id: 'workshops', label: 'Workshops', photos: [{ file: 'leather.jpg', tags: { workshops: ['leathercraft'] } }] }
+        ]
+      }
+    ]
+  });
+
+  describe('getTags', () => {
+    it('turns tags into filter keys, once each', () => {
+      const [photo] = gallery.getEvent('may2026').categories[0].photos;
+
+      assert.deepStrictEqual(gallery.getTags(photo), [
+        'vendor:bad-nancy',
+        'competition:fantasy',
+        'entry:F-001',
+        'workshop:leathercraft'
+      ]);
+    });
+
+    it('gives untagged photos no keys', () => {
+      assert.deepStrictEqual(gallery.getTags({ file: 'hall.jpg' }), []);
+      assert.deepStrictEqual(gallery.getPhotos(gallery.getEvent('nov2025'))[1].tags, []);
+    });
+  });
+
+  describe('getTaggedPhotos', () => {
+    it('groups the photos with a tag by event, with their URLs', () => {
+      const groups = gallery.getTaggedPhotos('vendor:bad-nancy');
+
+      assert.deepStrictEqual(groups.map(group => group.event.id), ['nov2025', 'may2026']);
+      assert.deepStrictEqual(groups[0].photos.map(photo => photo.src), ['https://example.com/media/nov2025/market/stall.jpg']);
+      assert.deepStrictEqual(groups[1].photos.map(photo => photo.file), ['winner.jpg']);
+    });
+
+    it('leaves out events without a tagged photo', () => {
+      const groups = gallery.getTaggedPhotos('workshop:leathercraft');
+
+      assert.deepStrictEqual(groups.map(group => group.event.id), ['may2026']);
+      assert.deepStrictEqual(groups[0].photos.map(photo => photo.file), ['winner.jpg', 'leather.jpg']);
+    });
+
+    it('finds nothing for an unknown tag', () => {
+      assert.deepStrictEqual(gallery.getTaggedPhotos('entry:X-999'), []);
+    });
+  });
+});
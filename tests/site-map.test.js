@@ -0,0 +1,247 @@
+/**
+ * Site Map Tests
+ * Runs js/site-map.js against a jsdom page with a small fixture stall list: hotspots keeping
+ * their place on the map through zooming and pinching, stall search and panning to a stall
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const VendorManifest = require('../js/vendor-manifest.js');
+
+const siteMaps = {
+  may2026: {
+    title: 'May 2026',
+    stalls: [
+      { number: 'A1', vendor: 'dice-den', x: 10, y: 20, width: 5, height: 4 },
+      { number: 'B2', vendor: 'paint-pots', x: 60, y: 50, width: 10, height: 8 },
+      { number: 'C3', vendor: null, x: 80, y: 10, width: 5, height: 5 }
+    ]
+  }
+};
+
+const vendors = [
+  { id: 'dice-den', name: 'The Dice Den', logo: 'dice-den.png' },
+  { id: 'paint-pots', name: 'Paint Pots', logo: 'paint-pots.png' }
+];
+
+describe('SiteMapModal', () => {
+  let siteMap;
+  let stage;
+  let container;
+
+  const hotspot = number => document.querySelector(`.site-map-hotspot[data-stall="${number}"]`);
+  const hotspotBox = element => ['left', 'top', 'width', 'height'].map(side => element.style[side]);
+
+  /**
+   * Send a touch event with the given finger positions to the zoom container
+   */
+  const touch = (type, points) => {
+    const event = new window.Event(type, { bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'touches', { value: points.map(([pageX, pageY]) => ({ pageX, pageY })) });
+    container.dispatchEvent(event);
+  };
+
+  /**
+   * Fresh page with the site map card and modal; the stage is 1000×600 inside a 400×300 viewport
+   */
+  async function setupPage() {
+    const dom = new JSDOM(`
+      <img id="site-map-image" tabindex="0">
+      <div id="site-map-modal" data-map="may2026" aria-hidden="true">
+        <button id="close-modal">Close</button>
+        <form id="site-map-search-form" hidden>
+          <input type="search" id="site-map-search" list="site-map-vendor-list">
+          <datalist id="site-map-vendor-list"></datalist>
+          <button type="submit">Find</button>
+        </form>
+        <div id="zoom-container">
+          <div id="site-map-stage">
+            <img id="modal-site-map-image">
+            <div id="site-map-hotspots"></div>
+          </div>
+        </div>
+        <div id="site-map-stall-info" hidden></div>
+        <button id="zoom-in">+</button>
+        <button id="zoom-out">−</button>
+        <button id="zoom-reset">⌂</button>
+      </div>
+    `);
+
+    global.window = dom.window;
+    global.document = dom.window.document;
+
+    stage = document.getElementById('site-map-stage');
+    container = document.getElementById('zoom-container');
+    Object.defineProperties(stage, { offsetWidth: { value: 1000 }, offsetHeight: { value: 600 } });
+    Object.defineProperties(container, {
+      clientWidth: { value: 400 },
+      clientHeight: { value: 300 },
+      scrollLeft: { value: 0, writable: true },
+      scrollTop: { value: 0, writable: true }
+    });
+
+    window.vendorManifest = new VendorManifest();
+    window.vendorManifest.vendors = vendors;
+    window.vendorManifest.loadPromise = Promise.resolve(vendors);
+    mock.method(global, 'fetch', async () => ({ ok: true, json: async () => siteMaps }));
+
+    delete require.cache[require.resolve('../js/site-map.js')];
+    require('../js/site-map.js');
+
+    // The page creates the modal on DOMContentLoaded, which then loads the stalls
+    await new Promise(resolve => setTimeout(resolve));
+    siteMap = window.siteMapModal;
+  }
+
+  beforeEach(async () => {
+    await setupPage();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete global.window;
+    delete global.document;
+  });
+
+  describe('hotspots', () => {
+    it('places one hotspot per stall, by percentage, inside the zoomed stage', () => {
+      const hotspots = document.querySelectorAll('.site-map-hotspot');
+
+      assert.strictEqual(hotspots.length, 3);
+      assert.deepStrictEqual(hotspotBox(hotspot('B2')), ['60%', '50%', '10%', '8%']);
+      assert.ok([...hotspots].every(element => stage.contains(element)));
+      assert.strictEqual(siteMap.zoomTarget, stage);
+      assert.strictEqual(hotspot('A1').getAttribute('aria-label'), 'Stall A1: The Dice Den');
+      assert.strictEqual(hotspot('C3').getAttribute('aria-label'), 'Stall C3: Unassigned');
+      assert.strictEqual(document.getElementById('site-map-search-form').hidden, false);
+    });
+
+    it('stays aligned with the map at every zoom level', () => {
+      const before = hotspotBox(hotspot('A1'));
+
+      [1.25, 3, 0.5].forEach(zoom => {
+        siteMap.currentZoom = zoom;
+        siteMap.applyZoom();
+
+        // Only the stage is scaled, so the hotspot keeps its place on the map image
+        assert.strictEqual(stage.style.transform, `scale(${zoom})`);
+        assert.deepStrictEqual(hotspotBox(hotspot('A1')), before);
+        assert.strictEqual(hotspot('A1').style.transform, '');
+        assert.strictEqual(document.getElementById('site-map-hotspots').style.transform, '');
+      });
+
+      assert.strictEqual(document.getElementById('zoom-out').disabled, true);
+    });
+
+    it('stays aligned with the map through a pinch, without selecting the stall under the fingers', () => {
+      const before = hotspotBox(hotspot('B2'));
+
+      touch('touchstart', [[100, 100], [200, 100]]);
+      touch('touchmove', [[50, 100], [250, 100]]);
+
+      assert.strictEqual(siteMap.currentZoom, 2);
+      assert.strictEqual(stage.style.transform, 'scale(2)');
+      assert.ok(container.classList.contains('pinching'));
+      assert.deepStrictEqual(hotspotBox(hotspot('B2')), before);
+
+      touch('touchend', []);
+      assert.ok(!container.classList.contains('pinching'));
+
+      hotspot('B2').click();
+      assert.strictEqual(hotspot('B2').getAttribute('aria-pressed'), 'false');
+
+      hotspot('B2').click();
+      assert.strictEqual(hotspot('B2').getAttribute('aria-pressed'), 'true');
+    });
+
+    it('keeps a pinch within the zoom limits', () => {
+      touch('touchstart', [[100, 100], [200, 100]]);
+      touch('touchmove', [[0, 100], [1000, 100]]);
+      assert.strictEqual(siteMap.currentZoom, siteMap.maxZoom);
+
+      touch('touchmove', [[140, 100], [160, 100]]);
+      assert.strictEqual(siteMap.currentZoom, siteMap.minZoom);
+    });
+  });
+
+  describe('findStall', () => {
+    const info = () => document.getElementById('site-map-stall-info');
+
+    beforeEach(() => {
+      mock.method(siteMap, 'panToStall', () => {});
+    });
+
+    it('finds a stall by number, ignoring case', () => {
+      siteMap.findStall(' b2 ');
+
+      assert.strictEqual(siteMap.activeStall.number, 'B2');
+      assert.strictEqual(hotspot('B2').getAttribute('aria-pressed'), 'true');
+      assert.strictEqual(siteMap.panToStall.mock.calls[0].arguments[0], siteMap.activeStall);
+    });
+
+    it('finds a stall by whole or partial vendor name', () => {
+      siteMap.findStall('the dice den');
+      assert.strictEqual(siteMap.activeStall.number, 'A1');
+
+      siteMap.findStall('paint');
+      assert.strictEqual(siteMap.activeStall.number, 'B2');
+      assert.strictEqual(hotspot('A1').getAttribute('aria-pressed'), 'false');
+    });
+
+    it('shows the vendor and a link to their profile', () => {
+      siteMap.findStall('paint pots');
+
+      assert.strictEqual(info().hidden, false);
+      assert.strictEqual(info().querySelector('.site-map-stall-number').textContent, 'Stall B2');
+      assert.strictEqual(info().querySelector('.site-map-stall-vendor').textContent, 'Paint Pots');
+      assert.strictEqual(info().querySelector('.site-map-stall-link').getAttribute('href'), 'vendors.html?vendor=paint-pots');
+    });
+
+    it('says so when nothing matches', () => {
+      siteMap.findStall('dragons');
+
+      assert.strictEqual(siteMap.activeStall, null);
+      assert.strictEqual(siteMap.panToStall.mock.callCount(), 0);
+      assert.strictEqual(info().textContent, 'No stall found for "dragons"');
+    });
+
+    it('runs from the search form', () => {
+      document.getElementById('site-map-search').value = 'C3';
+      document.getElementById('site-map-search-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+      assert.strictEqual(siteMap.activeStall.number, 'C3');
+      assert.strictEqual(info().querySelector('.site-map-stall-vendor').textContent, 'Unassigned');
+    });
+  });
+
+  describe('panToStall', () => {
+    const stall = number => siteMap.stalls.find(item => item.number === number);
+
+    it('zooms in, then centres the stall once the zoom transition ends', async () => {
+      siteMap.zoomTransitionDuration = 20;
+      siteMap.panToStall(stall('B2'));
+
+      assert.strictEqual(siteMap.currentZoom, siteMap.searchZoom);
+      assert.strictEqual(stage.style.transform, 'scale(2)');
+      assert.strictEqual(container.scrollLeft, 0);
+
+      await new Promise(resolve => setTimeout(resolve, siteMap.zoomTransitionDuration));
+
+      // B2's centre is at 65% × 2000px and 54% × 1200px, less half the 400×300 viewport
+      assert.strictEqual(container.scrollLeft, 1100);
+      assert.strictEqual(container.scrollTop, 498);
+    });
+
+    it('keeps a closer zoom and centres the stall straight away', () => {
+      siteMap.currentZoom = 3;
+      siteMap.applyZoom();
+      siteMap.panToStall(stall('A1'));
+
+      assert.strictEqual(siteMap.currentZoom, 3);
+      // A1's centre is at 12.5% × 3000px and 22% × 1800px
+      assert.strictEqual(container.scrollLeft, 175);
+      assert.strictEqual(container.scrollTop, 246);
+    });
+  });
+});
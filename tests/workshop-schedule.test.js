@@ -0,0 +1,252 @@
+/**
+ * Workshop Schedule Tests
+ * Runs js/workshop-manifest.js and js/workshop-schedule.js on a small set of fixture workshops:
+ * session ids, clash detection, timetable lanes and duration labels
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const WorkshopManifest = require('../js/workshop-manifest.js');
+const EventManifest = require('../js/event-manifest.js');
+
+const session = (id, day, start, duration, extra = {}) => ({ id, day, start, duration, ...extra });
+
+const fixture = {
+  ageBands: {},
+  workshops: [
+    {
+      id: 'painting',
+      event: 'may2026',
+      title: 'Miniature Painting',
+      sessions: [session('painting-am', '2026-05-02', '10:00', 60), session('painting-pm', '2026-05-02', '13:00', 45)]
+    },
+    {
+      id: 'rpg',
+      event: 'may2026',
+      title: 'Roleplaying',
+      sessions: [session('rpg-sat', '2026-05-02', '10:30', 90, { maxDuration: 120 })]
+    },
+    {
+      id: 'leather',
+      event: 'may2026',
+      title: 'Leathercraft',
+      sessions: [session('leather-sat', '2026-05-02', '11:00', 45), session('leather-sun', '2026-05-03', '10:00', 45)]
+    },
+    {
+      id: 'racing',
+      event: 'may2026',
+      title: 'Racing',
+      dropIn: true,
+      sessions: [session('racing-sat', '2026-05-02', '10:00', 360)]
+    }
+  ]
+};
+
+function createManifest(data = fixture) {
+  const manifest = new WorkshopManifest();
+  manifest.setData(JSON.parse(JSON.stringify(data)));
+  return manifest;
+}
+
+const allSessions = manifest => manifest.workshops.flatMap(workshop => manifest.getSessions(workshop));
+
+describe('WorkshopManifest', () => {
+  describe('getSessions', () => {
+    it('takes session ids from the data and keeps the longest length', () => {
+      const manifest = createManifest();
+      const [rpg] = manifest.getSessions(manifest.getWorkshop('rpg'));
+
+      assert.strictEqual(rpg.id, 'rpg-sat');
+      assert.strictEqual(rpg.duration, 120);
+      assert.strictEqual(rpg.endTime, '12:30');
+      assert.strictEqual(rpg.end, '2026-05-02T12:30');
+    });
+
+    it('keeps each id with its session when sessions are reordered', () => {
+      const manifest = createManifest();
+      manifest.getWorkshop('painting').sessions.reverse();
+
+      const sessions = manifest.getSessions(manifest.getWorkshop('painting'));
+      assert.deepStrictEqual(sessions.map(item => [item.id, item.startTime]), [['painting-pm', '13:00'], ['painting-am', '10:00']]);
+      assert.strictEqual(manifest.getSession('painting-am').startTime, '10:00');
+    });
+  });
+
+  describe('findClashes', () => {
+    const manifest = createManifest();
+    const clashes = manifest.findClashes(allSessions(manifest));
+    const clashIds = id => (clashes.get(id) || []).map(other => other.id).sort();
+
+    it('pairs up sessions that overlap on the same day', () => {
+      assert.deepStrictEqual(clashIds('painting-am'), ['rpg-sat']);
+      assert.deepStrictEqual(clashIds('rpg-sat'), ['leather-sat', 'painting-am']);
+      assert.deepStrictEqual(clashIds('leather-sat'), ['rpg-sat']);
+    });
+
+    it('does not count a session that starts as another ends', () => {
+      const touching = createManifest({
+        workshops: [{ id: 'a', sessions: [session('a-1', '2026-05-02', '10:00', 60), session('a-2', '2026-05-02', '11:00', 60)] }]
+      });
+      assert.strictEqual(touching.findClashes(allSessions(touching)).size, 0);
+    });
+
+    it('ignores sessions on other days and drop-ins', () => {
+      assert.ok(!clashes.has('leather-sun'));
+      assert.ok(!clashes.has('painting-pm'));
+      assert.ok(!clashes.has('racing-sat'));
+    });
+  });
+});
+
+describe('WorkshopSchedule', () => {
+  let schedule;
+
+  /**
+   * Page with the workshops section; the schedule reads its manifests from window
+   */
+  async function setupPage() {
+    const dom = new JSDOM(`
+      <section id="workshops">
+        <div id="workshop-filters"></div>
+        <p id="workshop-filter-status"></p>
+        <div class="workshops-grid" data-event="may2026"></div>
+        <div id="workshop-timetable"></div>
+      </section>
+    `);
+
+    global.window = dom.window;
+    global.document = dom.window.document;
+
+    const workshopManifest = createManifest();
+    workshopManifest.loadPromise = Promise.resolve(workshopManifest.workshops);
+    const eventManifest = new EventManifest();
+    eventManifest.setData({
+      venues: {},
+      events: [{ id: 'may2026', days: [{ date: '2026-05-02' }, { date: '2026-05-03' }] }]
+    });
+    eventManifest.loadPromise = Promise.resolve(eventManifest.events);
+    window.workshopManifest = workshopManifest;
+    window.eventManifest = eventManifest;
+
+    delete require.cache[require.resolve('../js/workshop-schedule.js')];
+    require('../js/workshop-schedule.js');
+
+    // The page creates the schedule on DOMContentLoaded, which then loads and renders
+    await new Promise(resolve => setTimeout(resolve));
+    schedule = window.workshopSchedule;
+  }
+
+  beforeEach(async () => {
+    mock.method(console, 'warn', () => {});
+    await setupPage();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete global.window;
+    delete global.document;
+  });
+
+  describe('getLanes', () => {
+    const layoutOf = sessions => Object.fromEntries(schedule.getLanes(sessions));
+
+    it('puts overlapping sessions side by side and reuses a lane once it is free', () => {
+      const manifest = createManifest({
+        workshops: [{
+          id: 'a',
+          sessions: [
+            session('a', '2026-05-02', '10:00', 60),
+            session('b', '2026-05-02', '10:30', 60),
+            session('c', '2026-05-02', '11:00', 60),
+            session('d', '2026-05-02', '13:00', 60)
+          ]
+        }]
+      });
+
+      assert.deepStrictEqual(layoutOf(allSessions(manifest)), {
+        a: { lane: 0, lanes: 2 },
+        b: { lane: 1, lanes: 2 },
+        c: { lane: 0, lanes: 2 },
+        d: { lane: 0, lanes: 1 }
+      });
+    });
+
+    it('gives every session in an overlapping group the same lane count', () => {
+      const manifest = createManifest({
+        workshops: [{
+          id: 'a',
+          sessions: [
+            session('long', '2026-05-02', '10:00', 180),
+            session('first', '2026-05-02', '10:00', 30),
+            session('second', '2026-05-02', '10:15', 30),
+            session('late', '2026-05-02', '12:30', 60)
+          ]
+        }]
+      });
+
+      assert.deepStrictEqual(layoutOf(allSessions(manifest)), {
+        long: { lane: 0, lanes: 3 },
+        first: { lane: 1, lanes: 3 },
+        second: { lane: 2, lanes: 3 },
+        late: { lane: 1, lanes: 3 }
+      });
+    });
+  });
+
+  describe('formatDurationLabel', () => {
+    const label = (duration, maxDuration, dropIn = false) =>
+      schedule.formatDurationLabel({ dropIn, sessions: [{ duration, maxDuration }] });
+
+    it('labels drop-ins without a length', () => {
+      assert.strictEqual(label(360, undefined, true), 'Drop-in anytime');
+    });
+
+    it('gives minutes under an hour and hours from an hour up', () => {
+      assert.strictEqual(label(45), 'Duration: 45 Minutes');
+      assert.strictEqual(label(60), 'Duration: 1 Hour');
+      assert.strictEqual(label(150), 'Duration: 2.5 Hours');
+    });
+
+    it('names the unit once when a range stays in the same unit', () => {
+      assert.strictEqual(label(90, 120), 'Duration: 1.5 to 2 Hours');
+      assert.strictEqual(label(30, 45), 'Duration: 30 to 45 Minutes');
+    });
+
+    it('names both units when a range crosses the hour', () => {
+      assert.strictEqual(label(45, 90), 'Duration: 45 Minutes to 1.5 Hours');
+    });
+  });
+
+  describe('the timetable', () => {
+    const item = id => document.querySelector(`.timetable-session[data-session-id="${id}"]`);
+
+    it('lists timed sessions by their ids under each day', () => {
+      const ids = day => [...document.querySelectorAll(`[aria-labelledby="timetable-${day}"] .timetable-session`)]
+        .map(element => element.dataset.sessionId);
+
+      assert.deepStrictEqual(ids('2026-05-02'), ['painting-am', 'rpg-sat', 'leather-sat', 'painting-pm']);
+      assert.deepStrictEqual(ids('2026-05-03'), ['leather-sun']);
+    });
+
+    it('marks clashing sessions and names what they clash with', () => {
+      assert.ok(item('rpg-sat').classList.contains('clash'));
+      assert.strictEqual(item('rpg-sat').querySelector('.timetable-session-clash').textContent,
+        'Clashes with Miniature Painting, Leathercraft');
+      assert.ok(!item('painting-pm').classList.contains('clash'));
+    });
+
+    it('positions overlapping sessions in their lanes', () => {
+      assert.strictEqual(item('painting-am').style.left, '0%');
+      assert.strictEqual(item('rpg-sat').style.left, '50%');
+      assert.strictEqual(item('leather-sat').style.left, '0%');
+      assert.strictEqual(item('rpg-sat').style.width, '50%');
+      assert.strictEqual(item('painting-pm').style.width, '100%');
+    });
+
+    it('lists drop-ins in a note instead of on the time scale', () => {
+      assert.strictEqual(item('racing-sat'), null);
+      assert.strictEqual(document.querySelector('.timetable-drop-ins').textContent, 'Drop in all day: Racing');
+    });
+  });
+});